@@ -0,0 +1,65 @@
+// scripts/deploy-commands.js - Register slash commands from the command registry
+// Usage:
+//   node scripts/deploy-commands.js            # GUILD_IDS set → per guild, otherwise global
+//   node scripts/deploy-commands.js --global   # force global registration
+//   node scripts/deploy-commands.js --guild 123456789012345678
+require('dotenv').config();
+
+const { REST, Routes } = require('discord.js');
+const { CONFIG, validateConfig } = require('../src/config');
+const logger = require('../src/utils/logger');
+const commandRegistry = require('../src/commands');
+
+function parseArgs(argv) {
+  const options = { global: false, guildIds: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--global') {
+      options.global = true;
+    } else if (argv[i] === '--guild' && argv[i + 1]) {
+      options.guildIds.push(argv[++i]);
+    }
+  }
+
+  return options;
+}
+
+async function resolveApplicationId(rest) {
+  if (CONFIG.DISCORD.APPLICATION_ID) {
+    return CONFIG.DISCORD.APPLICATION_ID;
+  }
+
+  // Fall back to the application that owns the token
+  const application = await rest.get(Routes.currentApplication());
+  return application.id;
+}
+
+async function deploy() {
+  validateConfig();
+
+  const options = parseArgs(process.argv.slice(2));
+  const rest = new REST({ version: '10' }).setToken(CONFIG.DISCORD.TOKEN);
+  const applicationId = await resolveApplicationId(rest);
+  const body = commandRegistry.toJSON();
+  const guildIds = options.global
+    ? []
+    : (options.guildIds.length > 0 ? options.guildIds : CONFIG.DISCORD.GUILD_IDS);
+
+  if (guildIds.length === 0) {
+    await rest.put(Routes.applicationCommands(applicationId), { body });
+    logger.info(`✅ Registered ${body.length} global command(s): ${body.map(c => `/${c.name}`).join(', ')}`);
+    return;
+  }
+
+  for (const guildId of guildIds) {
+    await rest.put(Routes.applicationGuildCommands(applicationId, guildId), { body });
+    logger.info(`✅ Registered ${body.length} command(s) in guild ${guildId}`);
+  }
+}
+
+deploy()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error('Failed to deploy slash commands:', { error: error.message });
+    process.exit(1);
+  });
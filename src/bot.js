@@ -1,24 +1,34 @@
 // bot.js - Main bot application with improved URL deduplication
 require('dotenv').config();
 
-const { Client, GatewayIntentBits, EmbedBuilder } = require('discord.js');
+const { Client, GatewayIntentBits, Partials, EmbedBuilder } = require('discord.js');
 const { CONFIG, validateConfig } = require('./config');
-const { PLATFORM_PATTERNS, EMOJIS } = require('./constants');
+const { PLATFORM_PATTERNS, EMOJIS, CHANNEL_MODES } = require('./constants');
 const logger = require('./utils/logger');
+const { t, describeQueueRejection } = require('./utils/i18n');
+const { createCancelRow, createResultRows, disableComponents } = require('./utils/components');
+const { canControlDownload } = require('./utils/permissions');
+const { getMediaType } = require('./providers/shared');
 const {
-  normalizeUrlForComparison,
+  getCanonicalKey,
   detectAllUrls,
   getPlatformEmoji,
   createProgressBar,
   formatUptime,
-  formatBytes
+  throwIfCancelled,
+  getUrlClip
 } = require('./utils/helpers');
 const downloadManager = require('./services/downloadManager');
 const videoDownloader = require('./services/videoDownloader');
 const uploadService = require('./services/uploadService');
-const systemService = require('./services/systemService');
+const mediaProcessor = require('./services/mediaProcessor');
+const mediaCache = require('./services/mediaCache');
+const rateLimiter = require('./services/rateLimiter');
+const urlResolver = require('./services/urlResolver');
 const persistenceService = require('./services/persistenceService');
-const youtubeService = require('./services/youtubeService');
+const guildSettingsService = require('./services/guildSettingsService');
+const formatPickerService = require('./services/formatPickerService');
+const commandRegistry = require('./commands');
 const memoryGuard = require('./utils/memoryGuard');
 const diskGuard = require('./utils/diskGuard');
 
@@ -35,8 +45,11 @@ const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildMessageReactions,
     GatewayIntentBits.MessageContent
-  ]
+  ],
+  // Reactions on messages sent before the last restart arrive as partials
+  partials: [Partials.Message, Partials.Channel, Partials.Reaction]
 });
 
 // Bot state with improved URL tracking
@@ -45,7 +58,7 @@ class BotState {
     this.isReady = false;
     this.startTime = Date.now();
     this.intervals = new Set();
-    this.processingUrls = new Map(); // Track URLs currently being processed
+    this.processingUrls = new Map(); // Canonical keys of videos currently being processed
   }
 
   addInterval(interval) {
@@ -57,10 +70,10 @@ class BotState {
     this.intervals.clear();
   }
 
-  // Check if URL is currently being processed
+  // Check if the video behind a URL is currently being processed
   isProcessing(url) {
-    const normalized = normalizeUrlForComparison(url);
-    const processingTime = this.processingUrls.get(normalized);
+    const key = getCanonicalKey(url);
+    const processingTime = this.processingUrls.get(key);
     
     if (!processingTime) return false;
     
@@ -69,7 +82,7 @@ class BotState {
     
     // Remove if older than 10 seconds (stuck download)
     if (timeDiff > 10000) {
-      this.processingUrls.delete(normalized);
+      this.processingUrls.delete(key);
       return false;
     }
     
@@ -78,40 +91,39 @@ class BotState {
 
   // Mark URL as being processed
   startProcessing(url) {
-    const normalized = normalizeUrlForComparison(url);
-    this.processingUrls.set(normalized, Date.now());
+    const key = getCanonicalKey(url);
+    this.processingUrls.set(key, Date.now());
     
     // Auto-cleanup after 30 seconds
     setTimeout(() => {
-      this.processingUrls.delete(normalized);
+      this.processingUrls.delete(key);
     }, 30000);
   }
 
   // Mark URL as done processing
   stopProcessing(url) {
-    const normalized = normalizeUrlForComparison(url);
-    this.processingUrls.delete(normalized);
+    this.processingUrls.delete(getCanonicalKey(url));
   }
 }
 
 const botState = new BotState();
 
-function isAdminUser(userId) {
-  const admins = CONFIG.DISCORD.ADMIN_USER_IDS;
-  if (!admins || admins.length === 0) return false;
-  return admins.includes(userId);
-}
-
 // ============= Progress Handler =============
 
+const PROGRESS_STATUSES = {
+  downloading: { emoji: EMOJIS.downloading, label: 'Downloading', color: 0x3498DB },
+  compressing: { emoji: EMOJIS.compressing, label: 'Compressing to fit Discord', color: 0xFFA500 },
+  processing: { emoji: EMOJIS.processing, label: 'Processing', color: 0xFFA500 }
+};
+
 async function updateProgress(message, progress, status = 'downloading') {
   try {
     const progressBar = createProgressBar(progress);
-    const emoji = status === 'processing' ? EMOJIS.processing : EMOJIS.downloading;
+    const { emoji, label, color } = PROGRESS_STATUSES[status] || PROGRESS_STATUSES.downloading;
     
     const embed = new EmbedBuilder()
-      .setColor(status === 'processing' ? 0xFFA500 : 0x3498DB)
-      .setDescription(`${emoji} **${status === 'processing' ? 'Processing' : 'Downloading'}** ${progress}%\n${progressBar}`)
+      .setColor(color)
+      .setDescription(`${emoji} **${label}** ${progress}%\n${progressBar}`)
       .setTimestamp();
     
     // Throttle updates to reduce API calls
@@ -124,17 +136,99 @@ async function updateProgress(message, progress, status = 'downloading') {
   }
 }
 
+// ============= Result Actions =============
+
+/**
+ * Attach the action rows (Open original, Audio, Make GIF, Other quality, Delete) to a finished upload
+ * @param {Object} item - Queue item
+ * @param {Object} options - { isVideo, qualities }
+ */
+async function addResultRows(item, { isVideo, qualities }) {
+  const locale = guildSettingsService.getLocale(item.guildId);
+  const components = createResultRows(item.tag, { url: item.url, locale, isVideo, qualities });
+
+  await item.message.edit({ components }).catch((error) => {
+    logger.debug('Failed to add result buttons:', { error: error.message });
+  });
+}
+
+// ============= Cache Delivery =============
+
+/**
+ * Answer a repeat link from the media cache
+ * Re-posts the cached file while it is still on disk (which also refreshes the
+ * link), otherwise shares the link of the last upload.
+ * @param {Object} item - Queue item
+ * @param {Object} cached - Media cache entry
+ * @param {AbortSignal} signal - Download cancel signal
+ */
+async function deliverCached(item, cached, signal) {
+  const metadata = {
+    ...cached.metadata,
+    tag: item.tag,
+    platform: cached.platform,
+    sourceUrl: item.url,
+    spoiler: Boolean(item.downloadOptions?.spoiler),
+    guildId: item.guildId,
+    authorId: item.authorId,
+    signal
+  };
+
+  logger.info(`[${item.tag}] ♻️ Serving ${cached.key} from cache`);
+
+  if (cached.filePath) {
+    const delivery = await uploadService.uploadToDiscord(item.message, cached.filePath, cached.fileSize, {
+      ...metadata,
+      filename: cached.filename
+    });
+
+    if (delivery) {
+      await mediaCache.store(item, {
+        items: [{ path: cached.filePath, size: cached.fileSize, filename: cached.filename }],
+        size: cached.fileSize,
+        platform: cached.platform,
+        metadata: cached.metadata
+      }, delivery);
+    }
+  } else {
+    await uploadService.sendCachedLink(item.message, cached, metadata);
+  }
+
+  mediaCache.recordHit(cached);
+
+  await addResultRows(item, {
+    isVideo: getMediaType(cached.filename) === 'video',
+    qualities: cached.metadata?.qualities
+  });
+}
+
 // ============= Download Event Handlers =============
 
-downloadManager.on('queue:added', (item) => {
+downloadManager.on('queue:added', async (item) => {
   logger.info(`📋 Queue updated: ${item.tag} added (${item.url})`);
+
+  if (!item.message) return;
+
+  // The tag only exists now, so the Cancel button is attached after queueing
+  try {
+    const locale = guildSettingsService.getLocale(item.guildId);
+    const queuedEmbed = new EmbedBuilder()
+      .setColor(0x3498DB)
+      .setDescription(`${getPlatformEmoji(item.platform)} **${t(locale, 'queued')}**`)
+      .setTimestamp();
+
+    await item.message.edit({ embeds: [queuedEmbed], components: [createCancelRow(item.tag, locale)] });
+  } catch (error) {
+    logger.debug('Failed to add cancel button:', { error: error.message });
+  }
 });
 
 downloadManager.on('download:start', async (item) => {
   try {
+    const locale = guildSettingsService.getLocale(item.guildId);
     const initialEmbed = new EmbedBuilder()
       .setColor(0x3498DB)
-      .setDescription(`${EMOJIS.downloading} **Starting download...**`)
+      .setDescription(`${EMOJIS.downloading} **${t(locale, 'startingDownload')}**`)
       .setTimestamp();
     
     await item.message.edit({ embeds: [initialEmbed] });
@@ -145,51 +239,132 @@ downloadManager.on('download:start', async (item) => {
 
 downloadManager.on('download:process', async (item) => {
   const { url, message, tag, platform, authorId } = item;
+  const signal = downloadManager.getAbortSignal(tag);
+  let result = null;
   
   try {
     logger.info(`🎬 Processing download: ${url}`);
+
+    // Seen recently - answer from the cache instead of downloading again
+    const cached = mediaCache.lookup(item);
+    if (cached) {
+      await deliverCached(item, cached, signal);
+      botState.stopProcessing(url);
+      downloadManager.completeDownload(tag, { size: cached.fileSize, platform: cached.platform, cached: true });
+      return;
+    }
     
     // Download the video
-    const result = await videoDownloader.downloadVideo(url, {
+    result = await videoDownloader.downloadVideo(url, {
       tag,
-      retries: CONFIG.DOWNLOAD.MAX_RETRIES,
-      onProgress: (progress) => updateProgress(message, progress)
+      guildId: item.guildId,
+      attempt: item.retryCount || 0,
+      downloadOptions: item.downloadOptions,
+      clip: item.clip,
+      signal,
+      onProgress: (progress) => {
+        if (!signal?.aborted) updateProgress(message, progress);
+      }
     });
+
+    // Cancelled after the file finished downloading - don't upload it
+    throwIfCancelled(signal);
     
     // Update progress to processing
     await updateProgress(message, 100, 'processing');
     
+    // Convert VP9/AV1/HEVC downloads so they play inline on every client
+    result = await mediaProcessor.ensurePlayable(result, {
+      tag,
+      guildId: item.guildId,
+      downloadOptions: item.downloadOptions,
+      signal
+    });
+    throwIfCancelled(signal);
+    
+    // Too big for Discord - re-encode it if the guild prefers that over a file host link
+    if (mediaProcessor.needsTranscode(result, item.guildId)) {
+      await updateProgress(message, 100, 'compressing');
+      result = await mediaProcessor.fitToUploadLimit(result, { tag, url, guildId: item.guildId, signal });
+      throwIfCancelled(signal);
+    }
+    
     // Upload to Discord or file host with author info
-    await uploadService.uploadToDiscord(message, result.path, result.size, {
+    // Everything the provider knows about the post (title, stats, date) feeds the rich embed
+    const delivery = await uploadService.uploadMedia(message, result.items, {
+      ...result.metadata,
       tag,
       platform: result.platform,
-      resolution: result.metadata?.resolution,
-      uploader: result.metadata?.uploader,
-      caption: result.metadata?.caption,
-      authorId: authorId
+      sourceUrl: url,
+      spoiler: Boolean(item.downloadOptions?.spoiler),
+      guildId: item.guildId,
+      authorId: authorId,
+      signal
     });
     
-    // Clean up temporary file
-    await videoDownloader.cleanup(result.path);
+    // The cache takes over the files (and deletes them if the upload failed or caching is off)
+    const completed = result;
+    result = null;
+    await mediaCache.store(item, completed, delivery);
+    
+    // Gallery batches after the first are separate messages, Delete removes them too
+    if (delivery?.messageIds?.length) {
+      persistenceService.saveFollowUpMessages(tag, delivery.messageIds);
+    }
+
+    // Let anyone open the source, grab the audio, a GIF or another quality, and the requester delete it
+    if (delivery) {
+      await addResultRows(item, {
+        isVideo: completed.items.some(media => media.type === 'video'),
+        qualities: completed.metadata?.qualities
+      });
+    }
     
     // Mark URL as done processing
     botState.stopProcessing(url);
     
     // Mark download as complete
-    downloadManager.completeDownload(tag, result);
+    downloadManager.completeDownload(tag, completed);
     
   } catch (error) {
+    // Don't leave the downloaded files behind when the upload is cancelled or fails
+    if (result) {
+      await Promise.all(result.items.map(media => videoDownloader.cleanup(media.path)));
+    }
+
     botState.stopProcessing(url);
     downloadManager.handleDownloadError(item, error);
   }
 });
 
+downloadManager.on('download:cancelled', async (data) => {
+  const { message, url, guildId, cancelledBy } = data;
+
+  botState.stopProcessing(url);
+
+  if (!message) return;
+
+  try {
+    const locale = guildSettingsService.getLocale(guildId);
+    const text = cancelledBy ? t(locale, 'cancelledBy', { user: `<@${cancelledBy}>` }) : t(locale, 'cancelled');
+    const cancelledEmbed = new EmbedBuilder()
+      .setColor(0x95A5A6)
+      .setDescription(`⛔ ${text}`)
+      .setFooter({ text: `/queue retry ${data.tag}` })
+      .setTimestamp();
+
+    await message.edit({ embeds: [cancelledEmbed], components: [] });
+  } catch (error) {
+    logger.debug('Failed to update cancelled download:', { error: error.message });
+  }
+});
+
 downloadManager.on('download:complete', (data) => {
   logger.info(`✅ Download completed: ${data.tag}`);
 });
 
 downloadManager.on('download:error', async (data) => {
-  const { message, error, url } = data;
+  const { message, error, url, guildId } = data;
   
   logger.error(`❌ Download failed for ${url}: ${error.message}`);
   
@@ -198,14 +373,15 @@ downloadManager.on('download:error', async (data) => {
   }
   
   try {
+    const locale = guildSettingsService.getLocale(guildId);
     const errorEmbed = new EmbedBuilder()
       .setColor(0xE74C3C)
-      .setTitle(`${EMOJIS.error} Download Failed`)
-      .setDescription(`**Error:** ${error.message}`)
-      .setFooter({ text: 'Please try again or check if the video is available' })
+      .setTitle(`${EMOJIS.error} ${t(locale, 'downloadFailed')}`)
+      .setDescription(`**${t(locale, 'error')}:** ${error.message}`)
+      .setFooter({ text: t(locale, 'downloadFailedHint') })
       .setTimestamp();
     
-    await message.edit({ embeds: [errorEmbed] }).catch(() => {});
+    await message.edit({ embeds: [errorEmbed], components: [] }).catch(() => {});
   } catch (err) {
     logger.error('Failed to send error message:', { error: err.message });
   }
@@ -246,9 +422,9 @@ function scheduleHealthCheck() {
     
     // Clean up old processing URLs
     const now = Date.now();
-    for (const [url, time] of botState.processingUrls.entries()) {
+    for (const [key, time] of botState.processingUrls.entries()) {
       if (now - time > 60000) {
-        botState.processingUrls.delete(url);
+        botState.processingUrls.delete(key);
       }
     }
     
@@ -268,6 +444,13 @@ function scheduleHealthCheck() {
   logger.info('💓 Scheduled health monitoring');
 }
 
+function scheduleSelectionExpiry() {
+  const interval = setInterval(() => formatPickerService.expireSelections(client), CONFIG.SELECTION.SWEEP_INTERVAL);
+
+  botState.addInterval(interval);
+  logger.info('⏱️ Scheduled format picker expiry');
+}
+
 function scheduleCleanup() {
   const interval = setInterval(async () => {
     await videoDownloader.cleanupOldFiles(24);
@@ -278,6 +461,20 @@ function scheduleCleanup() {
   logger.info('🧹 Scheduled automatic cleanup');
 }
 
+function scheduleCacheCleanup() {
+  const interval = setInterval(() => mediaCache.cleanup(), CONFIG.CACHE.CLEANUP_INTERVAL);
+
+  botState.addInterval(interval);
+  logger.info('♻️ Scheduled media cache cleanup');
+}
+
+function scheduleRateLimitCleanup() {
+  const interval = setInterval(() => rateLimiter.cleanup(), CONFIG.RATE_LIMIT.CLEANUP_INTERVAL);
+
+  botState.addInterval(interval);
+  logger.info('🚦 Scheduled rate limit cleanup');
+}
+
 // ============= Graceful Shutdown =============
 
 async function gracefulShutdown() {
@@ -347,10 +544,16 @@ client.once('ready', async () => {
   scheduleYtDlpUpdates();
   scheduleHealthCheck();
   scheduleCleanup();
+  scheduleCacheCleanup();
+  scheduleRateLimitCleanup();
+
+  // Selections that expired while the bot was offline still show live buttons
+  await formatPickerService.expireSelections(client);
+  scheduleSelectionExpiry();
 
   // Start resource guards for 1GB RAM server
   memoryGuard.start(downloadManager, videoDownloader);
-  diskGuard.start(videoDownloader);
+  diskGuard.start(videoDownloader, mediaCache);
 
   await uploadService.sendAdminNotification(
     `🚀 Bot started successfully\n` +
@@ -361,34 +564,42 @@ client.once('ready', async () => {
   );
 });
 
-client.on('messageCreate', async (message) => {
-  // Allow bot messages (as requested - removed bot check)
-  
-  // Detect all URLs with built-in deduplication
-  const detectedUrls = detectAllUrls(message.content, PLATFORM_PATTERNS);
-  
-  if (detectedUrls.length === 0) {
-    return;
-  }
+// ============= Message Link Handling =============
 
-  // Log what was detected
-  if (detectedUrls.length > 0) {
-    logger.info(`🔍 Detected ${detectedUrls.length} unique URL(s) from ${message.author.tag}:`);
-    detectedUrls.forEach(({ url, platform }) => {
-      logger.info(`  • ${platform}: ${url}`);
-    });
-  }
+/**
+ * Detect supported links in a message, skipping platforms disabled for the guild
+ * Short links are expanded, so links to the same video are only returned once.
+ * @param {Object} message - Discord message
+ * @param {string|null} guildId - Guild ID
+ * @returns {Array} Detected URLs ({ url, platform, key, originalUrl })
+ */
+async function detectMessageUrls(message, guildId) {
+  const detectedUrls = detectAllUrls(message.content || '', PLATFORM_PATTERNS)
+    .filter(({ platform }) => guildSettingsService.isPlatformEnabled(guildId, platform));
+
+  return urlResolver.resolveAll(detectedUrls);
+}
+
+/**
+ * Queue every detected link of a message (or offer the YouTube quality picker)
+ * @param {Object} message - Message containing the links; status replies are attached to it
+ * @param {Array} detectedUrls - Links from detectMessageUrls()
+ * @param {Object} requester - Discord user who asked for the download
+ */
+async function processMessageUrls(message, detectedUrls, requester) {
+  const guildId = message.guild?.id || null;
+  const locale = guildSettingsService.getLocale(guildId);
 
   // Filter out URLs that are currently being processed
   const urlsToProcess = [];
   
-  for (const { url, platform } of detectedUrls) {
+  for (const { url, platform, key } of detectedUrls) {
     if (botState.isProcessing(url)) {
-      logger.warn(`⏱️ Already processing: ${url}`);
+      logger.warn(`⏱️ Already processing: ${url} (${key})`);
       continue;
     }
     
-    urlsToProcess.push({ url, platform });
+    urlsToProcess.push({ url, platform, key });
     botState.startProcessing(url);
   }
 
@@ -400,63 +611,68 @@ client.on('messageCreate', async (message) => {
   logger.info(`✨ Processing ${urlsToProcess.length} URL(s)`);
 
   // Process each unique URL
-  for (const { url, platform } of urlsToProcess) {
-    try {
-      // Special handling for YouTube - show quality selection
-      if (platform === 'youtube') {
-        const tag = downloadManager.generateTag();
-        const buttons = youtubeService.createQualityButtons(url, tag);
-
-        const selectionEmbed = new EmbedBuilder()
-          .setColor(0xFF0000)
-          .setTitle('▶️ YouTube - اختر الجودة أو الصيغة')
-          .setDescription(
-            `🎵 **MP3**: صوت فقط (3-5 MB)\n` +
-            `📹 **720p**: جودة عالية HD\n` +
-            `🎬 **1080p**: جودة كاملة Full HD\n` +
-            `📺 **1440p**: جودة 2K\n` +
-            `🎞️ **4K**: أعلى جودة 2160p\n` +
-            `⭐ **أفضل جودة**: أفضل ما هو متاح\n\n` +
-            `⏱️ *تنتهي الصلاحية بعد دقيقة واحدة*`
-          )
-          .setTimestamp();
+  for (const [index, { url, platform }] of urlsToProcess.entries()) {
+    // Take the rate limit token before probing, so a message full of links can't start unlimited probes
+    const limit = downloadManager.consumeRateLimit(requester.id, guildId);
+    if (!limit.allowed) {
+      urlsToProcess.slice(index).forEach(({ url: skipped }) => botState.stopProcessing(skipped));
+
+      const limitedEmbed = new EmbedBuilder()
+        .setColor(0xF39C12)
+        .setDescription(`${EMOJIS.warning} **${describeQueueRejection(locale, limit)}**`)
+        .setTimestamp();
 
-        await message.reply({
-          embeds: [selectionEmbed],
-          components: buttons
-        });
+      await message.reply({ embeds: [limitedEmbed] }).catch((error) => {
+        logger.warn('Failed to send rate limit reply:', { error: error.message });
+      });
+      break;
+    }
 
-        botState.stopProcessing(url); // Will be re-added when button is clicked
+    try {
+      // Let the poster pick a quality when the guild asks for it on this platform
+      const picker = await formatPickerService.offer(message, {
+        tag: downloadManager.generateTag(),
+        url,
+        platform,
+        userId: requester.id,
+        guildId,
+        locale
+      });
+
+      if (picker.asked) {
+        botState.stopProcessing(url); // Will be re-added when a quality is picked
         continue;
       }
 
-      // For other platforms - proceed normally
+      // No picker - download the best format straight away
       const replyEmbed = new EmbedBuilder()
         .setColor(0x3498DB)
-        .setDescription(`${getPlatformEmoji(platform)} **Queued for download...**`)
+        .setDescription(`${getPlatformEmoji(platform)} **${t(locale, 'queued')}**`)
         .setTimestamp();
 
-      const replyMessage = await message.reply({ embeds: [replyEmbed] });
+      const replyMessage = picker.reply
+        ? await picker.reply.edit({ embeds: [replyEmbed] })
+        : await message.reply({ embeds: [replyEmbed] });
 
       // Add to download queue
-      const added = downloadManager.addToQueue({
+      const queued = downloadManager.addToQueue({
         url,
         message: replyMessage,
         messageId: replyMessage.id,
         platform,
-        userId: message.author.id,
-        authorId: message.author.id,
+        userId: requester.id,
+        authorId: requester.id,
         channelId: message.channel.id,
-        guildId: message.guild?.id
-      });
+        guildId
+      }, { consumeToken: false });
 
-      if (!added) {
+      if (!queued.added) {
         // Queue is full
         botState.stopProcessing(url);
 
         const errorEmbed = new EmbedBuilder()
-          .setColor(0xE74C3C)
-          .setDescription(`${EMOJIS.error} **Queue is full. Please try again later.**`)
+          .setColor(queued.reason === 'rate_limited' ? 0xF39C12 : 0xE74C3C)
+          .setDescription(`${queued.reason === 'rate_limited' ? EMOJIS.warning : EMOJIS.error} **${describeQueueRejection(locale, queued)}**`)
           .setTimestamp();
 
         await replyMessage.edit({ embeds: [errorEmbed] });
@@ -467,6 +683,80 @@ client.on('messageCreate', async (message) => {
       botState.stopProcessing(url);
     }
   }
+}
+
+client.on('messageCreate', async (message) => {
+  // Allow bot messages unless the guild opted out (ignoreBots)
+  const guildId = message.guild?.id || null;
+
+  if (!guildSettingsService.isChannelAllowed(guildId, message.channel.id)) {
+    return;
+  }
+
+  if (guildSettingsService.shouldIgnoreAuthor(guildId, message.author)) {
+    return;
+  }
+
+  const mode = guildSettingsService.getChannelMode(guildId, message.channel.id);
+  if (mode === CHANNEL_MODES.OFF || mode === CHANNEL_MODES.COMMAND_ONLY) {
+    return;
+  }
+  
+  // Detect all URLs with built-in deduplication
+  const detectedUrls = await detectMessageUrls(message, guildId);
+  
+  if (detectedUrls.length === 0) {
+    return;
+  }
+
+  // Log what was detected
+  logger.info(`🔍 Detected ${detectedUrls.length} unique URL(s) from ${message.author.tag}:`);
+  detectedUrls.forEach(({ url, platform }) => {
+    logger.info(`  • ${platform}: ${url}`);
+  });
+
+  // React mode: offer the download, wait for someone to click ⬇️
+  if (mode === CHANNEL_MODES.REACT) {
+    await message.react(EMOJIS.downloading).catch((error) => {
+      logger.warn('Failed to add download reaction:', { error: error.message });
+    });
+    return;
+  }
+
+  await processMessageUrls(message, detectedUrls, message.author);
+});
+
+client.on('messageReactionAdd', async (reaction, user) => {
+  if (user.bot || reaction.emoji.name !== EMOJIS.downloading) {
+    return;
+  }
+
+  try {
+    if (reaction.partial) await reaction.fetch();
+    if (reaction.message.partial) await reaction.message.fetch();
+  } catch (error) {
+    logger.debug('Failed to fetch reacted message:', { error: error.message });
+    return;
+  }
+
+  const { message } = reaction;
+  const guildId = message.guild?.id || null;
+
+  // Only act on messages the bot offered, and only while the channel is still in react mode
+  if (!reaction.me || guildSettingsService.getChannelMode(guildId, message.channel.id) !== CHANNEL_MODES.REACT) {
+    return;
+  }
+
+  const detectedUrls = await detectMessageUrls(message, guildId);
+  if (detectedUrls.length === 0) {
+    return;
+  }
+
+  logger.info(`⬇️ ${user.tag} requested ${detectedUrls.length} URL(s) via reaction`);
+
+  // Remove our reaction so each offer is only downloaded once
+  await reaction.users.remove(client.user.id).catch(() => {});
+  await processMessageUrls(message, detectedUrls, user);
 });
 
 client.on('error', (error) => {
@@ -476,53 +766,65 @@ client.on('error', (error) => {
 // ============= Command Handler =============
 
 client.on('interactionCreate', async (interaction) => {
-  // Handle YouTube quality selection buttons
-  if (interaction.isButton()) {
-    const selection = youtubeService.parseButtonInteraction(interaction.customId);
+  // Buttons and select menus owned by command modules (e.g. Cancel)
+  const isComponent = interaction.isButton() || interaction.isStringSelectMenu();
+  if (isComponent && await commandRegistry.handleComponent(interaction, { client, botState })) {
+    return;
+  }
+
+  // Handle the format picker
+  if (isComponent) {
+    const selection = formatPickerService.parseInteraction(interaction);
+    const locale = guildSettingsService.getLocale(interaction.guildId);
 
     if (!selection) {
-      await interaction.reply({
-        content: '❌ انتهت صلاحية هذا الاختيار. أرسل الرابط مرة أخرى.',
-        ephemeral: true
-      });
+      await interaction.reply({ content: `${EMOJIS.error} ${t(locale, 'selectionExpired')}`, ephemeral: true });
+      // Don't leave dead menus behind
+      await interaction.message.edit({ components: disableComponents(interaction.message) }).catch(() => {});
+      return;
+    }
+
+    if (!canControlDownload(interaction, { authorId: selection.userId, guildId: selection.guildId })) {
+      await interaction.reply({ content: `${EMOJIS.error} ${t(locale, 'selectionNotYours')}`, ephemeral: true });
       return;
     }
 
-    const { tag, url, quality, isAudio } = selection;
-    const formatOptions = youtubeService.getFormatOptions(quality);
+    const { tag, url, platform, quality } = selection;
+    formatPickerService.completeSelection(tag);
 
     await interaction.deferReply();
 
     try {
       // Create initial status message
       const statusEmbed = new EmbedBuilder()
-        .setColor(0xFF0000)
-        .setDescription(`▶️ **جاري التحميل:** ${formatOptions.description}...`)
+        .setColor(0x3498DB)
+        .setDescription(`${getPlatformEmoji(platform)} **${t(locale, 'queued')}** (${quality})`)
         .setTimestamp();
 
       const statusMessage = await interaction.followUp({ embeds: [statusEmbed] });
 
-      // Add to queue with YouTube-specific options
-      const added = downloadManager.addToQueue({
+      // Same options as /download, so every provider understands them
+      const queued = downloadManager.addToQueue({
         url,
         message: statusMessage,
         messageId: statusMessage.id,
-        platform: 'youtube',
-        userId: interaction.user.id,
-        authorId: interaction.user.id,
+        platform,
+        // The poster keeps Cancel and Delete even when an admin picked for them
+        userId: selection.userId,
+        authorId: selection.userId,
         channelId: interaction.channel.id,
         guildId: interaction.guild?.id,
-        youtubeOptions: {
+        downloadOptions: {
           quality,
-          isAudio,
-          formatOptions
-        }
-      });
+          format: quality === 'audio' ? 'mp3' : 'mp4'
+        },
+        clip: getUrlClip(url, CONFIG.CLIP.DEFAULT_LENGTH)
+      }, { consumeToken: false }); // Taken when the link was posted
 
-      if (!added) {
+      if (!queued.added) {
         const errorEmbed = new EmbedBuilder()
-          .setColor(0xE74C3C)
-          .setDescription(`${EMOJIS.error} **الطابور ممتلئ. حاول مرة أخرى لاحقاً.**`)
+          .setColor(queued.reason === 'rate_limited' ? 0xF39C12 : 0xE74C3C)
+          .setDescription(`${queued.reason === 'rate_limited' ? EMOJIS.warning : EMOJIS.error} **${describeQueueRejection(locale, queued)}**`)
           .setTimestamp();
 
         await statusMessage.edit({ embeds: [errorEmbed] });
@@ -532,9 +834,9 @@ client.on('interactionCreate', async (interaction) => {
       await interaction.message.delete().catch(() => {});
 
     } catch (error) {
-      logger.error(`YouTube button interaction failed:`, { error: error.message });
+      logger.error(`Format picker selection failed:`, { error: error.message });
       await interaction.followUp({
-        content: '❌ حدث خطأ. حاول مرة أخرى.',
+        content: `${EMOJIS.error} ${t(locale, 'selectionFailed')}`,
         ephemeral: true
       });
     }
@@ -542,166 +844,9 @@ client.on('interactionCreate', async (interaction) => {
     return;
   }
 
-  if (!interaction.isCommand()) return;
-  
-  const { commandName } = interaction;
-  
-  try {
-    switch (commandName) {
-      case 'stats':
-        const stats = downloadManager.getStats();
-        const statsEmbed = new EmbedBuilder()
-          .setColor(0x3498DB)
-          .setTitle('📊 Bot Statistics')
-          .addFields(
-            { name: 'Uptime', value: formatUptime(stats.uptime), inline: true },
-            { name: 'Total Downloads', value: stats.totalDownloads.toString(), inline: true },
-            { name: 'Success Rate', value: stats.successRate, inline: true },
-            { name: 'Queue Size', value: `${stats.queueSize}/${CONFIG.DOWNLOAD.MAX_QUEUE_SIZE}`, inline: true },
-            { name: 'Active Downloads', value: `${stats.activeDownloads}/${CONFIG.DOWNLOAD.MAX_CONCURRENT}`, inline: true },
-            { name: 'Total Data', value: formatBytes(stats.totalBytes), inline: true }
-          )
-          .setTimestamp();
-        
-        await interaction.reply({ embeds: [statsEmbed], ephemeral: true });
-        break;
-        
-      case 'queue':
-        const queueStatus = downloadManager.getQueueStatus();
-        const queueEmbed = new EmbedBuilder()
-          .setColor(0x3498DB)
-          .setTitle('📋 Download Queue')
-          .setDescription(
-            `**Active:** ${queueStatus.active}/${queueStatus.maxConcurrent}\n` +
-            `**Queued:** ${queueStatus.size}/${queueStatus.maxSize}\n\n` +
-            (queueStatus.items.length > 0 
-              ? queueStatus.items.slice(0, 5).map((item, i) => 
-                  `${i + 1}. ${getPlatformEmoji(item.platform)} ${item.platform}`
-                ).join('\n')
-              : 'Queue is empty')
-          )
-          .setTimestamp();
-        
-        await interaction.reply({ embeds: [queueEmbed], ephemeral: true });
-        break;
-        
-      case 'system':
-        if (!isAdminUser(interaction.user.id)) {
-          await interaction.reply({ content: 'Only bot admins can use /system commands.', ephemeral: true });
-          return;
-        }
-        
-        await interaction.deferReply({ ephemeral: true });
-        const subcommand = interaction.options.getSubcommand();
-        
-        try {
-          switch (subcommand) {
-            case 'status': {
-              const [systemStatus, stats] = await Promise.all([
-                systemService.getSystemStatus(),
-                downloadManager.getStats()
-              ]);
-              
-              const disk = systemStatus.disk
-                ? `${systemStatus.disk.used}/${systemStatus.disk.size} (${systemStatus.disk.percent})`
-                : 'Unavailable';
-              
-              const statusEmbed = new EmbedBuilder()
-                .setColor(0x2ECC71)
-                .setTitle('🖥️ System Status')
-                .addFields(
-                  {
-                    name: 'CPU Load',
-                    value: `${systemStatus.load1.toFixed(2)} (${systemStatus.cpuCount} cores)`,
-                    inline: true
-                  },
-                  {
-                    name: 'Memory',
-                    value: `${formatBytes(systemStatus.memUsed)} / ${formatBytes(systemStatus.memTotal)} (${systemStatus.memPercent.toFixed(1)}%)`,
-                    inline: true
-                  },
-                  {
-                    name: 'Disk (/)',
-                    value: disk,
-                    inline: true
-                  },
-                  {
-                    name: 'Uptime',
-                    value: formatUptime(systemStatus.uptime),
-                    inline: true
-                  },
-                  {
-                    name: 'Queue',
-                    value: `${stats.activeDownloads}/${CONFIG.DOWNLOAD.MAX_CONCURRENT} active\n${stats.queueSize}/${CONFIG.DOWNLOAD.MAX_QUEUE_SIZE} queued`,
-                    inline: true
-                  },
-                  {
-                    name: 'Downloads',
-                    value: `${stats.totalDownloads} total (${stats.successRate} success)`,
-                    inline: true
-                  }
-                )
-                .setTimestamp();
-              
-              await interaction.editReply({ embeds: [statusEmbed] });
-              break;
-            }
-            
-            case 'apt-upgrade': {
-              try {
-                const output = await systemService.runAptUpgrade();
-                await interaction.editReply({
-                  content: `✅ apt update && upgrade completed:\n\`\`\`${output}\`\`\``
-                });
-              } catch (error) {
-                await interaction.editReply({
-                  content: `❌ apt upgrade failed: ${error.message}\n\`\`\`${error.output || 'No output captured'}\`\`\``
-                });
-              }
-              break;
-            }
-            
-            case 'update-yt': {
-              try {
-                const output = await systemService.updateYtDlpBinary();
-                await interaction.editReply({
-                  content: `✅ yt-dlp update result:\n\`\`\`${output}\`\`\``
-                });
-              } catch (error) {
-                await interaction.editReply({
-                  content: `❌ yt-dlp update failed: ${error.message}`
-                });
-              }
-              break;
-            }
-            
-            case 'reboot': {
-              await interaction.editReply({
-                content: '♻️ Reboot scheduled in 5 seconds. The bot will disconnect shortly.'
-              });
-              systemService.scheduleReboot(5000);
-              break;
-            }
-            
-            default:
-              await interaction.editReply({ content: 'Unknown system command.' });
-          }
-        } catch (error) {
-          logger.error('System command error:', { error: error.message, subcommand });
-          await interaction.editReply({ content: `❌ Command failed: ${error.message}` });
-        }
-        break;
-        
-      default:
-        await interaction.reply({ content: 'Unknown command', ephemeral: true });
-    }
-  } catch (error) {
-    logger.error('Command error:', { error: error.message, command: commandName });
-    await interaction.reply({ 
-      content: 'An error occurred while processing your command', 
-      ephemeral: true 
-    }).catch(() => {});
-  }
+  if (!interaction.isChatInputCommand()) return;
+
+  await commandRegistry.handle(interaction, { client, botState });
 });
 
 // ============= Start Bot =============
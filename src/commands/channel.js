@@ -0,0 +1,119 @@
+// commands/channel.js - /channel: per-channel link handling modes
+const {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  PermissionFlagsBits,
+  InteractionContextType
+} = require('discord.js');
+const { CHANNEL_MODES } = require('../constants');
+const guildSettingsService = require('../services/guildSettingsService');
+
+const MODE_CHOICES = [
+  { name: 'auto - download every link', value: CHANNEL_MODES.AUTO },
+  { name: 'react - add ⬇️ and download on click', value: CHANNEL_MODES.REACT },
+  { name: 'command-only - only /download works', value: CHANNEL_MODES.COMMAND_ONLY },
+  { name: 'off - no downloads', value: CHANNEL_MODES.OFF }
+];
+
+function buildModesEmbed(guildId) {
+  const settings = guildSettingsService.get(guildId);
+  const overrides = Object.entries(guildSettingsService.getChannelModes(guildId));
+
+  return new EmbedBuilder()
+    .setColor(0x3498DB)
+    .setTitle('📺 Channel Modes')
+    .addFields(
+      { name: 'Default Mode', value: settings.defaultChannelMode, inline: true },
+      { name: 'Ignore Bots', value: settings.ignoreBots ? 'On' : 'Off', inline: true },
+      {
+        name: 'Overrides',
+        value: overrides.length > 0
+          ? overrides.map(([channelId, mode]) => `<#${channelId}>: **${mode}**`).join('\n')
+          : 'None'
+      }
+    )
+    .setTimestamp();
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('channel')
+    .setDescription('Control how the bot handles links in channels')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setContexts(InteractionContextType.Guild)
+    .addSubcommand(sub => sub
+      .setName('mode')
+      .setDescription('Set the link handling mode for a channel')
+      .addStringOption(option => option
+        .setName('mode')
+        .setDescription('Mode')
+        .setRequired(true)
+        .addChoices(...MODE_CHOICES))
+      .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Channel (defaults to the current one)')))
+    .addSubcommand(sub => sub
+      .setName('default')
+      .setDescription('Set the mode for channels without an override')
+      .addStringOption(option => option
+        .setName('mode')
+        .setDescription('Mode')
+        .setRequired(true)
+        .addChoices(...MODE_CHOICES)))
+    .addSubcommand(sub => sub
+      .setName('reset')
+      .setDescription('Remove the override for a channel')
+      .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Channel (defaults to the current one)')))
+    .addSubcommand(sub => sub
+      .setName('ignore-bots')
+      .setDescription('Ignore links posted by other bots')
+      .addBooleanOption(option => option
+        .setName('enabled')
+        .setDescription('Whether bot messages are ignored')
+        .setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('list')
+      .setDescription('Show the channel modes for this server')),
+
+  permission: 'manageGuild',
+
+  async execute(interaction) {
+    const { guildId, options } = interaction;
+    const subcommand = options.getSubcommand();
+    const channelId = options.getChannel('channel')?.id || interaction.channelId;
+
+    if (!guildId) {
+      await interaction.reply({ content: 'Channel modes can only be changed inside a server.', ephemeral: true });
+      return;
+    }
+
+    switch (subcommand) {
+      case 'mode':
+        guildSettingsService.setChannelMode(guildId, channelId, options.getString('mode', true));
+        break;
+
+      case 'default':
+        guildSettingsService.update(guildId, { defaultChannelMode: options.getString('mode', true) });
+        break;
+
+      case 'reset':
+        guildSettingsService.setChannelMode(guildId, channelId, null);
+        break;
+
+      case 'ignore-bots':
+        guildSettingsService.update(guildId, { ignoreBots: options.getBoolean('enabled', true) });
+        break;
+
+      case 'list':
+        break;
+
+      default:
+        await interaction.reply({ content: 'Unknown channel command.', ephemeral: true });
+        return;
+    }
+
+    await interaction.reply({ embeds: [buildModesEmbed(guildId)], ephemeral: true });
+  }
+};
@@ -0,0 +1,255 @@
+// commands/download.js - /download: queue a link with explicit quality/format choices
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { CONFIG } = require('../config');
+const { PLATFORM_PATTERNS, EMOJIS, QUALITY_OPTIONS, CHANNEL_MODES, CAPTION_LANGUAGE_PATTERN } = require('../constants');
+const logger = require('../utils/logger');
+const { t, describeQueueRejection } = require('../utils/i18n');
+const { COMPONENT_IDS } = require('../utils/components');
+const { AUDIO_BITRATES } = require('../utils/formats');
+const downloadManager = require('../services/downloadManager');
+const guildSettingsService = require('../services/guildSettingsService');
+const persistenceService = require('../services/persistenceService');
+const mediaCache = require('../services/mediaCache');
+const urlResolver = require('../services/urlResolver');
+const { canControlDownload, canManageGuild } = require('../utils/permissions');
+const { detectAllUrls, getPlatformEmoji, parseClipRange, getUrlClip } = require('../utils/helpers');
+
+const FORMAT_CHOICES = ['mp4', 'webm', 'mp3', 'm4a', 'opus', 'gif', 'webp'];
+
+/**
+ * Check whether downloads from a platform are allowed where the interaction happened
+ * @param {Object} interaction - Discord interaction
+ * @param {string} platform - Platform name
+ * @param {Object} settings - Guild settings
+ * @returns {string|null} Error message or null when allowed
+ */
+function getBlockedReason(interaction, platform, settings) {
+  const { guildId, channelId } = interaction;
+
+  const channelOff = guildSettingsService.getChannelMode(guildId, channelId) === CHANNEL_MODES.OFF;
+  if (!guildSettingsService.isChannelAllowed(guildId, channelId) || channelOff) {
+    return t(settings.locale, 'channelNotAllowed');
+  }
+
+  if (!guildSettingsService.isPlatformEnabled(guildId, platform)) {
+    return t(settings.locale, 'platformDisabled', { platform });
+  }
+
+  return null;
+}
+
+/**
+ * Post a status message for a deferred interaction and queue the download
+ * @param {Object} interaction - Deferred Discord interaction
+ * @param {Object} request - { url, platform, downloadOptions, clip, settings }
+ */
+async function queueDownload(interaction, { url, platform, downloadOptions, clip = null, settings }) {
+  const replyEmbed = new EmbedBuilder()
+    .setColor(0x3498DB)
+    .setDescription(`${getPlatformEmoji(platform)} **${t(settings.locale, 'queued')}**`)
+    .setTimestamp();
+
+  const statusMessage = await interaction.editReply({ embeds: [replyEmbed] });
+
+  const queued = downloadManager.addToQueue({
+    url,
+    message: statusMessage,
+    messageId: statusMessage.id,
+    platform,
+    userId: interaction.user.id,
+    authorId: interaction.user.id,
+    channelId: interaction.channelId,
+    guildId: interaction.guildId,
+    downloadOptions,
+    clip
+  });
+
+  if (!queued.added) {
+    const errorEmbed = new EmbedBuilder()
+      .setColor(queued.reason === 'rate_limited' ? 0xF39C12 : 0xE74C3C)
+      .setDescription(`${queued.reason === 'rate_limited' ? EMOJIS.warning : EMOJIS.error} **${describeQueueRejection(settings.locale, queued)}**`)
+      .setTimestamp();
+
+    await statusMessage.edit({ embeds: [errorEmbed] });
+  }
+}
+
+/**
+ * Queue a finished download again in another format (result buttons)
+ * @param {Object} interaction - Button interaction
+ * @param {string} tag - Download tag of the finished upload
+ * @param {Object} downloadOptions - Options for the new download ({ quality, format })
+ */
+async function requeueFinished(interaction, tag, downloadOptions) {
+  const settings = guildSettingsService.get(interaction.guildId);
+  const stored = downloadManager.findItem(tag)?.item || persistenceService.getDownload(tag);
+
+  if (!stored) {
+    await interaction.reply({ content: `${EMOJIS.error} ${t(settings.locale, 'downloadUnavailable')}`, ephemeral: true });
+    return;
+  }
+
+  const blocked = getBlockedReason(interaction, stored.platform, settings);
+  if (blocked) {
+    await interaction.reply({ content: `${EMOJIS.error} ${blocked}`, ephemeral: true });
+    return;
+  }
+
+  await interaction.deferReply();
+
+  logger.info(`🔁 ${downloadOptions.quality} ${downloadOptions.format.toUpperCase()} requested by ${interaction.user.tag} for ${tag}: ${stored.url}`);
+
+  await queueDownload(interaction, {
+    url: stored.url,
+    platform: stored.platform,
+    downloadOptions: {
+      ...downloadOptions,
+      spoiler: Boolean(stored.downloadOptions?.spoiler)
+    },
+    clip: stored.clip || null,
+    settings
+  });
+}
+
+/**
+ * Delete a finished upload (result button), including the follow-up messages of a gallery
+ * Only the requester, bot admins and server managers may delete it; once the
+ * download record is gone only managers can.
+ * @param {Object} interaction - Button interaction
+ * @param {string} tag - Download tag of the finished upload
+ */
+async function deleteUpload(interaction, tag) {
+  const locale = guildSettingsService.getLocale(interaction.guildId);
+  const stored = downloadManager.findItem(tag)?.item || persistenceService.getDownload(tag);
+  const allowed = stored ? canControlDownload(interaction, stored) : canManageGuild(interaction);
+
+  if (!allowed) {
+    await interaction.reply({ content: `${EMOJIS.error} ${t(locale, 'deleteNotAllowed')}`, ephemeral: true });
+    return;
+  }
+
+  await interaction.deferUpdate();
+  await interaction.message.delete();
+
+  const followUps = [];
+  for (const messageId of stored?.followUpIds || []) {
+    try {
+      const followUp = await interaction.channel.messages.fetch(messageId);
+      await followUp.delete();
+      followUps.push(followUp);
+    } catch (error) {
+      // Already deleted by hand
+      logger.debug(`[${tag}] Could not delete follow-up message ${messageId}: ${error.message}`);
+    }
+  }
+
+  if (stored) {
+    mediaCache.forgetUpload(stored, [interaction.message, ...followUps]);
+  }
+
+  logger.info(`[${tag}] 🗑️ Upload deleted by ${interaction.user.tag}`);
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('download')
+    .setDescription('Download a video from any supported platform')
+    .addStringOption(option => option
+      .setName('url')
+      .setDescription('Link to the video')
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('quality')
+      .setDescription('Maximum quality (default: server setting)')
+      .addChoices(...QUALITY_OPTIONS.map(value => ({ name: value, value }))))
+    .addStringOption(option => option
+      .setName('format')
+      .setDescription('Output format (default: mp4)')
+      .addChoices(...FORMAT_CHOICES.map(value => ({ name: value, value }))))
+    .addStringOption(option => option
+      .setName('bitrate')
+      .setDescription('Audio bitrate for mp3/m4a/opus (default: 192 kbps)')
+      .addChoices(...AUDIO_BITRATES.map(value => ({ name: `${value} kbps`, value }))))
+    .addStringOption(option => option
+      .setName('clip')
+      .setDescription('Only download part of the video, e.g. 1:23-1:53'))
+    .addStringOption(option => option
+      .setName('subtitles')
+      .setDescription('Attach captions in this language, e.g. en or ar'))
+    .addBooleanOption(option => option
+      .setName('burn_subtitles')
+      .setDescription('Burn the captions into the video instead of attaching them'))
+    .addBooleanOption(option => option
+      .setName('spoiler')
+      .setDescription('Post the result as a spoiler')),
+
+  permission: 'everyone',
+
+  async execute(interaction) {
+    const settings = guildSettingsService.get(interaction.guildId);
+    const input = interaction.options.getString('url', true);
+    const [detected] = detectAllUrls(input, PLATFORM_PATTERNS);
+
+    if (!detected) {
+      await interaction.reply({
+        content: `${EMOJIS.error} ${t(settings.locale, 'unsupportedLink', { platforms: Object.keys(PLATFORM_PATTERNS).join(', ') })}`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    const { platform } = detected;
+
+    const blocked = getBlockedReason(interaction, platform, settings);
+    if (blocked) {
+      await interaction.reply({ content: `${EMOJIS.error} ${blocked}`, ephemeral: true });
+      return;
+    }
+
+    const subtitleLang = interaction.options.getString('subtitles')?.trim();
+    if (subtitleLang && !CAPTION_LANGUAGE_PATTERN.test(subtitleLang)) {
+      await interaction.reply({ content: `${EMOJIS.error} ${t(settings.locale, 'invalidLanguage')}`, ephemeral: true });
+      return;
+    }
+
+    const downloadOptions = {
+      quality: interaction.options.getString('quality') || settings.defaultQuality,
+      format: interaction.options.getString('format') || 'mp4',
+      audioBitrate: interaction.options.getString('bitrate') || undefined,
+      subtitles: subtitleLang
+        ? { lang: subtitleLang, burn: interaction.options.getBoolean('burn_subtitles') || false }
+        : undefined,
+      spoiler: interaction.options.getBoolean('spoiler') || false
+    };
+
+    const clipInput = interaction.options.getString('clip');
+    const clip = clipInput
+      ? parseClipRange(clipInput, CONFIG.CLIP.DEFAULT_LENGTH)
+      : getUrlClip(detected.url, CONFIG.CLIP.DEFAULT_LENGTH);
+
+    if (clipInput && (!clip || clip.end - clip.start > CONFIG.CLIP.MAX_LENGTH)) {
+      await interaction.reply({
+        content: `${EMOJIS.error} ${t(settings.locale, 'invalidClip', { max: CONFIG.CLIP.MAX_LENGTH })}`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply();
+
+    // Expanding a short link can take a few seconds, so only after deferring
+    const { url } = await urlResolver.resolve(detected.url);
+
+    logger.info(`📥 /download from ${interaction.user.tag}: ${platform} ${url}`, { ...downloadOptions, clip });
+
+    await queueDownload(interaction, { url, platform, downloadOptions, clip, settings });
+  },
+
+  buttons: {
+    // Result components on finished uploads - queue the same link as MP3, GIF or another quality
+    [COMPONENT_IDS.AUDIO]: (interaction, tag) => requeueFinished(interaction, tag, { quality: 'audio', format: 'mp3' }),
+    [COMPONENT_IDS.GIF]: (interaction, tag) => requeueFinished(interaction, tag, { quality: 'best', format: 'gif' }),
+    [COMPONENT_IDS.QUALITY]: (interaction, tag) => requeueFinished(interaction, tag, { quality: interaction.values[0], format: 'mp4' }),
+    [COMPONENT_IDS.DELETE]: deleteUpload
+  }
+};
@@ -0,0 +1,158 @@
+// commands/index.js - Declarative slash-command registry
+// Each command module exports { data, permission, execute, buttons? }:
+//   data       - SlashCommandBuilder schema (used by scripts/deploy-commands.js)
+//   permission - 'everyone' | 'manageGuild' | 'admin'
+//   execute    - async (interaction, context) handler
+//   buttons    - optional { [customIdPrefix]: async (interaction, id, context) } handlers
+//                for buttons and select menus whose custom ID is `${prefix}_${id}`
+const logger = require('../utils/logger');
+const { isAdminUser, canManageGuild } = require('../utils/permissions');
+
+const commandModules = [
+  require('./download'),
+  require('./transcript'),
+  require('./stats'),
+  require('./queue'),
+  require('./settings'),
+  require('./channel'),
+  require('./system')
+];
+
+const PERMISSION_CHECKS = {
+  everyone: () => true,
+  manageGuild: (interaction) => canManageGuild(interaction),
+  admin: (interaction) => isAdminUser(interaction.user.id)
+};
+
+const PERMISSION_DENIED = {
+  manageGuild: (name) => `You need the Manage Server permission to use /${name}.`,
+  admin: (name) => `Only bot admins can use /${name} commands.`
+};
+
+class CommandRegistry {
+  constructor(modules) {
+    this.commands = new Map();
+    this.buttons = new Map();
+
+    for (const command of modules) {
+      this.register(command);
+    }
+  }
+
+  /**
+   * Register a command module
+   * @param {Object} command - Command module ({ data, permission, execute })
+   */
+  register(command) {
+    const name = command.data.name;
+
+    if (this.commands.has(name)) {
+      throw new Error(`Duplicate command registered: /${name}`);
+    }
+    if (!PERMISSION_CHECKS[command.permission || 'everyone']) {
+      throw new Error(`Unknown permission "${command.permission}" for /${name}`);
+    }
+
+    this.commands.set(name, command);
+
+    for (const [prefix, handler] of Object.entries(command.buttons || {})) {
+      if (this.buttons.has(prefix)) {
+        throw new Error(`Duplicate button prefix registered: ${prefix}`);
+      }
+      this.buttons.set(prefix, handler);
+    }
+  }
+
+  /**
+   * Get the JSON payload for Discord's bulk command registration
+   * @returns {Array} Command schemas
+   */
+  toJSON() {
+    return [...this.commands.values()].map(command => command.data.toJSON());
+  }
+
+  /**
+   * Check whether an interaction passes a command's permission requirement
+   * @param {Object} command - Command module
+   * @param {Object} interaction - Discord interaction
+   * @returns {boolean} Whether the user may run the command
+   */
+  isAllowed(command, interaction) {
+    const check = PERMISSION_CHECKS[command.permission || 'everyone'];
+    return check(interaction);
+  }
+
+  /**
+   * Dispatch a chat-input command interaction to its handler
+   * @param {Object} interaction - Discord chat-input interaction
+   * @param {Object} context - Shared bot context passed to handlers
+   */
+  async handle(interaction, context = {}) {
+    const { commandName } = interaction;
+    const command = this.commands.get(commandName);
+
+    if (!command) {
+      await interaction.reply({ content: 'Unknown command', ephemeral: true });
+      return;
+    }
+
+    if (!this.isAllowed(command, interaction)) {
+      const denied = PERMISSION_DENIED[command.permission];
+      await interaction.reply({ content: denied(commandName), ephemeral: true });
+      return;
+    }
+
+    try {
+      await command.execute(interaction, context);
+    } catch (error) {
+      logger.error('Command error:', { error: error.message, command: commandName });
+      await this.replyWithError(interaction);
+    }
+  }
+
+  /**
+   * Dispatch a button or select menu interaction to the handler registered for its prefix
+   * @param {Object} interaction - Discord button or select menu interaction
+   * @param {Object} context - Shared bot context passed to handlers
+   * @returns {boolean} Whether a registered handler took the interaction
+   */
+  async handleComponent(interaction, context = {}) {
+    const { customId } = interaction;
+    const prefix = [...this.buttons.keys()].find(key => customId.startsWith(`${key}_`));
+
+    if (!prefix) {
+      return false;
+    }
+
+    try {
+      await this.buttons.get(prefix)(interaction, customId.slice(prefix.length + 1), context);
+    } catch (error) {
+      logger.error('Component error:', { error: error.message, customId });
+      await this.replyWithError(interaction);
+    }
+
+    return true;
+  }
+
+  /**
+   * Tell the user that their interaction failed
+   * @param {Object} interaction - Discord interaction
+   */
+  async replyWithError(interaction) {
+    const response = {
+      content: 'An error occurred while processing your command',
+      ephemeral: true
+    };
+
+    if (interaction.deferred || interaction.replied) {
+      await interaction.followUp(response).catch(() => {});
+    } else {
+      await interaction.reply(response).catch(() => {});
+    }
+  }
+}
+
+// Create singleton instance
+const commandRegistry = new CommandRegistry(commandModules);
+
+module.exports = commandRegistry;
@@ -0,0 +1,175 @@
+// commands/queue.js - /queue: download queue overview and control
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const downloadManager = require('../services/downloadManager');
+const persistenceService = require('../services/persistenceService');
+const { getPlatformEmoji } = require('../utils/helpers');
+const { isAdminUser, canControlDownload } = require('../utils/permissions');
+const { COMPONENT_IDS } = require('../utils/components');
+
+const RETRY_ERRORS = {
+  in_progress: 'That download is still queued or running.',
+  not_found: 'No failed or cancelled download with that tag.',
+  queue_full: 'Queue is full. Please try again later.',
+  message_missing: 'The original status message no longer exists.'
+};
+
+function formatItem(item, index) {
+  const priority = item.priority ? ' ⏫' : '';
+  const requester = item.authorId ? ` • <@${item.authorId}>` : '';
+  return `${index + 1}. ${getPlatformEmoji(item.platform)} \`${item.tag}\`${requester}${priority}`;
+}
+
+function buildQueueEmbed(interaction) {
+  const queueStatus = downloadManager.getQueueStatus();
+
+  // Bot admins see every server, everyone else only their own
+  const visible = (item) => isAdminUser(interaction.user.id) || item.guildId === interaction.guildId;
+  const active = queueStatus.activeItems.filter(visible);
+  const queued = queueStatus.items.filter(visible);
+
+  return new EmbedBuilder()
+    .setColor(0x3498DB)
+    .setTitle('📋 Download Queue')
+    .setDescription(
+      `**Active:** ${queueStatus.active}/${queueStatus.maxConcurrent}\n` +
+      `**Queued:** ${queueStatus.size}/${queueStatus.maxSize}\n\n` +
+      (active.length > 0 ? `**Running**\n${active.slice(0, 5).map(formatItem).join('\n')}\n\n` : '') +
+      (queued.length > 0
+        ? `**Waiting**\n${queued.slice(0, 10).map(formatItem).join('\n')}`
+        : 'Queue is empty')
+    )
+    .setFooter({ text: 'Use /queue cancel <tag> to stop a download' })
+    .setTimestamp();
+}
+
+/**
+ * Cancel a download if the user is allowed to
+ * @param {Object} interaction - Discord interaction
+ * @param {string} tag - Download tag
+ * @returns {string} Result message for the user
+ */
+function cancelDownload(interaction, tag) {
+  const found = downloadManager.findItem(tag);
+
+  if (!found) {
+    return 'That download has already finished or does not exist.';
+  }
+  if (!canControlDownload(interaction, found.item)) {
+    return 'Only the requester or a server manager can cancel this download.';
+  }
+
+  downloadManager.cancel(tag, interaction.user.id);
+  return `Cancelled \`${tag}\`.`;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('queue')
+    .setDescription('Show and manage the download queue')
+    .addSubcommand(sub => sub
+      .setName('list')
+      .setDescription('Show the current download queue'))
+    .addSubcommand(sub => sub
+      .setName('cancel')
+      .setDescription('Cancel a queued or running download')
+      .addStringOption(option => option
+        .setName('tag')
+        .setDescription('Download tag (see /queue list)')
+        .setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('retry')
+      .setDescription('Queue a failed or cancelled download again')
+      .addStringOption(option => option
+        .setName('tag')
+        .setDescription('Download tag')
+        .setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('move')
+      .setDescription('Move a queued download (bot admins only)')
+      .addStringOption(option => option
+        .setName('tag')
+        .setDescription('Download tag')
+        .setRequired(true))
+      .addStringOption(option => option
+        .setName('position')
+        .setDescription('Where to move it')
+        .setRequired(true)
+        .addChoices(
+          { name: 'top', value: 'top' },
+          { name: 'bottom', value: 'bottom' }
+        )))
+    .addSubcommand(sub => sub
+      .setName('clear')
+      .setDescription('Remove every waiting download (bot admins only)')),
+
+  permission: 'everyone',
+
+  async execute(interaction, { client }) {
+    const subcommand = interaction.options.getSubcommand();
+    const tag = interaction.options.getString('tag')?.trim();
+
+    if ((subcommand === 'move' || subcommand === 'clear') && !isAdminUser(interaction.user.id)) {
+      await interaction.reply({ content: `Only bot admins can use /queue ${subcommand}.`, ephemeral: true });
+      return;
+    }
+
+    switch (subcommand) {
+      case 'list':
+        await interaction.reply({ embeds: [buildQueueEmbed(interaction)], ephemeral: true });
+        return;
+
+      case 'cancel':
+        await interaction.reply({ content: cancelDownload(interaction, tag), ephemeral: true });
+        return;
+
+      case 'retry': {
+        const stored = downloadManager.findItem(tag)?.item || persistenceService.getDownload(tag);
+
+        if (stored && !canControlDownload(interaction, stored)) {
+          await interaction.reply({ content: 'Only the requester or a server manager can retry this download.', ephemeral: true });
+          return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        const result = await downloadManager.retry(tag, client);
+        await interaction.editReply(result.added ? `Re-queued \`${tag}\`.` : RETRY_ERRORS[result.reason]);
+        return;
+      }
+
+      case 'move': {
+        const position = interaction.options.getString('position', true);
+        const moved = downloadManager.moveItem(tag, position);
+        await interaction.reply({
+          content: moved ? `Moved \`${tag}\` to the ${position} of the queue.` : 'That download is not waiting in the queue.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      case 'clear': {
+        const cleared = downloadManager.clearQueue();
+        await interaction.reply({ content: `Cleared ${cleared} waiting download(s).`, ephemeral: true });
+        return;
+      }
+
+      default:
+        await interaction.reply({ content: 'Unknown queue command.', ephemeral: true });
+    }
+  },
+
+  buttons: {
+    // Cancel button on queued / progress status messages
+    [COMPONENT_IDS.CANCEL]: async (interaction, tag) => {
+      const found = downloadManager.findItem(tag);
+
+      if (found && canControlDownload(interaction, found.item)) {
+        // The download:cancelled handler edits the status message
+        await interaction.deferUpdate();
+        downloadManager.cancel(tag, interaction.user.id);
+        return;
+      }
+
+      await interaction.reply({ content: cancelDownload(interaction, tag), ephemeral: true });
+    }
+  }
+};
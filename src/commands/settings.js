@@ -0,0 +1,293 @@
+// commands/settings.js - /settings: per-server configuration for server managers
+const {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ChannelType,
+  PermissionFlagsBits,
+  InteractionContextType
+} = require('discord.js');
+const {
+  PLATFORM_PATTERNS,
+  QUALITY_OPTIONS,
+  SUPPORTED_LOCALES,
+  BOOST_TIER_UPLOAD_LIMITS,
+  OVERSIZE_MODES,
+  PICKER_MODES,
+  PLAYBACK_MODES,
+  OUTPUT_STYLES
+} = require('../constants');
+const guildSettingsService = require('../services/guildSettingsService');
+const { formatBytes, getPlatformEmoji } = require('../utils/helpers');
+
+const PLATFORM_CHOICES = Object.keys(PLATFORM_PATTERNS).map(value => ({ name: value, value }));
+
+const PICKER_LABELS = {
+  [PICKER_MODES.AUTO]: 'Auto (best)',
+  [PICKER_MODES.ASK]: 'Always ask',
+  [PICKER_MODES.OVERSIZE]: 'Ask when over the limit'
+};
+
+function buildSettingsEmbed(guildId) {
+  const settings = guildSettingsService.get(guildId);
+  const platforms = Object.keys(PLATFORM_PATTERNS)
+    .map(platform => `${settings.disabledPlatforms.includes(platform) ? '🚫' : getPlatformEmoji(platform)} ${platform}`)
+    .join('\n');
+  const channels = settings.allowedChannels.length > 0
+    ? settings.allowedChannels.map(id => `<#${id}>`).join(', ')
+    : 'All channels';
+  const tier = settings.boostTier === null ? 'Default' : `Tier ${settings.boostTier}`;
+  const pickers = Object.entries(settings.formatPicker)
+    .filter(([, mode]) => mode !== PICKER_MODES.AUTO)
+    .map(([platform, mode]) => `${getPlatformEmoji(platform)} ${platform}: ${PICKER_LABELS[mode]}`)
+    .join('\n') || PICKER_LABELS[PICKER_MODES.AUTO];
+
+  return new EmbedBuilder()
+    .setColor(0x3498DB)
+    .setTitle('⚙️ Server Settings')
+    .addFields(
+      { name: 'Platforms', value: platforms, inline: true },
+      { name: 'Default Quality', value: settings.defaultQuality, inline: true },
+      { name: 'Upload Limit', value: `${formatBytes(guildSettingsService.getUploadLimit(guildId))} (${tier})`, inline: true },
+      { name: 'Oversized Videos', value: settings.oversizeMode === OVERSIZE_MODES.COMPRESS ? 'Compress first' : 'Link first', inline: true },
+      { name: 'Playback', value: settings.playbackMode === PLAYBACK_MODES.COMPATIBLE ? 'Compatibility' : 'Maximum quality', inline: true },
+      { name: 'Caption', value: settings.caption ? 'On' : 'Off', inline: true },
+      { name: 'Output Style', value: settings.outputStyle === OUTPUT_STYLES.EMBED ? 'Rich embed' : 'Text', inline: true },
+      { name: 'Format Picker', value: pickers, inline: true },
+      { name: 'Slideshow Video', value: settings.slideshowVideo ? 'On' : 'Off', inline: true },
+      { name: 'Locale', value: settings.locale, inline: true },
+      { name: 'Allowed Channels', value: channels }
+    )
+    .setTimestamp();
+}
+
+function updateChannels(guildId, channelId, action) {
+  const current = guildSettingsService.get(guildId).allowedChannels;
+
+  switch (action) {
+    case 'add':
+      return current.includes(channelId) ? current : [...current, channelId];
+    case 'remove':
+      return current.filter(id => id !== channelId);
+    default:
+      return [];
+  }
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('settings')
+    .setDescription('Configure how the bot behaves in this server')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setContexts(InteractionContextType.Guild)
+    .addSubcommand(sub => sub
+      .setName('view')
+      .setDescription('Show the current server settings'))
+    .addSubcommand(sub => sub
+      .setName('platform')
+      .setDescription('Enable or disable link detection for a platform')
+      .addStringOption(option => option
+        .setName('platform')
+        .setDescription('Platform')
+        .setRequired(true)
+        .addChoices(...PLATFORM_CHOICES))
+      .addBooleanOption(option => option
+        .setName('enabled')
+        .setDescription('Whether links from this platform are downloaded')
+        .setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('quality')
+      .setDescription('Set the default download quality')
+      .addStringOption(option => option
+        .setName('value')
+        .setDescription('Default quality')
+        .setRequired(true)
+        .addChoices(...QUALITY_OPTIONS.map(value => ({ name: value, value })))))
+    .addSubcommand(sub => sub
+      .setName('upload-limit')
+      .setDescription('Set the Discord upload limit from the server boost tier')
+      .addIntegerOption(option => option
+        .setName('tier')
+        .setDescription('Server boost tier (omit to use the bot default)')
+        .addChoices(...Object.entries(BOOST_TIER_UPLOAD_LIMITS).map(([tier, bytes]) => ({
+          name: `Tier ${tier} (${formatBytes(bytes)})`,
+          value: parseInt(tier, 10)
+        })))))
+    .addSubcommand(sub => sub
+      .setName('oversize')
+      .setDescription('Choose what happens to videos over the upload limit')
+      .addStringOption(option => option
+        .setName('mode')
+        .setDescription('Compress to fit Discord, or link the original from a file host')
+        .setRequired(true)
+        .addChoices(
+          { name: 'Compress first', value: OVERSIZE_MODES.COMPRESS },
+          { name: 'Link first', value: OVERSIZE_MODES.LINK }
+        )))
+    .addSubcommand(sub => sub
+      .setName('playback')
+      .setDescription('Choose between videos that play everywhere and untouched downloads')
+      .addStringOption(option => option
+        .setName('mode')
+        .setDescription('Compatibility converts VP9/AV1/HEVC to H.264 so videos play inline on every client')
+        .setRequired(true)
+        .addChoices(
+          { name: 'Compatibility', value: PLAYBACK_MODES.COMPATIBLE },
+          { name: 'Maximum quality', value: PLAYBACK_MODES.QUALITY }
+        )))
+    .addSubcommand(sub => sub
+      .setName('output')
+      .setDescription('Choose how finished uploads are described')
+      .addStringOption(option => option
+        .setName('style')
+        .setDescription('Rich embed shows the author, title, post date, views, likes and duration')
+        .setRequired(true)
+        .addChoices(
+          { name: 'Text', value: OUTPUT_STYLES.TEXT },
+          { name: 'Rich embed', value: OUTPUT_STYLES.EMBED }
+        )))
+    .addSubcommand(sub => sub
+      .setName('picker')
+      .setDescription('Choose when a platform\'s links ask which quality or format to download')
+      .addStringOption(option => option
+        .setName('platform')
+        .setDescription('Platform')
+        .setRequired(true)
+        .addChoices(...PLATFORM_CHOICES))
+      .addStringOption(option => option
+        .setName('mode')
+        .setDescription('Ask when over the limit only asks when the best quality would not fit Discord')
+        .setRequired(true)
+        .addChoices(...Object.values(PICKER_MODES).map(value => ({ name: PICKER_LABELS[value], value })))))
+    .addSubcommand(sub => sub
+      .setName('caption')
+      .setDescription('Show or hide the original caption on uploads')
+      .addBooleanOption(option => option
+        .setName('enabled')
+        .setDescription('Whether captions are shown')
+        .setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('slideshow')
+      .setDescription('Send photo slideshows as a video with their music instead of an image gallery')
+      .addBooleanOption(option => option
+        .setName('enabled')
+        .setDescription('Whether slideshows are rendered into a video')
+        .setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('locale')
+      .setDescription('Set the language for bot messages')
+      .addStringOption(option => option
+        .setName('value')
+        .setDescription('Language')
+        .setRequired(true)
+        .addChoices(...SUPPORTED_LOCALES.map(value => ({ name: value, value })))))
+    .addSubcommandGroup(group => group
+      .setName('channels')
+      .setDescription('Restrict downloads to specific channels')
+      .addSubcommand(sub => sub
+        .setName('add')
+        .setDescription('Allow downloads in a channel')
+        .addChannelOption(option => option
+          .setName('channel')
+          .setDescription('Channel')
+          .setRequired(true)
+          .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum)))
+      .addSubcommand(sub => sub
+        .setName('remove')
+        .setDescription('Stop allowing downloads in a channel')
+        .addChannelOption(option => option
+          .setName('channel')
+          .setDescription('Channel')
+          .setRequired(true)))
+      .addSubcommand(sub => sub
+        .setName('clear')
+        .setDescription('Allow downloads in every channel again')))
+    .addSubcommand(sub => sub
+      .setName('reset')
+      .setDescription('Reset every setting to the bot defaults')),
+
+  permission: 'manageGuild',
+
+  async execute(interaction) {
+    const { guildId, options } = interaction;
+    const group = options.getSubcommandGroup(false);
+    const subcommand = options.getSubcommand();
+
+    if (!guildId) {
+      await interaction.reply({ content: 'Settings can only be changed inside a server.', ephemeral: true });
+      return;
+    }
+
+    if (group === 'channels') {
+      const channel = options.getChannel('channel');
+      guildSettingsService.update(guildId, {
+        allowedChannels: updateChannels(guildId, channel?.id, subcommand)
+      });
+    } else {
+      switch (subcommand) {
+        case 'view':
+          break;
+
+        case 'platform': {
+          const platform = options.getString('platform', true);
+          const enabled = options.getBoolean('enabled', true);
+          const disabled = guildSettingsService.get(guildId).disabledPlatforms.filter(p => p !== platform);
+          if (!enabled) disabled.push(platform);
+          guildSettingsService.update(guildId, { disabledPlatforms: disabled });
+          break;
+        }
+
+        case 'quality':
+          guildSettingsService.update(guildId, { defaultQuality: options.getString('value', true) });
+          break;
+
+        case 'upload-limit': {
+          const tier = options.getInteger('tier');
+          guildSettingsService.update(guildId, { boostTier: tier === null ? null : tier });
+          break;
+        }
+
+        case 'oversize':
+          guildSettingsService.update(guildId, { oversizeMode: options.getString('mode', true) });
+          break;
+
+        case 'playback':
+          guildSettingsService.update(guildId, { playbackMode: options.getString('mode', true) });
+          break;
+
+        case 'output':
+          guildSettingsService.update(guildId, { outputStyle: options.getString('style', true) });
+          break;
+
+        case 'picker': {
+          const platform = options.getString('platform', true);
+          const formatPicker = { ...guildSettingsService.get(guildId).formatPicker };
+          formatPicker[platform] = options.getString('mode', true);
+          guildSettingsService.update(guildId, { formatPicker });
+          break;
+        }
+
+        case 'caption':
+          guildSettingsService.update(guildId, { caption: options.getBoolean('enabled', true) });
+          break;
+
+        case 'slideshow':
+          guildSettingsService.update(guildId, { slideshowVideo: options.getBoolean('enabled', true) });
+          break;
+
+        case 'locale':
+          guildSettingsService.update(guildId, { locale: options.getString('value', true) });
+          break;
+
+        case 'reset':
+          guildSettingsService.reset(guildId);
+          break;
+
+        default:
+          await interaction.reply({ content: 'Unknown settings command.', ephemeral: true });
+          return;
+      }
+    }
+
+    await interaction.reply({ embeds: [buildSettingsEmbed(guildId)], ephemeral: true });
+  }
+};
@@ -0,0 +1,31 @@
+// commands/stats.js - /stats: download statistics
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { CONFIG } = require('../config');
+const downloadManager = require('../services/downloadManager');
+const { formatUptime, formatBytes } = require('../utils/helpers');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('stats')
+    .setDescription('Show bot download statistics'),
+
+  permission: 'everyone',
+
+  async execute(interaction) {
+    const stats = downloadManager.getStats();
+    const statsEmbed = new EmbedBuilder()
+      .setColor(0x3498DB)
+      .setTitle('📊 Bot Statistics')
+      .addFields(
+        { name: 'Uptime', value: formatUptime(stats.uptime), inline: true },
+        { name: 'Total Downloads', value: stats.totalDownloads.toString(), inline: true },
+        { name: 'Success Rate', value: stats.successRate, inline: true },
+        { name: 'Queue Size', value: `${stats.queueSize}/${CONFIG.DOWNLOAD.MAX_QUEUE_SIZE}`, inline: true },
+        { name: 'Active Downloads', value: `${stats.activeDownloads}/${CONFIG.DOWNLOAD.MAX_CONCURRENT}`, inline: true },
+        { name: 'Total Data', value: formatBytes(stats.totalBytes), inline: true }
+      )
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [statsEmbed], ephemeral: true });
+  }
+};
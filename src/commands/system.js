@@ -0,0 +1,196 @@
+// commands/system.js - /system: host maintenance for bot admins
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const downloadManager = require('../services/downloadManager');
+const systemService = require('../services/systemService');
+const providerHealth = require('../services/providerHealth');
+const providerRegistry = require('../providers');
+const { formatUptime, formatBytes, shortenText } = require('../utils/helpers');
+const { CIRCUIT_STATES } = require('../constants');
+
+const CIRCUIT_LABELS = {
+  [CIRCUIT_STATES.CLOSED]: '🟢 Healthy',
+  [CIRCUIT_STATES.OPEN]: '🔴 Circuit open',
+  [CIRCUIT_STATES.HALF_OPEN]: '🟡 Retrying'
+};
+
+async function showStatus(interaction) {
+  const [systemStatus, stats] = await Promise.all([
+    systemService.getSystemStatus(),
+    downloadManager.getStats()
+  ]);
+
+  const disk = systemStatus.disk
+    ? `${systemStatus.disk.used}/${systemStatus.disk.size} (${systemStatus.disk.percent})`
+    : 'Unavailable';
+
+  const statusEmbed = new EmbedBuilder()
+    .setColor(0x2ECC71)
+    .setTitle('🖥️ System Status')
+    .addFields(
+      {
+        name: 'CPU Load',
+        value: `${systemStatus.load1.toFixed(2)} (${systemStatus.cpuCount} cores)`,
+        inline: true
+      },
+      {
+        name: 'Memory',
+        value: `${formatBytes(systemStatus.memUsed)} / ${formatBytes(systemStatus.memTotal)} (${systemStatus.memPercent.toFixed(1)}%)`,
+        inline: true
+      },
+      {
+        name: 'Disk (/)',
+        value: disk,
+        inline: true
+      },
+      {
+        name: 'Uptime',
+        value: formatUptime(systemStatus.uptime),
+        inline: true
+      },
+      {
+        name: 'Queue',
+        value: `${stats.activeDownloads}/${CONFIG.DOWNLOAD.MAX_CONCURRENT} active\n${stats.queueSize}/${CONFIG.DOWNLOAD.MAX_QUEUE_SIZE} queued`,
+        inline: true
+      },
+      {
+        name: 'Downloads',
+        value: `${stats.totalDownloads} total (${stats.successRate} success)`,
+        inline: true
+      }
+    )
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [statusEmbed] });
+}
+
+function formatProviderEntry(entry) {
+  const provider = providerRegistry.get(entry.name);
+  if (!provider.isEnabled()) {
+    return '⚪ Not configured';
+  }
+
+  const lines = [CIRCUIT_LABELS[entry.state]];
+
+  if (entry.state === CIRCUIT_STATES.OPEN) {
+    lines[0] += ` (probe <t:${Math.ceil(entry.openUntil / 1000)}:R>)`;
+  }
+
+  const rate = entry.successRate === null ? 'no attempts' : `${entry.successRate.toFixed(1)}%`;
+  lines.push(`✅ ${entry.successes} / ❌ ${entry.failures} (${rate})`);
+
+  if (entry.avgLatencyMs !== null) {
+    lines.push(`⏱️ avg ${(entry.avgLatencyMs / 1000).toFixed(1)}s`);
+  }
+  if (entry.consecutiveFailures > 0 && entry.lastError) {
+    lines.push(`Last error: \`${shortenText(entry.lastError, 120)}\``);
+  }
+
+  return lines.join('\n');
+}
+
+async function showProviders(interaction) {
+  const scoreboard = providerHealth.getScoreboard(providerRegistry.list());
+  const order = Object.entries(CONFIG.PROVIDERS)
+    .map(([platform, names]) => `**${platform}:** ${names.join(' → ') || 'none'}`)
+    .join('\n');
+
+  const providersEmbed = new EmbedBuilder()
+    .setColor(0x3498DB)
+    .setTitle('🔌 Download Providers')
+    .setDescription(order)
+    .addFields(scoreboard.map(entry => ({
+      name: entry.name,
+      value: formatProviderEntry(entry),
+      inline: true
+    })))
+    .setFooter({
+      text: `Circuit opens after ${CONFIG.CIRCUIT_BREAKER.FAILURE_THRESHOLD} failures in a row for ${Math.round(CONFIG.CIRCUIT_BREAKER.COOLDOWN_MS / 60000)} min`
+    })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [providersEmbed] });
+}
+
+async function runAptUpgrade(interaction) {
+  try {
+    const output = await systemService.runAptUpgrade();
+    await interaction.editReply({
+      content: `✅ apt update && upgrade completed:\n\`\`\`${output}\`\`\``
+    });
+  } catch (error) {
+    await interaction.editReply({
+      content: `❌ apt upgrade failed: ${error.message}\n\`\`\`${error.output || 'No output captured'}\`\`\``
+    });
+  }
+}
+
+async function updateYtDlp(interaction) {
+  try {
+    const output = await systemService.updateYtDlpBinary();
+    await interaction.editReply({
+      content: `✅ yt-dlp update result:\n\`\`\`${output}\`\`\``
+    });
+  } catch (error) {
+    await interaction.editReply({
+      content: `❌ yt-dlp update failed: ${error.message}`
+    });
+  }
+}
+
+async function scheduleReboot(interaction) {
+  await interaction.editReply({
+    content: '♻️ Reboot scheduled in 5 seconds. The bot will disconnect shortly.'
+  });
+  systemService.scheduleReboot(5000);
+}
+
+const SUBCOMMANDS = {
+  'status': showStatus,
+  'providers': showProviders,
+  'apt-upgrade': runAptUpgrade,
+  'update-yt': updateYtDlp,
+  'reboot': scheduleReboot
+};
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('system')
+    .setDescription('Host maintenance commands (bot admins only)')
+    .addSubcommand(sub => sub
+      .setName('status')
+      .setDescription('Show CPU, memory, disk and queue status'))
+    .addSubcommand(sub => sub
+      .setName('providers')
+      .setDescription('Show download provider health and circuit breaker state'))
+    .addSubcommand(sub => sub
+      .setName('apt-upgrade')
+      .setDescription('Run apt update && apt upgrade on the host'))
+    .addSubcommand(sub => sub
+      .setName('update-yt')
+      .setDescription('Update the yt-dlp binary'))
+    .addSubcommand(sub => sub
+      .setName('reboot')
+      .setDescription('Reboot the host machine')),
+
+  permission: 'admin',
+
+  async execute(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+    const subcommand = interaction.options.getSubcommand();
+    const handler = SUBCOMMANDS[subcommand];
+
+    if (!handler) {
+      await interaction.editReply({ content: 'Unknown system command.' });
+      return;
+    }
+
+    try {
+      await handler(interaction);
+    } catch (error) {
+      logger.error('System command error:', { error: error.message, subcommand });
+      await interaction.editReply({ content: `❌ Command failed: ${error.message}` });
+    }
+  }
+};
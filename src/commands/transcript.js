@@ -0,0 +1,230 @@
+// commands/transcript.js - /transcript: post a video's captions as text
+const fs = require('fs').promises;
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { PLATFORM_PATTERNS, EMOJIS, CAPTION_LANGUAGE_PATTERN } = require('../constants');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const { t, describeQueueRejection } = require('../utils/i18n');
+const { COMPONENT_IDS } = require('../utils/components');
+const providerRegistry = require('../providers');
+const downloadManager = require('../services/downloadManager');
+const guildSettingsService = require('../services/guildSettingsService');
+const urlResolver = require('../services/urlResolver');
+const { detectAllUrls, subtitlesToText } = require('../utils/helpers');
+
+// Embed descriptions hold 4096 characters, keep room for the page split
+const PAGE_LENGTH = 3800;
+
+// How long the page buttons keep working
+const TRANSCRIPT_TTL = 15 * 60 * 1000;
+
+// Paged transcripts by tag: { url, lang, locale, pages }
+const transcripts = new Map();
+
+// Running /transcript calls (capped at TRANSCRIPT.MAX_CONCURRENT)
+let activeFetches = 0;
+
+/**
+ * Split a transcript into embed-sized pages at line breaks
+ * @param {string} text - Transcript
+ * @returns {Array} Pages
+ */
+function splitPages(text) {
+  const pages = [];
+  let page = '';
+
+  for (const line of text.split('\n')) {
+    const chunk = line.slice(0, PAGE_LENGTH);
+    if (page && page.length + chunk.length + 1 > PAGE_LENGTH) {
+      pages.push(page);
+      page = '';
+    }
+    page = page ? `${page}\n${chunk}` : chunk;
+  }
+
+  if (page) pages.push(page);
+  return pages;
+}
+
+/**
+ * Build one page of a transcript with its Previous/Next buttons
+ * @param {string} id - Transcript ID
+ * @param {Object} transcript - Stored transcript
+ * @param {number} index - Page index
+ * @returns {Object} Message payload ({ embeds, components })
+ */
+function buildPage(id, transcript, index) {
+  const { url, lang, locale, pages } = transcript;
+
+  const embed = new EmbedBuilder()
+    .setColor(0x3498DB)
+    .setTitle(`📝 ${t(locale, 'transcript')} (${lang})`)
+    .setURL(url)
+    .setDescription(pages[index])
+    .setFooter({ text: t(locale, 'pageOf', { page: index + 1, pages: pages.length }) });
+
+  if (pages.length === 1) {
+    return { embeds: [embed], components: [] };
+  }
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${COMPONENT_IDS.TRANSCRIPT_PAGE}_${id}_${index - 1}`)
+      .setLabel(t(locale, 'previous'))
+      .setEmoji('◀️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(index === 0),
+    new ButtonBuilder()
+      .setCustomId(`${COMPONENT_IDS.TRANSCRIPT_PAGE}_${id}_${index + 1}`)
+      .setLabel(t(locale, 'next'))
+      .setEmoji('▶️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(index === pages.length - 1)
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Fetch a video's captions with yt-dlp and convert them to plain text
+ * @param {string} url - Video URL
+ * @param {string} lang - Language code
+ * @param {string} tag - Tag for logging and temp file names
+ * @returns {string|null} Transcript or null when the video has no captions in that language
+ */
+async function fetchTranscript(url, lang, tag) {
+  const subtitle = await providerRegistry.get('ytdlp').fetchSubtitles(url, lang, { tag });
+  if (!subtitle) return null;
+
+  try {
+    const content = await fs.readFile(subtitle.path, 'utf8');
+    return subtitlesToText(content) || null;
+  } finally {
+    await fs.unlink(subtitle.path).catch(() => {});
+  }
+}
+
+/**
+ * Fetch a transcript and post it as a paged embed or a .txt file
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} request - { input, lang, locale }
+ */
+async function postTranscript(interaction, { input, lang, locale }) {
+  await interaction.deferReply();
+
+  const { url } = await urlResolver.resolve(input);
+  const tag = downloadManager.generateTag();
+
+  logger.info(`[${tag}] 📝 /transcript from ${interaction.user.tag}: ${url} (${lang})`);
+
+  let text;
+  try {
+    text = await fetchTranscript(url, lang, tag);
+  } catch (error) {
+    logger.warn(`[${tag}] Transcript failed: ${error.message}`);
+    await interaction.editReply({ content: `${EMOJIS.error} ${t(locale, 'transcriptFailed')}` });
+    return;
+  }
+
+  if (!text) {
+    await interaction.editReply({ content: `${EMOJIS.error} ${t(locale, 'noCaptions', { lang })}` });
+    return;
+  }
+
+  if (interaction.options.getString('as') === 'file') {
+    await interaction.editReply({
+      content: `📝 ${t(locale, 'transcript')} (${lang}): <${url}>`,
+      files: [{ attachment: Buffer.from(text, 'utf8'), name: `transcript_${lang}.txt` }]
+    });
+    return;
+  }
+
+  const transcript = { url, lang, locale, pages: splitPages(text) };
+  if (transcript.pages.length > 1) {
+    transcripts.set(tag, transcript);
+    setTimeout(() => transcripts.delete(tag), TRANSCRIPT_TTL).unref();
+  }
+
+  await interaction.editReply(buildPage(tag, transcript, 0));
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('transcript')
+    .setDescription('Post the captions of a video as text')
+    .addStringOption(option => option
+      .setName('url')
+      .setDescription('Link to the video')
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('language')
+      .setDescription('Caption language, e.g. en or ar (default: server language)'))
+    .addStringOption(option => option
+      .setName('as')
+      .setDescription('Paged embed or a .txt file (default: embed)')
+      .addChoices(
+        { name: 'embed', value: 'embed' },
+        { name: 'file', value: 'file' }
+      )),
+
+  permission: 'everyone',
+
+  async execute(interaction) {
+    const settings = guildSettingsService.get(interaction.guildId);
+    const { locale } = settings;
+    const input = interaction.options.getString('url', true);
+    const lang = interaction.options.getString('language')?.trim() || locale;
+    const [detected] = detectAllUrls(input, PLATFORM_PATTERNS);
+
+    if (!detected) {
+      await interaction.reply({
+        content: `${EMOJIS.error} ${t(locale, 'unsupportedLink', { platforms: Object.keys(PLATFORM_PATTERNS).join(', ') })}`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (!CAPTION_LANGUAGE_PATTERN.test(lang)) {
+      await interaction.reply({ content: `${EMOJIS.error} ${t(locale, 'invalidLanguage')}`, ephemeral: true });
+      return;
+    }
+
+    if (activeFetches >= CONFIG.TRANSCRIPT.MAX_CONCURRENT) {
+      await interaction.reply({ content: `${EMOJIS.warning} ${t(locale, 'transcriptBusy')}`, ephemeral: true });
+      return;
+    }
+
+    // Same per-user/per-guild limits as downloads
+    const limit = downloadManager.consumeRateLimit(interaction.user.id, interaction.guildId);
+    if (!limit.allowed) {
+      await interaction.reply({ content: `${EMOJIS.warning} ${describeQueueRejection(locale, limit)}`, ephemeral: true });
+      return;
+    }
+
+    activeFetches++;
+    try {
+      await postTranscript(interaction, { input: detected.url, lang, locale });
+    } finally {
+      activeFetches--;
+    }
+  },
+
+  buttons: {
+    // Previous/Next on a paged transcript - the ID is `${tag}_${pageIndex}`
+    [COMPONENT_IDS.TRANSCRIPT_PAGE]: async (interaction, id) => {
+      const separator = id.lastIndexOf('_');
+      const tag = id.slice(0, separator);
+      const index = parseInt(id.slice(separator + 1), 10);
+      const transcript = transcripts.get(tag);
+
+      if (!transcript) {
+        const locale = guildSettingsService.getLocale(interaction.guildId);
+        await interaction.reply({ content: `${EMOJIS.error} ${t(locale, 'transcriptExpired')}`, ephemeral: true });
+        return;
+      }
+
+      const page = Math.min(Math.max(index, 0), transcript.pages.length - 1);
+      await interaction.update(buildPage(tag, transcript, page));
+    }
+  }
+};
@@ -2,11 +2,48 @@
 // ✅ OPTIMIZED FOR MAXIMUM QUALITY - Private Bot Edition
 const path = require('path');
 
+/**
+ * Read a platform's provider order from the environment
+ * @param {string} platform - Platform name
+ * @param {Array} fallback - Default provider order
+ * @returns {Array} Provider names
+ */
+function providerOrder(platform, fallback) {
+  const value = process.env[`PROVIDERS_${platform.toUpperCase()}`];
+  if (!value) return fallback;
+
+  return value
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Read the per-platform format picker defaults from the environment
+ * @param {string} value - e.g. "youtube:ask,twitch:oversize"
+ * @returns {Object} Map of platform name to picker mode
+ */
+function pickerModes(value) {
+  const modes = {};
+
+  for (const entry of value.split(',')) {
+    const [platform, mode] = entry.split(':').map(part => part.trim().toLowerCase());
+    if (platform && mode) modes[platform] = mode;
+  }
+
+  return modes;
+}
+
 const CONFIG = {
   // Discord Settings
   DISCORD: {
     LIMIT_BYTES: ((parseInt(process.env.MAX_FILE_SIZE_MB, 10) || 8) * 1024 * 1024),
     TOKEN: process.env.TOKEN,
+    APPLICATION_ID: process.env.APPLICATION_ID,
+    GUILD_IDS: (process.env.GUILD_IDS || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean),
     ADMIN_WEBHOOK_URL: process.env.ADMIN_WEBHOOK_URL,
     ADMIN_USER_IDS: (process.env.ADMIN_USER_IDS || '')
       .split(',')
@@ -21,11 +58,64 @@ const CONFIG = {
     MAX_QUEUE_SIZE: parseInt(process.env.MAX_QUEUE_SIZE) || 50,
     TIMEOUT: 600000, // 10 minutes
     INFO_TIMEOUT: 60000, // 60 seconds
+    RESOLVE_TIMEOUT: 10000, // 10 seconds to expand a share short link
     MAX_BUFFER_SIZE: 50 * 1024 * 1024, // ✅ 50MB (optimized for 1GB RAM)
     STUCK_DETECTION_TIME: 30000, // 30 seconds
     STREAM_THRESHOLD_MB: 25, // ✅ Stream files smaller than 25MB
     CLEANUP_AFTER_UPLOAD: true, // ✅ Delete immediately after upload
-    MAX_TEMP_SIZE_MB: 500 // ✅ Maximum temp directory size
+    MAX_TEMP_SIZE_MB: 500, // ✅ Maximum temp directory size
+    MAX_MEDIA_ITEMS: 20 // Items kept from one carousel / gallery post
+  },
+
+  // Rate Limits - token buckets: BURST requests, one more every REFILL_MS
+  RATE_LIMIT: {
+    USER_BURST: parseInt(process.env.RATE_LIMIT_USER_BURST) || 5,
+    USER_REFILL_MS: (parseInt(process.env.RATE_LIMIT_USER_REFILL_SECONDS) || 30) * 1000,
+    GUILD_BURST: parseInt(process.env.RATE_LIMIT_GUILD_BURST) || 20,
+    GUILD_REFILL_MS: (parseInt(process.env.RATE_LIMIT_GUILD_REFILL_SECONDS) || 10) * 1000,
+    CLEANUP_INTERVAL: 600000 // drop idle buckets every 10 minutes
+  },
+
+  // Media Cache - repeat links are answered from the last upload instead of re-downloading
+  // Keep TTL under 24h: Discord attachment links stop working after about a day
+  CACHE: {
+    ENABLED: process.env.CACHE_ENABLED !== 'false',
+    TTL_MS: (parseInt(process.env.CACHE_TTL_HOURS) || 12) * 60 * 60 * 1000,
+    MAX_SIZE_MB: parseInt(process.env.CACHE_MAX_SIZE_MB) || 500, // Raw files kept for re-posting (LRU)
+    CLEANUP_INTERVAL: 600000 // drop expired entries every 10 minutes
+  },
+
+  // Format picker - how long the quality menu under a posted link stays usable
+  SELECTION: {
+    TTL_MS: (parseInt(process.env.SELECTION_TTL_SECONDS) || 300) * 1000,
+    SWEEP_INTERVAL: 30000 // disable expired buttons every 30 seconds
+  },
+
+  // Clip trimming - /download clip:1:23-1:53 or a YouTube link with ?t=
+  CLIP: {
+    DEFAULT_LENGTH: parseInt(process.env.CLIP_DEFAULT_SECONDS) || 30, // when only a start time is given
+    MAX_LENGTH: parseInt(process.env.CLIP_MAX_SECONDS) || 900
+  },
+
+  // /transcript - each call runs its own yt-dlp process
+  TRANSCRIPT: {
+    MAX_CONCURRENT: parseInt(process.env.TRANSCRIPT_MAX_CONCURRENT) || 2
+  },
+
+  // GIF / animated WebP output (/download format:gif and the Make GIF button)
+  ANIMATION: {
+    MAX_SECONDS: parseInt(process.env.GIF_MAX_SECONDS) || 15, // longer videos are cut to their start
+    MAX_WIDTH: parseInt(process.env.GIF_MAX_WIDTH) || 480,
+    TIMEOUT: 300000 // 5 minutes per render
+  },
+
+  // Re-encoding of videos over the upload limit (servers in "compress" oversize mode)
+  // Below MIN_VIDEO_KBPS the video is linked from a file host instead
+  TRANSCODE: {
+    MIN_VIDEO_KBPS: parseInt(process.env.TRANSCODE_MIN_VIDEO_KBPS) || 150,
+    MAX_DURATION: parseInt(process.env.TRANSCODE_MAX_DURATION) || 1800, // seconds
+    PRESET: process.env.TRANSCODE_PRESET || 'veryfast',
+    TIMEOUT: 900000 // 15 minutes per pass
   },
 
   // System Settings
@@ -43,9 +133,27 @@ const CONFIG = {
     RAPIDAPI_KEY: process.env.RAPIDAPI_KEY
   },
 
+  // Download providers tried in order per platform (see src/providers)
+  // Override with PROVIDERS_<PLATFORM>, e.g. PROVIDERS_TIKTOK=tikwm,ytdlp
+  PROVIDERS: {
+    tiktok: providerOrder('tiktok', ['ytdlp', 'tikwm']),
+    instagram: providerOrder('instagram', ['ytdlp', 'rapidapi-instagram']),
+    reddit: providerOrder('reddit', ['reddit', 'ytdlp']), // reddit handles galleries and image posts
+    youtube: providerOrder('youtube', ['vidfly', 'rapidapi-youtube']), // yt-dlp is unreliable for YouTube
+    default: providerOrder('default', ['ytdlp'])
+  },
+
+  // Circuit breaker - skip a provider after FAILURE_THRESHOLD failures in a row,
+  // then let one download probe it again after COOLDOWN_MS
+  CIRCUIT_BREAKER: {
+    FAILURE_THRESHOLD: parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || 3,
+    COOLDOWN_MS: (parseInt(process.env.PROVIDER_COOLDOWN_SECONDS) || 300) * 1000
+  },
+
   // File Paths
   PATHS: {
     TEMP_DIR: path.join(require('os').tmpdir(), 'tikcord-temp'),
+    CACHE_DIR: path.join(require('os').tmpdir(), 'tikcord-cache'),
     DATA_DIR: path.join(process.cwd(), 'data'),
     COOKIES: {
       tiktok: path.join(__dirname, '..', 'cookies', 'tiktok_cookies.txt'),
@@ -90,6 +198,23 @@ const CONFIG = {
     ]
   },
 
+  // Per-guild setting defaults (overridden through /settings)
+  GUILD_DEFAULTS: {
+    disabledPlatforms: [],
+    defaultQuality: process.env.DEFAULT_QUALITY || 'best',
+    boostTier: null, // null = use DISCORD.LIMIT_BYTES
+    caption: true,
+    oversizeMode: process.env.OVERSIZE_MODE || 'compress', // compress | link
+    playbackMode: process.env.PLAYBACK_MODE || 'compatible', // compatible | quality
+    slideshowVideo: process.env.SLIDESHOW_VIDEO === 'true', // render photo posts into an MP4
+    outputStyle: process.env.OUTPUT_STYLE || 'text', // text | embed
+    formatPicker: pickerModes(process.env.FORMAT_PICKER ?? 'youtube:ask'), // platform -> auto | ask | oversize
+    allowedChannels: [], // empty = every channel
+    locale: process.env.DEFAULT_LOCALE || 'en',
+    defaultChannelMode: process.env.DEFAULT_CHANNEL_MODE || 'auto',
+    ignoreBots: process.env.IGNORE_BOTS === 'true'
+  },
+
   // Impersonation targets for bypassing restrictions
   IMPERSONATE_TARGETS: {
     tiktok: 'Chrome-131:Android-14',
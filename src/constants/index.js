@@ -3,7 +3,7 @@ const PLATFORM_PATTERNS = {
   tiktok: /(?:https?:\/\/)?(?:www\.|vm\.|vt\.)?tiktok\.com\/(?:@[\w\.\-]+\/video\/\d+|[@\w\-\.\/]+)/gi,
   instagram: /(?:https?:\/\/)?(?:www\.)?instagram\.com\/(?:p|reel|tv|stories)\/[\w\-]+(?:\/[\w\-]+)?/gi,
   twitter: /(?:https?:\/\/)?(?:www\.|mobile\.)?(?:twitter|x)\.com\/\w+\/status\/\d+/gi,
-  youtube: /(?:https?:\/\/)?(?:www\.|m\.)?(?:youtube\.com\/(?:shorts\/|watch\?v=)|youtu\.be\/)[\w\-]+/gi,
+  youtube: /(?:https?:\/\/)?(?:www\.|m\.)?(?:youtube\.com\/(?:shorts\/|watch\?v=)|youtu\.be\/)[\w\-]+(?:[?&][^\s<>()]*)?/gi,
   snapchat: /(?:https?:\/\/)?(?:www\.)?snapchat\.com\/(?:add\/[\w\.\-]+\/[A-Za-z0-9_\-]+|t\/[\w\-]+|spotlight\/[\w\-]+)(?:\?[^\s]*)?/gi,
   facebook: /(?:https?:\/\/)?(?:www\.|m\.)?facebook\.com\/(?:watch\/\?v=|reel\/|share\/v\/)[\w\-]+/gi,
   reddit: /(?:https?:\/\/)?(?:www\.)?reddit\.com\/r\/\w+\/comments\/[\w\/]+/gi,
@@ -16,6 +16,7 @@ const PLATFORM_PATTERNS = {
 const EMOJIS = {
   downloading: '⬇️',
   processing: '⚙️',
+  compressing: '🗜️',
   success: '✅',
   error: '❌',
   warning: '⚠️',
@@ -59,9 +60,91 @@ const FILE_HOSTS = {
   }
 };
 
+// Discord attachment limits per server boost tier
+const BOOST_TIER_UPLOAD_LIMITS = {
+  0: 10 * 1024 * 1024, // 10MB
+  1: 10 * 1024 * 1024, // 10MB
+  2: 50 * 1024 * 1024, // 50MB
+  3: 100 * 1024 * 1024 // 100MB
+};
+
+// Discord accepts at most this many attachments per message
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+const QUALITY_OPTIONS = ['best', '1080p', '720p', '480p', 'audio'];
+
+const SUPPORTED_LOCALES = ['en', 'ar'];
+
+// Caption language codes as yt-dlp names them (en, ar, pt-BR, zh-Hans)
+const CAPTION_LANGUAGE_PATTERN = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})?$/;
+
+// How the bot reacts to links posted in a channel
+const CHANNEL_MODES = {
+  AUTO: 'auto',                 // download every supported link
+  REACT: 'react',               // add a ⬇️ reaction, download when someone clicks it
+  COMMAND_ONLY: 'command-only', // ignore pasted links, /download still works
+  OFF: 'off'                    // no downloads at all
+};
+
+// What happens to a video over the guild's upload limit
+const OVERSIZE_MODES = {
+  COMPRESS: 'compress', // re-encode to fit, file host only when that's impossible
+  LINK: 'link'          // upload to a file host straight away
+};
+
+// When a posted link gets the format picker instead of downloading straight away
+const PICKER_MODES = {
+  AUTO: 'auto',         // download the best format that fits, never ask
+  ASK: 'ask',           // always let the poster pick
+  OVERSIZE: 'oversize'  // ask only when the best format is over the upload limit
+};
+
+// Whether videos are converted so they play inline on every Discord client
+const PLAYBACK_MODES = {
+  COMPATIBLE: 'compatible', // remux/transcode to H.264/AAC MP4 when needed
+  QUALITY: 'quality'        // upload the downloaded file untouched
+};
+
+// How finished uploads are described
+const OUTPUT_STYLES = {
+  TEXT: 'text',   // caption, resolution and size as message text
+  EMBED: 'embed'  // embed with author, title, stats and post date
+};
+
+// Embed accent color per platform
+const PLATFORM_COLORS = {
+  tiktok: 0xFE2C55,
+  instagram: 0xE1306C,
+  twitter: 0x1DA1F2,
+  youtube: 0xFF0000,
+  snapchat: 0xFFFC00,
+  facebook: 0x1877F2,
+  reddit: 0xFF4500,
+  default: 0x3498DB
+};
+
+// Download provider circuit breaker states
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',       // healthy, every download may use it
+  OPEN: 'open',           // skipped until the cooldown ends
+  HALF_OPEN: 'half-open'  // cooldown over, one download probes it
+};
+
 module.exports = {
   PLATFORM_PATTERNS,
   EMOJIS,
   QUALITY_BADGES,
-  FILE_HOSTS
+  FILE_HOSTS,
+  BOOST_TIER_UPLOAD_LIMITS,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  QUALITY_OPTIONS,
+  SUPPORTED_LOCALES,
+  CAPTION_LANGUAGE_PATTERN,
+  CHANNEL_MODES,
+  OVERSIZE_MODES,
+  PICKER_MODES,
+  PLAYBACK_MODES,
+  OUTPUT_STYLES,
+  PLATFORM_COLORS,
+  CIRCUIT_STATES
 };
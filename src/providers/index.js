@@ -0,0 +1,83 @@
+// providers/index.js - Download provider registry
+// A provider is an object with:
+//   name                 - id used in CONFIG.PROVIDERS
+//   canHandle(url)       - whether the provider understands this URL
+//   isEnabled()          - whether it is configured (API keys etc.)
+//   getInfo(url, opts)   - video metadata ({ title, uploader, duration, ... })
+//   download(url, opts)  - download result ({ path, size, filename, platform, metadata }),
+//                          or ({ items: [{ path, size, filename }], platform, metadata }) for
+//                          posts with several media (carousels, galleries)
+// A provider that does not handle this particular post (e.g. a video in a gallery-only
+// provider) throws createUnsupportedError() to hand over without counting as a failure.
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const { detectPlatform } = require('../utils/helpers');
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.warnedNames = new Set();
+  }
+
+  /**
+   * Register a provider
+   * @param {Object} provider - Provider module
+   */
+  register(provider) {
+    if (this.providers.has(provider.name)) {
+      throw new Error(`Duplicate download provider: ${provider.name}`);
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {Object|undefined} Provider
+   */
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /**
+   * Get the providers to try for a URL, in the configured order
+   * Unknown names are logged and skipped, as are providers that are not
+   * configured or do not handle the URL.
+   * @param {string} url - Video URL
+   * @returns {Array} Providers
+   */
+  getChain(url) {
+    const platform = detectPlatform(url);
+    const names = CONFIG.PROVIDERS[platform] || CONFIG.PROVIDERS.default;
+
+    return names
+      .map((name) => {
+        const provider = this.providers.get(name);
+        if (!provider && !this.warnedNames.has(name)) {
+          this.warnedNames.add(name);
+          logger.warn(`Unknown download provider "${name}" configured for ${platform}`);
+        }
+        return provider;
+      })
+      .filter(provider => provider && provider.isEnabled() && provider.canHandle(url));
+  }
+
+  /**
+   * @returns {Array} Registered provider names
+   */
+  list() {
+    return [...this.providers.keys()];
+  }
+}
+
+// Create singleton instance
+const providerRegistry = new ProviderRegistry();
+
+providerRegistry.register(require('./ytdlp'));
+providerRegistry.register(require('./tikwm'));
+providerRegistry.register(require('./vidfly'));
+providerRegistry.register(require('./rapidapiYoutube'));
+providerRegistry.register(require('./rapidapiInstagram'));
+providerRegistry.register(require('./reddit'));
+
+module.exports = providerRegistry;
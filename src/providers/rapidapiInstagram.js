@@ -0,0 +1,159 @@
+// providers/rapidapiInstagram.js - Instagram downloads through RapidAPI (instagram120)
+const fs = require('fs').promises;
+const axios = require('axios');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const { detectPlatform, throwIfCancelled } = require('../utils/helpers');
+const {
+  ensureTempDir,
+  buildOutputPath,
+  verifyFile,
+  downloadToFile,
+  normalizeApiError
+} = require('./shared');
+
+class RapidApiInstagramProvider {
+  constructor() {
+    this.name = 'rapidapi-instagram';
+  }
+
+  /**
+   * @param {string} url - Video URL
+   * @returns {boolean} Whether the URL is an Instagram link
+   */
+  canHandle(url) {
+    return detectPlatform(url) === 'instagram';
+  }
+
+  /**
+   * @returns {boolean} Whether RAPIDAPI_KEY is set
+   */
+  isEnabled() {
+    return Boolean(CONFIG.API.RAPIDAPI_KEY);
+  }
+
+  /**
+   * Look up an Instagram post on RapidAPI
+   * Carousels come back as one entry per slide.
+   * @param {string} url - Instagram URL
+   * @param {AbortSignal} signal - Download cancel signal (optional)
+   * @returns {Array} Media entries ({ urls, meta }), best quality first in each urls list
+   */
+  async fetchMedia(url, signal = null) {
+    if (!CONFIG.API.RAPIDAPI_KEY) {
+      throw new Error('Instagram API requires RAPIDAPI_KEY');
+    }
+
+    const response = await axios.post('https://instagram120.p.rapidapi.com/api/instagram/links', {
+      url: url
+    }, {
+      headers: {
+        'x-rapidapi-key': CONFIG.API.RAPIDAPI_KEY,
+        'x-rapidapi-host': 'instagram120.p.rapidapi.com',
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000,
+      signal
+    });
+
+    if (!Array.isArray(response.data) || response.data.length === 0) {
+      throw new Error('Instagram API returned invalid data structure');
+    }
+
+    const entries = response.data.filter(entry => Array.isArray(entry.urls) && entry.urls.length > 0);
+    if (entries.length === 0) {
+      throw new Error('No URLs found in API response');
+    }
+
+    return entries.slice(0, CONFIG.DOWNLOAD.MAX_MEDIA_ITEMS);
+  }
+
+  /**
+   * Get post information
+   * @param {string} url - Instagram URL
+   * @param {Object} options - { tag, signal }
+   * @returns {Object} Video metadata
+   */
+  async getInfo(url, options = {}) {
+    const { signal } = options;
+
+    try {
+      const [media] = await this.fetchMedia(url, signal);
+
+      return {
+        title: media.meta?.title || 'video',
+        description: media.meta?.title || null,
+        duration: 0,
+        uploader: media.meta?.username || 'instagram',
+        uploaderId: null,
+        platform: 'instagram',
+        url: url,
+        resolution: null,
+        filesize: null
+      };
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw normalizeApiError(error, 'Instagram API lookup failed');
+    }
+  }
+
+  /**
+   * Download an Instagram post (every slide of a carousel)
+   * @param {string} url - Instagram URL
+   * @param {Object} options - Download options
+   * @returns {Object} Download result
+   */
+  async download(url, options = {}) {
+    const { tag = 'unknown', signal } = options;
+    const items = [];
+
+    try {
+      logger.info(`[${tag}] 🔄 Trying Instagram RapidAPI (instagram120)...`);
+
+      const entries = await this.fetchMedia(url, signal);
+      const username = entries[0].meta?.username || 'instagram';
+      const metadata = {
+        uploader: username,
+        caption: null,
+        resolution: '720p'
+      };
+
+      await ensureTempDir();
+
+      logger.info(`[${tag}] Downloading ${entries.length} item(s) from RapidAPI...`);
+
+      for (const [index, entry] of entries.entries()) {
+        const source = entry.urls[0];
+        const ext = (source.extension || 'mp4').toLowerCase();
+        const itemTag = entries.length > 1 ? `${tag}_${index + 1}` : tag;
+        const { fileName, outPath } = buildOutputPath(username, itemTag, ext);
+
+        await downloadToFile(source.url, outPath, signal);
+        const stats = verifyFile(outPath, 'API download failed');
+        items.push({ path: outPath, size: stats.size, filename: fileName });
+
+        logger.info(`[${tag}] ✅ Downloaded via Instagram API: ${fileName} (${(stats.size/1024/1024).toFixed(2)}MB)`);
+      }
+
+      if (items.length > 1) {
+        return { items, platform: 'instagram', metadata };
+      }
+
+      return { ...items[0], platform: 'instagram', metadata };
+
+    } catch (error) {
+      // Don't leave earlier slides behind when a later one fails
+      await Promise.all(items.map(item => fs.unlink(item.path).catch(() => {})));
+
+      throwIfCancelled(signal);
+      const apiError = normalizeApiError(error, 'Instagram API fallback failed');
+      logger.error(`[${tag}] Instagram API fallback failed:`, { error: apiError.message });
+      throw apiError;
+    }
+  }
+}
+
+// Create singleton instance
+const rapidApiInstagramProvider = new RapidApiInstagramProvider();
+
+module.exports = rapidApiInstagramProvider;
@@ -0,0 +1,176 @@
+// providers/rapidapiYoutube.js - YouTube downloads through RapidAPI (YouTube Media Downloader)
+const axios = require('axios');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const guildSettingsService = require('../services/guildSettingsService');
+const { resolveApiQuality } = require('../utils/formats');
+const { detectPlatform, throwIfCancelled } = require('../utils/helpers');
+const { extractYouTubeId, saveYouTubeMedia } = require('./shared');
+
+class RapidApiYoutubeProvider {
+  constructor() {
+    this.name = 'rapidapi-youtube';
+  }
+
+  /**
+   * @param {string} url - Video URL
+   * @returns {boolean} Whether the URL is a YouTube link
+   */
+  canHandle(url) {
+    return detectPlatform(url) === 'youtube';
+  }
+
+  /**
+   * @returns {boolean} Whether RAPIDAPI_KEY is set
+   */
+  isEnabled() {
+    return Boolean(CONFIG.API.RAPIDAPI_KEY);
+  }
+
+  /**
+   * Look up a YouTube video on RapidAPI
+   * @param {string} url - YouTube URL
+   * @param {AbortSignal} signal - Download cancel signal (optional)
+   * @returns {Object} Video details ({ title, author, description, videos })
+   */
+  async fetchVideo(url, signal = null) {
+    if (!CONFIG.API.RAPIDAPI_KEY) {
+      throw new Error('RapidAPI key not configured');
+    }
+
+    const videoId = extractYouTubeId(url);
+    if (!videoId) {
+      throw new Error('Invalid YouTube URL');
+    }
+
+    const response = await axios.get('https://youtube-media-downloader.p.rapidapi.com/v2/video/details', {
+      params: { videoId },
+      headers: {
+        'x-rapidapi-host': 'youtube-media-downloader.p.rapidapi.com',
+        'x-rapidapi-key': CONFIG.API.RAPIDAPI_KEY
+      },
+      timeout: 30000,
+      signal
+    });
+
+    if (!response.data || !response.data.videos) {
+      throw new Error('RapidAPI returned invalid response');
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Get video information
+   * @param {string} url - YouTube URL
+   * @param {Object} options - { tag, signal }
+   * @returns {Object} Video metadata
+   */
+  async getInfo(url, options = {}) {
+    const { signal } = options;
+
+    try {
+      const data = await this.fetchVideo(url, signal);
+
+      return {
+        title: data.title || 'video',
+        description: data.description || null,
+        duration: data.lengthSeconds || 0,
+        uploader: data.author || 'youtube',
+        uploaderId: data.channel?.id || null,
+        platform: 'youtube',
+        url: url,
+        resolution: null,
+        filesize: null
+      };
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw new Error(`RapidAPI: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download a YouTube video
+   * @param {string} url - YouTube URL
+   * @param {Object} options - Download options
+   * @returns {Object} Download result
+   */
+  async download(url, options = {}) {
+    const { tag = 'unknown', signal } = options;
+    const { quality, isAudioOnly } = resolveApiQuality(options, guildSettingsService.get(options.guildId));
+
+    try {
+      logger.info(`[${tag}] Fetching video info from RapidAPI...`);
+
+      const data = await this.fetchVideo(url, signal);
+      const videos = data.videos || [];
+
+      logger.debug(`[${tag}] RapidAPI available formats: ${videos.length}`);
+
+      const video = isAudioOnly ? null : this.selectVideo(videos, quality, tag);
+      const downloadUrl = isAudioOnly ? this.selectAudio(videos) : video?.url;
+
+      if (!downloadUrl) {
+        throw new Error('No suitable download format found');
+      }
+
+      return await saveYouTubeMedia(downloadUrl, data, {
+        tag,
+        quality: video?.height ? String(video.height) : quality,
+        isAudioOnly,
+        signal,
+        source: 'RapidAPI'
+      });
+
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw new Error(`RapidAPI: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick an audio-only format, otherwise the lowest quality video
+   * @param {Array} videos - RapidAPI formats
+   * @returns {string|undefined} Download URL
+   */
+  selectAudio(videos) {
+    const audioFormats = videos.filter(v => v.type === 'audio' || v.mimeType?.includes('audio'));
+    if (audioFormats.length > 0) {
+      return audioFormats[0].url;
+    }
+
+    const smallest = [...videos].sort((a, b) => (a.height || 9999) - (b.height || 9999))[0];
+    return smallest?.url;
+  }
+
+  /**
+   * Pick the video format closest to the requested height
+   * @param {Array} videos - RapidAPI formats
+   * @param {string} quality - Requested height, or 'best' for the highest one
+   * @param {string} tag - Download tag (for logging)
+   * @returns {Object|undefined} RapidAPI format
+   */
+  selectVideo(videos, quality, tag) {
+    const requestedHeight = parseInt(quality);
+    const videoFormats = videos.filter(v => v.height && v.url);
+
+    const exact = videoFormats.find(v => v.height === requestedHeight);
+    if (exact) return exact;
+
+    if (videoFormats.length === 0) return undefined;
+
+    if (!requestedHeight) {
+      return [...videoFormats].sort((a, b) => b.height - a.height)[0];
+    }
+
+    const closest = [...videoFormats]
+      .sort((a, b) => Math.abs(a.height - requestedHeight) - Math.abs(b.height - requestedHeight))[0];
+    logger.debug(`[${tag}] Using closest quality: ${closest.height}p`);
+    return closest;
+  }
+}
+
+// Create singleton instance
+const rapidApiYoutubeProvider = new RapidApiYoutubeProvider();
+
+module.exports = rapidApiYoutubeProvider;
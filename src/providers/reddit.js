@@ -0,0 +1,187 @@
+// providers/reddit.js - Reddit gallery and image posts through reddit's JSON API
+// yt-dlp only handles Reddit videos, so video and link posts are handed on to it.
+const fs = require('fs').promises;
+const axios = require('axios');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const { detectPlatform, extractMediaId, throwIfCancelled } = require('../utils/helpers');
+const {
+  USER_AGENT,
+  ensureTempDir,
+  buildOutputPath,
+  verifyFile,
+  downloadToFile,
+  normalizeApiError,
+  createUnsupportedError
+} = require('./shared');
+
+class RedditProvider {
+  constructor() {
+    this.name = 'reddit';
+  }
+
+  /**
+   * @param {string} url - Post URL
+   * @returns {boolean} Whether the URL is a Reddit post with an ID
+   */
+  canHandle(url) {
+    const { platform, canonical } = extractMediaId(url);
+    return platform === 'reddit' && canonical;
+  }
+
+  /**
+   * @returns {boolean} Whether the provider is configured
+   */
+  isEnabled() {
+    return true;
+  }
+
+  /**
+   * Look up a Reddit post (crossposts resolve to the original)
+   * @param {string} url - Reddit URL
+   * @param {AbortSignal} signal - Download cancel signal (optional)
+   * @returns {Object} Post data
+   */
+  async fetchPost(url, signal = null) {
+    const { id } = extractMediaId(url);
+
+    const response = await axios.get(`https://www.reddit.com/comments/${id}.json`, {
+      params: { raw_json: 1 },
+      headers: {
+        'User-Agent': USER_AGENT
+      },
+      timeout: 15000,
+      signal
+    });
+
+    const post = response.data?.[0]?.data?.children?.[0]?.data;
+    if (!post) {
+      throw new Error('Reddit API returned invalid data structure');
+    }
+
+    return post.crosspost_parent_list?.[0] || post;
+  }
+
+  /**
+   * List the media of a gallery or image post
+   * @param {Object} post - Post data
+   * @returns {Array} { url, ext } in gallery order (empty for video/link posts)
+   */
+  getMediaSources(post) {
+    if (post.is_gallery && post.gallery_data?.items) {
+      return post.gallery_data.items
+        .map(item => post.media_metadata?.[item.media_id])
+        .filter(media => media && media.status === 'valid' && media.s)
+        .map((media) => {
+          if (media.e === 'AnimatedImage') {
+            return media.s.mp4 ? { url: media.s.mp4, ext: 'mp4' } : { url: media.s.gif, ext: 'gif' };
+          }
+          return { url: media.s.u, ext: (media.m || 'image/jpg').split('/')[1] };
+        })
+        .filter(source => source.url);
+    }
+
+    const imageMatch = (post.url || '').match(/\.(jpe?g|png|gif|webp)(?:\?|$)/i);
+    if (post.post_hint === 'image' && imageMatch) {
+      return [{ url: post.url, ext: imageMatch[1].toLowerCase() }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Get post information
+   * @param {string} url - Reddit URL
+   * @param {Object} options - { tag, signal }
+   * @returns {Object} Post metadata
+   */
+  async getInfo(url, options = {}) {
+    const { signal } = options;
+
+    try {
+      const post = await this.fetchPost(url, signal);
+
+      return {
+        title: post.title || 'reddit',
+        description: post.title || null,
+        duration: 0,
+        uploader: post.author || 'reddit',
+        uploaderId: null,
+        platform: 'reddit',
+        url: url,
+        resolution: null,
+        filesize: null
+      };
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw normalizeApiError(error, 'Reddit API lookup failed');
+    }
+  }
+
+  /**
+   * Download every image of a gallery or image post
+   * @param {string} url - Reddit URL
+   * @param {Object} options - Download options
+   * @returns {Object} Download result
+   */
+  async download(url, options = {}) {
+    const { tag = 'unknown', signal } = options;
+    const items = [];
+
+    let post;
+    try {
+      post = await this.fetchPost(url, signal);
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw normalizeApiError(error, 'Reddit API lookup failed');
+    }
+
+    const sources = this.getMediaSources(post).slice(0, CONFIG.DOWNLOAD.MAX_MEDIA_ITEMS);
+    if (sources.length === 0) {
+      throw createUnsupportedError('Reddit post has no gallery or image');
+    }
+
+    const metadata = {
+      uploader: post.author || 'reddit',
+      caption: post.title || null,
+      resolution: null
+    };
+
+    try {
+      await ensureTempDir();
+
+      logger.info(`[${tag}] Downloading ${sources.length} item(s) from Reddit...`);
+
+      for (const [index, source] of sources.entries()) {
+        const itemTag = sources.length > 1 ? `${tag}_${index + 1}` : tag;
+        const { fileName, outPath } = buildOutputPath(metadata.uploader, itemTag, source.ext);
+
+        await downloadToFile(source.url, outPath, signal);
+        const stats = verifyFile(outPath);
+        items.push({ path: outPath, size: stats.size, filename: fileName });
+      }
+
+      logger.info(`[${tag}] ✅ Downloaded ${items.length} Reddit item(s)`);
+
+      if (items.length > 1) {
+        return { items, platform: 'reddit', metadata };
+      }
+
+      return { ...items[0], platform: 'reddit', metadata };
+
+    } catch (error) {
+      // Don't leave earlier images behind when a later one fails
+      await Promise.all(items.map(item => fs.unlink(item.path).catch(() => {})));
+
+      throwIfCancelled(signal);
+      const apiError = normalizeApiError(error, 'Reddit download failed');
+      logger.error(`[${tag}] Reddit download failed:`, { error: apiError.message });
+      throw apiError;
+    }
+  }
+}
+
+// Create singleton instance
+const redditProvider = new RedditProvider();
+
+module.exports = redditProvider;
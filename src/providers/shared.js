@@ -0,0 +1,227 @@
+// providers/shared.js - File and API helpers shared by the download providers
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const {
+  sanitizeFilename,
+  getDateTag,
+  extractMediaId,
+  promiseTimeout,
+  createLinkedController,
+  throwIfCancelled
+} = require('../utils/helpers');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+const IMAGE_EXTENSIONS = new Set(['jpg', 'jpeg', 'png', 'webp', 'gif', 'heic']);
+const AUDIO_EXTENSIONS = new Set(['mp3', 'm4a', 'aac', 'opus', 'ogg', 'wav', 'flac']);
+const SUBTITLE_EXTENSIONS = new Set(['srt', 'vtt']);
+
+/**
+ * Ensure the temp directory exists
+ */
+async function ensureTempDir() {
+  try {
+    await fs.mkdir(CONFIG.PATHS.TEMP_DIR, { recursive: true });
+  } catch (error) {
+    logger.error('Failed to create temp directory:', { error: error.message });
+  }
+}
+
+/**
+ * Build a temp file name and path for a download
+ * @param {string} name - Uploader or title (sanitized here)
+ * @param {string} tag - Download tag
+ * @param {string} ext - File extension
+ * @returns {Object} { fileName, outPath }
+ */
+function buildOutputPath(name, tag, ext) {
+  const fileName = `${sanitizeFilename(name)}_${getDateTag()}_${tag}.${ext}`;
+  return { fileName, outPath: path.join(CONFIG.PATHS.TEMP_DIR, fileName) };
+}
+
+/**
+ * Tell images, audio, subtitles and video apart by file extension
+ * @param {string} filePath - File path or name
+ * @returns {string} 'image', 'audio', 'subtitle' or 'video'
+ */
+function getMediaType(filePath) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  if (IMAGE_EXTENSIONS.has(ext)) return 'image';
+  if (AUDIO_EXTENSIONS.has(ext)) return 'audio';
+  if (SUBTITLE_EXTENSIONS.has(ext)) return 'subtitle';
+  return 'video';
+}
+
+/**
+ * Check that a downloaded file exists and is not empty
+ * @param {string} filePath - File path
+ * @param {string} label - Error message prefix
+ * @returns {Object} File stats
+ */
+function verifyFile(filePath, label = 'Download failed') {
+  if (!fsSync.existsSync(filePath)) {
+    throw new Error(`${label} - file not created`);
+  }
+
+  const stats = fsSync.statSync(filePath);
+  if (stats.size === 0) {
+    throw new Error(`${label} - empty file`);
+  }
+
+  return stats;
+}
+
+/**
+ * Stream a remote file to disk
+ * The request is aborted on cancel or after DOWNLOAD.TIMEOUT, which closes the
+ * socket; the partial file is removed on any failure.
+ * @param {string} url - File URL
+ * @param {string} outPath - Destination path
+ * @param {AbortSignal} signal - Download cancel signal (optional)
+ */
+async function downloadToFile(url, outPath, signal = null) {
+  const controller = createLinkedController(signal);
+
+  const transfer = async () => {
+    const response = await axios({
+      url,
+      method: 'GET',
+      responseType: 'stream',
+      signal: controller.signal,
+      headers: {
+        'User-Agent': USER_AGENT
+      }
+    });
+
+    await pipeline(response.data, fsSync.createWriteStream(outPath), { signal: controller.signal });
+  };
+
+  try {
+    await promiseTimeout(transfer(), CONFIG.DOWNLOAD.TIMEOUT, 'File download timed out', controller);
+  } catch (error) {
+    await fs.unlink(outPath).catch(() => {});
+    throwIfCancelled(signal);
+    throw error;
+  }
+}
+
+/**
+ * Remove a download's output file and any partial files yt-dlp left next to it
+ * (.part, .ytdl, per-format fragments), all of which share the output's base name
+ * @param {string} outPath - Expected output path
+ * @param {string} tag - Download tag (for logging)
+ */
+async function cleanupPartialFiles(outPath, tag = 'unknown') {
+  const baseName = path.parse(outPath).name;
+  const dir = path.dirname(outPath);
+
+  try {
+    const files = await fs.readdir(dir);
+    const leftovers = files.filter(file => file.startsWith(baseName));
+
+    await Promise.all(leftovers.map(file => fs.unlink(path.join(dir, file)).catch(() => {})));
+
+    if (leftovers.length > 0) {
+      logger.debug(`[${tag}] Removed ${leftovers.length} partial file(s)`);
+    }
+  } catch (error) {
+    logger.debug(`[${tag}] Failed to cleanup:`, { error: error.message });
+  }
+}
+
+/**
+ * Turn an axios/API failure into an Error with a readable message
+ * 4xx responses that won't change on retry are flagged permanent.
+ * @param {Error} error - Original error
+ * @param {string} prefix - Message prefix
+ * @returns {Error} Normalized error
+ */
+function normalizeApiError(error, prefix = 'API error') {
+  // Cancellation has to reach the download manager untouched
+  if (error?.isCancelled) return error;
+
+  const status = error?.response?.status;
+  const statusText = status ? `status ${status}` : null;
+  const pieces = [prefix, statusText, error?.message].filter(Boolean);
+  const normalized = new Error(pieces.join(' - '));
+  if (status && [400, 401, 403, 404, 410, 451].includes(status)) {
+    normalized.isPermanent = true;
+  }
+  return normalized;
+}
+
+/**
+ * Error for a post the provider does not handle, so the next provider gets it
+ * without the provider's circuit breaker counting a failure
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged isUnsupported
+ */
+function createUnsupportedError(message) {
+  const error = new Error(message);
+  error.isUnsupported = true;
+  return error;
+}
+
+/**
+ * Extract the 11-character video ID from a YouTube URL
+ * @param {string} url - YouTube URL
+ * @returns {string|null} Video ID
+ */
+function extractYouTubeId(url) {
+  const { platform, id, canonical } = extractMediaId(url);
+  return platform === 'youtube' && canonical ? id : null;
+}
+
+/**
+ * Download a media URL returned by a YouTube API
+ * Audio requests are converted afterwards by videoDownloader.applyAudioRequest().
+ * @param {string} downloadUrl - Direct media URL
+ * @param {Object} info - { title, author, description } from the API
+ * @param {Object} request - { tag, quality, isAudioOnly, signal, source }
+ * @returns {Object} Download result
+ */
+async function saveYouTubeMedia(downloadUrl, info, request) {
+  const { tag, quality, isAudioOnly, signal, source } = request;
+  const title = info.title || 'video';
+  const { fileName, outPath } = buildOutputPath(title, tag, 'mp4');
+
+  await ensureTempDir();
+
+  logger.info(`[${tag}] Downloading from ${source}: ${fileName}`);
+
+  await downloadToFile(downloadUrl, outPath, signal);
+  const stats = verifyFile(outPath);
+
+  return {
+    path: outPath,
+    size: stats.size,
+    filename: fileName,
+    platform: 'youtube',
+    metadata: {
+      title,
+      uploader: info.author || 'youtube',
+      caption: info.description || null,
+      resolution: isAudioOnly ? 'audio' : (/^\d+$/.test(quality) ? `${quality}p` : null)
+    }
+  };
+}
+
+module.exports = {
+  USER_AGENT,
+  SUBTITLE_EXTENSIONS,
+  ensureTempDir,
+  buildOutputPath,
+  getMediaType,
+  verifyFile,
+  downloadToFile,
+  cleanupPartialFiles,
+  normalizeApiError,
+  createUnsupportedError,
+  extractYouTubeId,
+  saveYouTubeMedia
+};
@@ -0,0 +1,288 @@
+// providers/tikwm.js - TikTok downloads through the tikwm.com API
+// Also handles photo slideshows (data.images), which yt-dlp cannot download.
+const fs = require('fs').promises;
+const axios = require('axios');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const mediaProcessor = require('../services/mediaProcessor');
+const guildSettingsService = require('../services/guildSettingsService');
+const { resolveFormatOptions } = require('../utils/formats');
+const { detectPlatform, throwIfCancelled } = require('../utils/helpers');
+const {
+  USER_AGENT,
+  ensureTempDir,
+  buildOutputPath,
+  verifyFile,
+  downloadToFile,
+  normalizeApiError
+} = require('./shared');
+
+class TikwmProvider {
+  constructor() {
+    this.name = 'tikwm';
+  }
+
+  /**
+   * @param {string} url - Video URL
+   * @returns {boolean} Whether the URL is a TikTok link
+   */
+  canHandle(url) {
+    return detectPlatform(url) === 'tiktok';
+  }
+
+  /**
+   * @returns {boolean} Whether the provider is configured
+   */
+  isEnabled() {
+    return true;
+  }
+
+  /**
+   * Look up a TikTok video or photo post on tikwm.com
+   * @param {string} url - TikTok URL
+   * @param {AbortSignal} signal - Download cancel signal (optional)
+   * @returns {Object} tikwm video data (photo posts carry data.images instead of a video)
+   */
+  async fetchVideo(url, signal = null) {
+    const response = await axios.post('https://www.tikwm.com/api/', {
+      url: url,
+      hd: 1
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT
+      },
+      timeout: 30000,
+      signal
+    });
+
+    const data = response.data.data;
+    if (response.data.code !== 0 || !(data?.play || data?.images?.length)) {
+      throw new Error('TikTok API returned invalid response');
+    }
+
+    return data;
+  }
+
+  /**
+   * Get video information
+   * @param {string} url - TikTok URL
+   * @param {Object} options - { tag, signal }
+   * @returns {Object} Video metadata
+   */
+  async getInfo(url, options = {}) {
+    const { signal } = options;
+
+    try {
+      const data = await this.fetchVideo(url, signal);
+
+      return {
+        title: data.title || 'video',
+        description: data.title || null,
+        duration: data.duration || 0,
+        uploader: data.author?.unique_id || 'tiktok_user',
+        uploaderId: data.author?.id || null,
+        platform: 'tiktok',
+        url: url,
+        resolution: '720p',
+        filesize: data.size || null
+      };
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw normalizeApiError(error, 'TikTok API lookup failed');
+    }
+  }
+
+  /**
+   * Pick the author and engagement details shown in rich embeds
+   * @param {Object} data - tikwm post data
+   * @returns {Object} { uploaderUrl, avatar, uploadDate, viewCount, likeCount, commentCount }
+   */
+  getPostDetails(data) {
+    return {
+      uploaderUrl: data.author?.unique_id ? `https://www.tiktok.com/@${data.author.unique_id}` : null,
+      avatar: data.author?.avatar || null,
+      uploadDate: data.create_time ? data.create_time * 1000 : null,
+      viewCount: data.play_count ?? null,
+      likeCount: data.digg_count ?? null,
+      commentCount: data.comment_count ?? null
+    };
+  }
+
+  /**
+   * Download a TikTok video or photo post
+   * @param {string} url - TikTok URL
+   * @param {Object} options - Download options
+   * @returns {Object} Download result
+   */
+  async download(url, options = {}) {
+    const { tag = 'unknown', signal } = options;
+
+    try {
+      logger.info(`[${tag}] 🔄 Trying TikTok API (tikwm.com)...`);
+
+      const data = await this.fetchVideo(url, signal);
+      const username = data.author?.unique_id || 'tiktok_user';
+
+      if (data.images?.length) {
+        return await this.downloadPhotoPost(data, username, options);
+      }
+
+      const { fileName, outPath } = buildOutputPath(username, tag, 'mp4');
+
+      await ensureTempDir();
+
+      logger.info(`[${tag}] Downloading from API: ${fileName}`);
+
+      await downloadToFile(data.play, outPath, signal);
+      const stats = verifyFile(outPath, 'API download failed');
+
+      logger.info(`[${tag}] ✅ Downloaded via TikTok API: ${fileName} (${(stats.size/1024/1024).toFixed(2)}MB)`);
+
+      return {
+        path: outPath,
+        size: stats.size,
+        filename: fileName,
+        platform: 'tiktok',
+        metadata: {
+          uploader: username,
+          caption: data.title || null,
+          resolution: '720p',
+          duration: data.duration || 0,
+          thumbnail: data.cover || null,
+          ...this.getPostDetails(data)
+        }
+      };
+
+    } catch (error) {
+      throwIfCancelled(signal);
+      const apiError = normalizeApiError(error, 'TikTok API fallback failed');
+      logger.error(`[${tag}] TikTok API fallback failed:`, { error: apiError.message });
+      throw apiError;
+    }
+  }
+
+  /**
+   * Download a photo slideshow
+   * Returns the photos as a gallery, the background music when audio was requested,
+   * or a rendered MP4 when the guild has slideshow videos turned on.
+   * @param {Object} data - tikwm post data
+   * @param {string} username - Post author
+   * @param {Object} options - Download options
+   * @returns {Object} Download result
+   */
+  async downloadPhotoPost(data, username, options) {
+    const { tag = 'unknown', downloadOptions, signal } = options;
+    const guildSettings = guildSettingsService.get(options.guildId);
+    const formatOptions = resolveFormatOptions(downloadOptions, guildSettings);
+    const metadata = {
+      uploader: username,
+      caption: data.title || null,
+      resolution: null,
+      thumbnail: data.cover || null,
+      ...this.getPostDetails(data)
+    };
+    const musicUrl = data.music || data.music_info?.play;
+
+    await ensureTempDir();
+
+    // The shared audio step converts and tags the track (videoDownloader.applyAudioRequest)
+    if (formatOptions?.extractAudio && musicUrl) {
+      const { fileName, outPath } = buildOutputPath(username, tag, 'mp3');
+
+      logger.info(`[${tag}] Downloading slideshow audio: ${fileName}`);
+      await downloadToFile(musicUrl, outPath, signal);
+      const stats = verifyFile(outPath, 'API download failed');
+
+      return {
+        path: outPath,
+        size: stats.size,
+        filename: fileName,
+        platform: 'tiktok',
+        metadata: { ...metadata, resolution: 'audio' }
+      };
+    }
+
+    const images = data.images.slice(0, CONFIG.DOWNLOAD.MAX_MEDIA_ITEMS);
+    const items = [];
+
+    try {
+      logger.info(`[${tag}] Downloading ${images.length} photo(s) from API...`);
+
+      for (const [index, imageUrl] of images.entries()) {
+        const { fileName, outPath } = buildOutputPath(username, `${tag}_${index + 1}`, 'jpg');
+
+        await downloadToFile(imageUrl, outPath, signal);
+        const stats = verifyFile(outPath, 'API download failed');
+        items.push({ path: outPath, size: stats.size, filename: fileName });
+      }
+    } catch (error) {
+      // Don't leave earlier photos behind when a later one fails
+      await Promise.all(items.map(item => fs.unlink(item.path).catch(() => {})));
+      throw error;
+    }
+
+    logger.info(`[${tag}] ✅ Downloaded ${items.length} photo(s) via TikTok API`);
+
+    if (guildSettings.slideshowVideo) {
+      const video = await this.renderSlideshow(items, musicUrl, username, options);
+      if (video) {
+        return { ...video, platform: 'tiktok', metadata: { ...metadata, resolution: '720p' } };
+      }
+    }
+
+    if (items.length > 1) {
+      return { items, platform: 'tiktok', metadata };
+    }
+
+    return { ...items[0], platform: 'tiktok', metadata };
+  }
+
+  /**
+   * Turn downloaded photos and the post's music into one MP4
+   * The photos are removed once the video exists; on failure they are kept
+   * so the post can still be sent as a gallery.
+   * @param {Array} items - Downloaded photos ({ path, size, filename })
+   * @param {string} musicUrl - Background music URL (optional)
+   * @param {string} username - Post author
+   * @param {Object} options - Download options
+   * @returns {Object|null} { path, size, filename } or null when rendering failed
+   */
+  async renderSlideshow(items, musicUrl, username, options) {
+    const { tag = 'unknown', signal } = options;
+    const { fileName, outPath } = buildOutputPath(username, tag, 'mp4');
+    const audioPath = musicUrl ? outPath.replace(/\.mp4$/, '_audio.mp3') : null;
+
+    logger.info(`[${tag}] 🎞️ Rendering slideshow video from ${items.length} photo(s)...`);
+
+    try {
+      if (audioPath) {
+        await downloadToFile(musicUrl, audioPath, signal);
+      }
+
+      await mediaProcessor.renderSlideshow(items.map(item => item.path), audioPath, outPath, signal);
+      const stats = verifyFile(outPath, 'Slideshow rendering failed');
+
+      await Promise.all(items.map(item => fs.unlink(item.path).catch(() => {})));
+
+      logger.info(`[${tag}] ✅ Rendered slideshow: ${fileName} (${(stats.size/1024/1024).toFixed(2)}MB)`);
+      return { path: outPath, size: stats.size, filename: fileName };
+    } catch (error) {
+      if (error.isCancelled || signal?.aborted) {
+        await Promise.all(items.map(item => fs.unlink(item.path).catch(() => {})));
+        throw error;
+      }
+      logger.warn(`[${tag}] Slideshow rendering failed, sending photos instead: ${error.message}`);
+      return null;
+    } finally {
+      if (audioPath) {
+        await fs.unlink(audioPath).catch(() => {});
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const tikwmProvider = new TikwmProvider();
+
+module.exports = tikwmProvider;
@@ -0,0 +1,177 @@
+// providers/vidfly.js - YouTube downloads through the vidfly.ai API
+const axios = require('axios');
+const logger = require('../utils/logger');
+const guildSettingsService = require('../services/guildSettingsService');
+const { resolveApiQuality } = require('../utils/formats');
+const { detectPlatform, throwIfCancelled } = require('../utils/helpers');
+const { extractYouTubeId, saveYouTubeMedia } = require('./shared');
+
+class VidflyProvider {
+  constructor() {
+    this.name = 'vidfly';
+  }
+
+  /**
+   * @param {string} url - Video URL
+   * @returns {boolean} Whether the URL is a YouTube link
+   */
+  canHandle(url) {
+    return detectPlatform(url) === 'youtube';
+  }
+
+  /**
+   * @returns {boolean} Whether the provider is configured
+   */
+  isEnabled() {
+    return true;
+  }
+
+  /**
+   * Look up a YouTube video on vidfly.ai
+   * @param {string} url - YouTube URL
+   * @param {string} tag - Download tag (for logging)
+   * @param {AbortSignal} signal - Download cancel signal (optional)
+   * @returns {Object} vidfly.ai video data
+   */
+  async fetchVideo(url, tag, signal = null) {
+    if (!extractYouTubeId(url)) {
+      throw new Error('Invalid YouTube URL');
+    }
+
+    const response = await axios.get('https://api.vidfly.ai/api/media/youtube/download', {
+      params: { url },
+      headers: {
+        'accept': '*/*',
+        'accept-language': 'en-US,en;q=0.9',
+        'content-type': 'application/json',
+        'origin': 'https://vidfly.ai',
+        'referer': 'https://vidfly.ai/',
+        'sec-ch-ua': '"Google Chrome";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
+        'sec-ch-ua-mobile': '?0',
+        'sec-ch-ua-platform': '"Windows"',
+        'sec-fetch-dest': 'empty',
+        'sec-fetch-mode': 'cors',
+        'sec-fetch-site': 'same-site',
+        'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+        'x-app-name': 'vidfly-web',
+        'x-app-version': '1.0.0'
+      },
+      timeout: 30000,
+      signal
+    });
+
+    logger.debug(`[${tag}] vidfly.ai response status: ${response.data?.status || 'unknown'}`);
+
+    if (!response.data || response.data.status === 'error') {
+      throw new Error(response.data?.message || 'vidfly.ai returned error');
+    }
+
+    if (!response.data.data) {
+      throw new Error('vidfly.ai returned invalid response structure');
+    }
+
+    return response.data.data;
+  }
+
+  /**
+   * Get video information
+   * @param {string} url - YouTube URL
+   * @param {Object} options - { tag, signal }
+   * @returns {Object} Video metadata
+   */
+  async getInfo(url, options = {}) {
+    const { tag = 'unknown', signal } = options;
+
+    try {
+      const data = await this.fetchVideo(url, tag, signal);
+
+      return {
+        title: data.title || 'video',
+        description: data.description || null,
+        duration: data.duration || 0,
+        uploader: data.author || 'youtube',
+        uploaderId: null,
+        platform: 'youtube',
+        url: url,
+        resolution: null,
+        filesize: null
+      };
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw new Error(`vidfly.ai: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download a YouTube video
+   * @param {string} url - YouTube URL
+   * @param {Object} options - Download options
+   * @returns {Object} Download result
+   */
+  async download(url, options = {}) {
+    const { tag = 'unknown', signal } = options;
+    const { quality, isAudioOnly } = resolveApiQuality(options, guildSettingsService.get(options.guildId));
+
+    try {
+      const data = await this.fetchVideo(url, tag, signal);
+
+      // vidfly.ai uses "items" not "formats"
+      const items = data.items || [];
+      logger.debug(`[${tag}] vidfly.ai items available: ${items.length}`);
+
+      if (items.length === 0) {
+        logger.error(`[${tag}] vidfly.ai response structure: ${JSON.stringify(data, null, 2).substring(0, 500)}`);
+        throw new Error('No items found in vidfly.ai response');
+      }
+
+      const selectedItem = this.selectItem(items, quality, tag);
+
+      if (!selectedItem?.url) {
+        logger.error(`[${tag}] vidfly.ai response structure: ${JSON.stringify(data, null, 2).substring(0, 500)}`);
+        throw new Error('No suitable download link found');
+      }
+
+      return await saveYouTubeMedia(selectedItem.url, data, {
+        tag,
+        quality: selectedItem.height ? String(selectedItem.height) : quality,
+        isAudioOnly,
+        signal,
+        source: 'vidfly.ai'
+      });
+
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw new Error(`vidfly.ai: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick the item matching the requested height, otherwise the best one
+   * @param {Array} items - vidfly.ai items
+   * @param {string} quality - Requested height, or 'best'
+   * @param {string} tag - Download tag (for logging)
+   * @returns {Object|null} Selected item
+   */
+  selectItem(items, quality, tag) {
+    const requestedHeight = parseInt(quality);
+    const videoItems = items.filter(item => item.type?.includes('video') || item.height);
+
+    if (videoItems.length === 0) return null;
+
+    const exact = videoItems.find(item => item.height === requestedHeight);
+    if (exact) {
+      logger.debug(`[${tag}] Found exact match: ${exact.height}p (${exact.label})`);
+      return exact;
+    }
+
+    // Sort by height descending (best quality first)
+    const best = [...videoItems].sort((a, b) => (b.height || 0) - (a.height || 0))[0];
+    logger.debug(`[${tag}] Using fallback quality: ${best.height}p (${best.label})`);
+    return best;
+  }
+}
+
+// Create singleton instance
+const vidflyProvider = new VidflyProvider();
+
+module.exports = vidflyProvider;
@@ -0,0 +1,697 @@
+// providers/ytdlp.js - yt-dlp download provider (every platform yt-dlp supports)
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const guildSettingsService = require('../services/guildSettingsService');
+const { resolveFormatOptions, planFormatForLimit, getSubtitleArgs, getAvailableQualities } = require('../utils/formats');
+const {
+  sanitizeFilename,
+  detectPlatform,
+  promiseTimeout,
+  createLinkedController,
+  createCancelledError,
+  throwIfCancelled,
+  shortenText
+} = require('../utils/helpers');
+const {
+  SUBTITLE_EXTENSIONS,
+  ensureTempDir,
+  buildOutputPath,
+  verifyFile,
+  cleanupPartialFiles,
+  createUnsupportedError
+} = require('./shared');
+
+const execFileAsync = promisify(execFile);
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36';
+
+/**
+ * Pick the author and engagement details shown in rich embeds from --dump-json
+ * @param {Object} info - yt-dlp info JSON
+ * @returns {Object} { uploaderUrl, avatar, uploadDate, viewCount, likeCount, commentCount }
+ */
+function getPostDetails(info) {
+  const uploadDate = info.timestamp
+    ? info.timestamp * 1000
+    : /^\d{8}$/.test(info.upload_date || '')
+      ? Date.UTC(info.upload_date.slice(0, 4), info.upload_date.slice(4, 6) - 1, info.upload_date.slice(6, 8))
+      : null;
+
+  return {
+    uploaderUrl: info.uploader_url || info.channel_url || null,
+    avatar: (info.thumbnails || []).find(thumb => /avatar/i.test(thumb.id || ''))?.url || null,
+    uploadDate,
+    viewCount: info.view_count ?? null,
+    likeCount: info.like_count ?? null,
+    commentCount: info.comment_count ?? null
+  };
+}
+
+// Posts on these platforms can hold several videos (carousels, multi-video tweets, galleries)
+const MULTI_MEDIA_PLATFORMS = new Set(['instagram', 'twitter', 'reddit']);
+
+class YtDlpProvider {
+  constructor() {
+    this.name = 'ytdlp';
+    this.permanentErrorPatterns = [
+      'http error 403',
+      'http error 404',
+      '404 not found',
+      '410 gone',
+      '410:',
+      'private video',
+      'video unavailable',
+      'not available in your country',
+      'sign in to confirm your age',
+      'playback on other websites has been disabled',
+      'this live event has ended',
+      'copyright claim',
+      'account is private',
+      'video does not exist',
+      'user not found'
+    ];
+    // Image-only posts - another provider (tikwm, RapidAPI, reddit) downloads the photos
+    this.unsupportedErrorPatterns = [
+      'no video in this post',
+      'no video could be found',
+      'no video formats found'
+    ];
+  }
+
+  /**
+   * yt-dlp has extractors for every supported platform
+   * @param {string} url - Video URL
+   * @returns {boolean} Always true
+   */
+  canHandle(url) {
+    return Boolean(url);
+  }
+
+  /**
+   * @returns {boolean} Whether the provider is configured
+   */
+  isEnabled() {
+    return true;
+  }
+
+  /**
+   * Get video information with yt-dlp --dump-json
+   * @param {string} url - Video URL
+   * @param {Object} options - { tag, signal }
+   * @returns {Object} Video metadata
+   */
+  async getInfo(url, options = {}) {
+    const { tag = 'unknown', signal } = options;
+    const platform = detectPlatform(url);
+
+    logger.info(`[${tag}] Getting video info from ${platform}...`);
+
+    const args = [
+      url,
+      '--dump-json',
+      '--socket-timeout', '30'
+    ];
+
+    // Add verbose for TikTok debugging
+    if (platform === 'tiktok') {
+      args.push('--verbose');
+    }
+
+    // Carousels dump one JSON line per item - the first one describes the post
+    if (MULTI_MEDIA_PLATFORMS.has(platform)) {
+      args.push('--playlist-items', '1');
+    }
+
+    // Add YouTube bypass for bot detection
+    if (platform === 'youtube') {
+      args.push(
+        '--extractor-args', 'youtube:player_client=default,web',
+        '--user-agent', BROWSER_USER_AGENT
+      );
+    }
+
+    // Skip impersonate - not supported by this yt-dlp build
+    // Skip cookies for TikTok (works without them)
+    if (platform !== 'tiktok') {
+      const cookiePath = CONFIG.PATHS.COOKIES[platform];
+      if (cookiePath && fsSync.existsSync(cookiePath)) {
+        args.push('--cookies', cookiePath);
+        logger.debug(`[${tag}] Using ${platform} cookies`);
+      }
+    }
+
+    // Log the exact command for debugging
+    logger.info(`[${tag}] yt-dlp info command: yt-dlp ${args.join(' ')}`);
+
+    const controller = createLinkedController(signal);
+    const { stdout } = await promiseTimeout(
+      execFileAsync('yt-dlp', args, {
+        maxBuffer: 10 * 1024 * 1024,
+        signal: controller.signal
+      }),
+      CONFIG.DOWNLOAD.INFO_TIMEOUT,
+      'Video info retrieval timed out',
+      controller
+    );
+
+    const info = JSON.parse(stdout);
+
+    logger.info(`[${tag}] Video info retrieved: ${info.title || 'Unknown'}`);
+
+    return {
+      title: info.title || 'video',
+      description: info.description || null,
+      duration: info.duration || 0,
+      uploader: info.uploader || info.uploader_id || info.channel || 'unknown_user',
+      uploaderId: info.uploader_id || info.channel_id || null,
+      platform: platform,
+      url: url,
+      resolution: info.resolution || null,
+      filesize: info.filesize || info.filesize_approx || null,
+      thumbnail: info.thumbnail || null,
+      ...getPostDetails(info),
+      isImagePost: this.isImagePost(info),
+      formats: info.formats || []
+    };
+  }
+
+  /**
+   * Pick a format that fits the guild's upload limit from the --dump-json formats
+   * The platform's default format list stays behind it as the fallback.
+   * @param {Object} metadata - Result of getInfo()
+   * @param {string} platform - Platform name
+   * @param {string|null} guildId - Guild ID
+   * @param {string} tag - Download tag for logging
+   * @param {Object|null} clip - { start, end } when only part of the video is downloaded
+   * @returns {Object|null} Format options or null to use the platform defaults
+   */
+  planFormat(metadata, platform, guildId, tag, clip = null) {
+    if (!metadata.formats?.length) return null;
+
+    const limitBytes = guildSettingsService.getUploadLimit(guildId);
+
+    // Format sizes are for the whole video; a clip only keeps its share of them
+    const clipLength = clip && metadata.duration ? Math.min(clip.end, metadata.duration) - clip.start : 0;
+    const planLimit = clipLength > 0 ? limitBytes * (metadata.duration / clipLength) : limitBytes;
+
+    const plan = planFormatForLimit(metadata.formats, planLimit, metadata.duration);
+
+    if (!plan) {
+      logger.debug(`[${tag}] No format is known to fit ${(limitBytes/1024/1024).toFixed(0)}MB, using platform defaults`);
+      return null;
+    }
+
+    logger.info(`[${tag}] 📐 Picked format ${plan.format} (~${(plan.estimatedSize/1024/1024).toFixed(1)}MB) for the ${(limitBytes/1024/1024).toFixed(0)}MB limit`);
+
+    const fallback = (CONFIG.FORMATS[platform] || CONFIG.FORMATS.default).join('/');
+    return { ...plan, format: `${plan.format}/${fallback}` };
+  }
+
+  /**
+   * Check whether a --dump-json entry has no video stream at all (photo posts)
+   * @param {Object} info - yt-dlp info JSON
+   * @returns {boolean} Whether the post is images (plus music) only
+   */
+  isImagePost(info) {
+    const formats = info.formats || [];
+    if (formats.length > 0) {
+      return formats.every(format => format.vcodec === 'none');
+    }
+    return info.vcodec === 'none';
+  }
+
+  /**
+   * Download with yt-dlp
+   * @param {string} url - Video URL
+   * @param {Object} options - Download options
+   * @returns {Object} Download result
+   */
+  async download(url, options = {}) {
+    const { tag = 'unknown', onProgress, downloadOptions, signal } = options;
+    const platform = detectPlatform(url);
+    const multiMedia = MULTI_MEDIA_PLATFORMS.has(platform);
+    const clip = multiMedia ? null : options.clip;
+    const subtitles = multiMedia ? null : downloadOptions?.subtitles;
+
+    // yt-dlp has no extractor for TikTok photo slideshows
+    if (platform === 'tiktok' && /\/photo\//i.test(url)) {
+      throw createUnsupportedError('yt-dlp cannot download TikTok photo posts');
+    }
+
+    await ensureTempDir();
+
+    let outPath = null;
+
+    try {
+      // Get metadata first (a failed lookup only costs us the caption)
+      const metadata = await this.getInfo(url, { tag, signal }).catch((error) => {
+        throwIfCancelled(signal);
+        logger.error(`[${tag}] Failed to get video info:`, {
+          message: error.message || 'Unknown error',
+          code: error.code || 'N/A',
+          stderr: error.stderr?.toString() || 'none',
+          stdout: error.stdout?.toString() || 'none'
+        });
+        return { title: 'video', uploader: 'unknown_user', platform, url };
+      });
+
+      if (metadata.isImagePost) {
+        throw createUnsupportedError('Post has no video (image post)');
+      }
+
+      if (clip && metadata.duration && clip.start >= metadata.duration) {
+        const error = new Error(`Clip starts at ${clip.start}s but the video is only ${metadata.duration}s long`);
+        error.isPermanent = true;
+        throw error;
+      }
+
+      // Generate filename
+      const username = sanitizeFilename(metadata.uploader || metadata.uploaderId || 'unknown_user');
+      const caption = shortenText(metadata.description || metadata.title || null, 200);
+
+      let fileName;
+
+      // Explicit /download choices override the guild and platform defaults
+      const guildSettings = guildSettingsService.get(options.guildId);
+      const formatOptions = resolveFormatOptions(downloadOptions, guildSettings) ||
+        (multiMedia ? null : this.planFormat(metadata, platform, options.guildId, tag, clip));
+
+      ({ fileName, outPath } = buildOutputPath(username, tag, formatOptions ? formatOptions.ext : 'mp4'));
+      logger.info(`[${tag}] Downloading with yt-dlp: ${fileName}`);
+
+      // One numbered file per item, named after outPath so cleanup still finds them
+      const outputTemplate = multiMedia
+        ? path.join(path.dirname(outPath), `${path.parse(outPath).name}_%(playlist_index|1)s.%(ext)s`)
+        : outPath;
+
+      const args = [
+        url,
+        ...this.getPlatformArgs(platform, formatOptions, guildSettings),
+        '-o', outputTemplate,
+        '--progress',
+        '--newline'
+      ];
+
+      if (clip) {
+        logger.info(`[${tag}] ✂️ Downloading only ${clip.start}s-${clip.end}s`);
+        args.push('--download-sections', `*${clip.start}-${clip.end}`, '--force-keyframes-at-cuts');
+      }
+
+      if (subtitles) {
+        args.push(...getSubtitleArgs(subtitles.lang));
+      }
+
+      // Log the exact command for debugging
+      logger.debug(`[${tag}] yt-dlp download command: yt-dlp ${args.join(' ')}`);
+
+      await this.run(args, { tag, platform, onProgress, signal });
+
+      logger.debug(`[${tag}] Verifying downloaded file: ${outPath}`);
+      const items = multiMedia
+        ? await this.collectOutputFiles(outPath)
+        : [{ path: outPath, size: verifyFile(outPath).size, filename: fileName }];
+
+      if (subtitles) {
+        items.push(...await this.collectSubtitleFiles(outPath, subtitles.lang));
+      }
+      const totalSize = items.reduce((sum, item) => sum + item.size, 0);
+      const label = items.length === 1 ? items[0].filename : `${items.length} files`;
+
+      logger.info(`[${tag}] ✅ Download completed: ${label} (${(totalSize/1024/1024).toFixed(2)}MB)`);
+
+      if (onProgress) onProgress(100);
+
+      const resultMetadata = {
+        title: metadata.title,
+        uploader: username,
+        caption: caption,
+        resolution: metadata.resolution,
+        duration: metadata.duration || 0,
+        thumbnail: metadata.thumbnail || null,
+        uploaderUrl: metadata.uploaderUrl || null,
+        avatar: metadata.avatar || null,
+        uploadDate: metadata.uploadDate || null,
+        viewCount: metadata.viewCount ?? null,
+        likeCount: metadata.likeCount ?? null,
+        commentCount: metadata.commentCount ?? null,
+        qualities: getAvailableQualities(metadata.formats)
+      };
+
+      if (clip) {
+        const clipEnd = metadata.duration ? Math.min(clip.end, metadata.duration) : clip.end;
+        resultMetadata.duration = clipEnd - clip.start;
+      }
+
+      if (items.length > 1) {
+        return { items, platform, metadata: resultMetadata, clipped: Boolean(clip) };
+      }
+
+      return {
+        ...items[0],
+        platform: platform,
+        metadata: resultMetadata,
+        clipped: Boolean(clip)
+      };
+
+    } catch (error) {
+      // Clean up failed download (and yt-dlp's .part / fragment files)
+      if (outPath) {
+        await cleanupPartialFiles(outPath, tag);
+      }
+
+      if (error.isCancelled || signal?.aborted) {
+        throw createCancelledError();
+      }
+
+      if (error.isUnsupported) {
+        logger.info(`[${tag}] yt-dlp cannot download this post: ${error.message}`);
+        throw error;
+      }
+
+      // Enhanced error logging to capture full details
+      logger.error(`[${tag}] yt-dlp download failed: ${error.message || 'Unknown error'}`);
+      logger.error(`[${tag}] Error code: ${error.code || error.exitCode || 'N/A'}`);
+      logger.error(`[${tag}] Is permanent: ${error.isPermanent || false}`);
+
+      if (error.fullStderr) {
+        logger.error(`[${tag}] Full stderr (last 1000 chars):\n${error.fullStderr.slice(-1000)}`);
+      }
+      if (error.fullStdout) {
+        logger.error(`[${tag}] Full stdout (last 500 chars):\n${error.fullStdout.slice(-500)}`);
+      }
+      if (error.rawOutput) {
+        logger.error(`[${tag}] Raw output: ${error.rawOutput}`);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Gather the numbered files of a multi-media download, in post order
+   * @param {string} outPath - Output path the numbered files are named after
+   * @returns {Array} Media items ({ path, size, filename })
+   */
+  async collectOutputFiles(outPath) {
+    const dir = path.dirname(outPath);
+    const prefix = `${path.parse(outPath).name}_`;
+    const files = (await fs.readdir(dir))
+      .filter(file => file.startsWith(prefix) && !/\.(?:part|ytdl)$|\.f\d+\.\w+$/.test(file))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    if (files.length === 0) {
+      throw new Error('Download failed - file not created');
+    }
+
+    return files.map((file) => {
+      const filePath = path.join(dir, file);
+      return { path: filePath, size: verifyFile(filePath).size, filename: file };
+    });
+  }
+
+  /**
+   * Pick the caption file yt-dlp wrote next to a download and delete the others
+   * An exact language match beats regional and auto-translated variants, SRT beats VTT.
+   * @param {string} outPath - Output path the caption files are named after
+   * @param {string} lang - Requested language code
+   * @returns {Array} Zero or one subtitle item ({ path, size, filename })
+   */
+  async collectSubtitleFiles(outPath, lang) {
+    const dir = path.dirname(outPath);
+    const prefix = `${path.parse(outPath).name}.`;
+    const files = (await fs.readdir(dir)).filter(file =>
+      file.startsWith(prefix) && SUBTITLE_EXTENSIONS.has(path.extname(file).slice(1))
+    );
+
+    const rank = file => (file.startsWith(`${prefix}${lang}.`) ? 0 : 2) + (file.endsWith('.srt') ? 0 : 1);
+    const [best, ...rest] = files.sort((a, b) => rank(a) - rank(b));
+
+    await Promise.all(rest.map(file => fs.unlink(path.join(dir, file)).catch(() => {})));
+
+    if (!best) {
+      return [];
+    }
+
+    const filePath = path.join(dir, best);
+    return [{ path: filePath, size: verifyFile(filePath).size, filename: best }];
+  }
+
+  /**
+   * Download only the captions of a video
+   * @param {string} url - Video URL
+   * @param {string} lang - Language code
+   * @param {Object} options - { tag, signal }
+   * @returns {Object|null} Subtitle item ({ path, size, filename }) or null when the video has none in that language
+   */
+  async fetchSubtitles(url, lang, options = {}) {
+    const { tag = 'unknown', signal } = options;
+    const platform = detectPlatform(url);
+
+    await ensureTempDir();
+    const { outPath } = buildOutputPath('captions', tag, 'mp4');
+
+    const args = [
+      url,
+      ...this.getPlatformArgs(platform),
+      ...getSubtitleArgs(lang),
+      '--skip-download',
+      '-o', outPath
+    ];
+
+    logger.info(`[${tag}] Fetching ${lang} captions with yt-dlp...`);
+
+    try {
+      await this.run(args, { tag, platform, signal });
+    } catch (error) {
+      await cleanupPartialFiles(outPath, tag);
+      throw error;
+    }
+
+    const [subtitle = null] = await this.collectSubtitleFiles(outPath, lang);
+    return subtitle;
+  }
+
+  /**
+   * Run yt-dlp and report progress
+   * The signal kills yt-dlp when the download is cancelled.
+   * @param {Array} args - yt-dlp arguments
+   * @param {Object} context - { tag, platform, onProgress, signal }
+   */
+  run(args, { tag, platform, onProgress, signal }) {
+    let lastYtDlpError = '';
+    let allStderr = '';
+    let allStdout = '';
+
+    const ytDlp = execFile('yt-dlp', args, {
+      timeout: CONFIG.DOWNLOAD.TIMEOUT,
+      maxBuffer: CONFIG.DOWNLOAD.MAX_BUFFER_SIZE,
+      signal
+    });
+
+    // Handle progress updates
+    let lastProgress = 0;
+    ytDlp.stdout.on('data', (data) => {
+      const output = data.toString();
+      allStdout += output;
+
+      const progressMatch = output.match(/\[(\d+\.?\d*)%\]/);
+      if (progressMatch && onProgress) {
+        const progress = parseFloat(progressMatch[1]);
+        if (progress > lastProgress) {
+          lastProgress = progress;
+          onProgress(Math.min(progress, 99));
+        }
+      }
+    });
+
+    // Capture ALL stderr output
+    ytDlp.stderr.on('data', (data) => {
+      const errorText = data.toString();
+      allStderr += errorText;
+
+      const trimmed = errorText.trim();
+      if (trimmed) {
+        lastYtDlpError = trimmed;
+
+        // Log ALL stderr for debugging (especially TikTok)
+        if (platform === 'tiktok') {
+          logger.info(`[${tag}] yt-dlp output: ${trimmed}`);
+        }
+      }
+
+      if (errorText.includes('ERROR')) {
+        logger.error(`[${tag}] yt-dlp ERROR:`, { error: trimmed });
+      }
+    });
+
+    return new Promise((resolve, reject) => {
+      ytDlp.on('close', (code) => {
+        if (signal?.aborted) {
+          reject(createCancelledError());
+        } else if (code === 0) {
+          logger.info(`[${tag}] yt-dlp process exited successfully (code 0)`);
+          resolve();
+        } else {
+          // Build detailed error with ALL captured output
+          const err = new Error(this.buildYtDlpErrorMessage(code, lastYtDlpError));
+
+          if (this.isUnsupportedYtDlpError(allStderr)) {
+            err.isUnsupported = true;
+          } else if (this.isPermanentYtDlpError(lastYtDlpError)) {
+            err.isPermanent = true;
+          }
+
+          err.rawOutput = lastYtDlpError;
+          err.exitCode = code;
+          err.fullStderr = allStderr;
+          err.fullStdout = allStdout;
+
+          logger.error(`[${tag}] yt-dlp failed with exit code ${code}`);
+          logger.error(`[${tag}] Last error: ${lastYtDlpError || 'none'}`);
+          logger.error(`[${tag}] Full stderr (last 500 chars): ${allStderr.slice(-500) || 'none'}`);
+          if (allStdout) {
+            logger.debug(`[${tag}] Full stdout (last 200 chars): ${allStdout.slice(-200)}`);
+          }
+
+          reject(err);
+        }
+      });
+
+      ytDlp.on('error', (err) => {
+        if (signal?.aborted) {
+          logger.info(`[${tag}] yt-dlp stopped (download cancelled)`);
+          reject(createCancelledError());
+          return;
+        }
+
+        logger.error(`[${tag}] yt-dlp process error:`, {
+          error: err.message,
+          code: err.code,
+          stderr: allStderr.slice(-500) || 'none'
+        });
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Get platform-specific yt-dlp arguments
+   * @param {string} platform - Platform name
+   * @param {Object} formatOptions - Optional format override from resolveFormatOptions()
+   * @param {Object} guildSettings - Guild settings (default quality applies when no override is given)
+   * @returns {Array} yt-dlp arguments
+   */
+  getPlatformArgs(platform, formatOptions = null, guildSettings = {}) {
+    formatOptions = formatOptions || resolveFormatOptions(null, guildSettings);
+    const formatList = CONFIG.FORMATS[platform] || CONFIG.FORMATS.default;
+    const formatString = formatOptions ? formatOptions.format : formatList.join('/');
+    const mergeFormat = formatOptions && !formatOptions.extractAudio ? formatOptions.ext : 'mp4';
+
+    const baseArgs = [
+      '--format', formatString,
+      ...(MULTI_MEDIA_PLATFORMS.has(platform)
+        ? ['--playlist-items', `1:${CONFIG.DOWNLOAD.MAX_MEDIA_ITEMS}`]
+        : ['--no-playlist']),
+      '--socket-timeout', '60',
+      '--retries', '10',
+      '--fragment-retries', '20',
+      '--add-header', 'Accept:*/*',
+      '--add-header', 'Accept-Language:en-US,en;q=0.9',
+      '--merge-output-format', mergeFormat,
+      '--concurrent-fragments', platform === 'snapchat' ? '3' : '32', // ✅ Increased for 1Gbps
+      '--buffer-size', '32K', // ✅ Larger buffer for fast network
+      '--no-part'
+    ];
+
+    // Skip impersonate - not supported by this yt-dlp build
+
+    // Platform-specific arguments
+    switch (platform) {
+      case 'tiktok':
+        baseArgs.push(
+          '--verbose',  // ✅ Enable verbose output for debugging
+          '--referer', 'https://www.tiktok.com/',
+          '--no-check-certificates',
+          '--http-chunk-size', '10M'
+        );
+        break;
+
+      case 'instagram':
+        baseArgs.push('--referer', 'https://www.instagram.com/');
+        break;
+
+      case 'youtube':
+        baseArgs.push(
+          '--no-playlist',
+          '--prefer-free-formats',
+          '--extractor-args', 'youtube:player_client=default,web',  // ✅ Bypass bot detection
+          '--user-agent', BROWSER_USER_AGENT
+        );
+        break;
+
+      case 'snapchat':
+        baseArgs.push(
+          '--http-chunk-size', '5M',
+          '--retries', '10',
+          '--fragment-retries', '25',
+          '--socket-timeout', '90',
+          '--geo-bypass',
+          '--no-check-certificates'
+        );
+        break;
+    }
+
+    // Add audio extraction options if needed
+    if (formatOptions && formatOptions.extractAudio) {
+      baseArgs.push(
+        '--extract-audio',
+        '--audio-format', formatOptions.audioFormat,
+        '--audio-quality', formatOptions.audioQuality
+      );
+    }
+
+    // Add cookies if available (but skip for TikTok - works without cookies)
+    if (platform !== 'tiktok') {
+      const cookiePath = CONFIG.PATHS.COOKIES[platform];
+      if (cookiePath && fsSync.existsSync(cookiePath)) {
+        baseArgs.push('--cookies', cookiePath);
+      }
+    }
+
+    return baseArgs;
+  }
+
+  buildYtDlpErrorMessage(code, lastError = '') {
+    if (lastError) {
+      return `yt-dlp exited with code ${code}: ${lastError}`;
+    }
+    return `yt-dlp exited with code ${code}`;
+  }
+
+  isPermanentYtDlpError(output = '') {
+    if (!output) return false;
+    const lower = output.toLowerCase();
+    return this.permanentErrorPatterns.some(pattern => lower.includes(pattern));
+  }
+
+  /**
+   * Check if yt-dlp failed because the post has no video to download
+   * @param {string} output - yt-dlp stderr
+   * @returns {boolean} Whether another provider should handle the post
+   */
+  isUnsupportedYtDlpError(output = '') {
+    if (!output) return false;
+    const lower = output.toLowerCase();
+    return this.unsupportedErrorPatterns.some(pattern => lower.includes(pattern));
+  }
+}
+
+// Create singleton instance
+const ytdlpProvider = new YtDlpProvider();
+
+module.exports = ytdlpProvider;
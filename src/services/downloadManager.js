@@ -3,16 +3,22 @@ const EventEmitter = require('events');
 const { CONFIG } = require('../config');
 const logger = require('../utils/logger');
 const persistenceService = require('./persistenceService');
+const rateLimiter = require('./rateLimiter');
+const { getCanonicalKey } = require('../utils/helpers');
 
 class DownloadManager extends EventEmitter {
   constructor() {
     super();
     this.queue = [];
     this.activeDownloads = new Map();
+    this.abortControllers = new Map();
+    this.lastServed = { guilds: new Map(), users: new Map() };
+    this.serveCounter = 0;
     this.queueProcessor = Promise.resolve();
     this.isProcessing = false;
     this.stats = this.initializeStats();
     this.pausedForRecovery = false;
+    this.shuttingDown = false;
     this.persistenceEnabled = persistenceService.isReady();
     this.bootstrapFromPersistence();
     
@@ -80,10 +86,7 @@ class DownloadManager extends EventEmitter {
 
     for (const item of unresolved) {
       try {
-        const channel = await client.channels.fetch(item.channelId);
-        if (!channel) throw new Error('Channel not found');
-        const message = await channel.messages.fetch(item.messageId);
-        item.message = message;
+        item.message = await this.fetchStatusMessage(client, item);
       } catch (error) {
         logger.warn(`[${item.tag}] Unable to rehydrate status message: ${error.message}`);
         this.queue = this.queue.filter((entry) => entry.tag !== item.tag);
@@ -94,15 +97,52 @@ class DownloadManager extends EventEmitter {
     }
   }
 
+  /**
+   * Fetch the Discord status message of a persisted item
+   * @param {Object} client - Discord client
+   * @param {Object} item - Queue item with channelId and messageId
+   * @returns {Object} Discord message
+   */
+  async fetchStatusMessage(client, item) {
+    const channel = await client.channels.fetch(item.channelId);
+    if (!channel) throw new Error('Channel not found');
+    return channel.messages.fetch(item.messageId);
+  }
+
+  /**
+   * Take a rate limit token for a download
+   * Callers that do work before queueing (the format picker probe) take it up front
+   * and pass consumeToken: false to addToQueue().
+   * @param {string} userId - Requesting user ID
+   * @param {string|null} guildId - Guild ID
+   * @returns {Object} { allowed: true } or { allowed: false, added: false, reason: 'rate_limited', scope, retryAfter }
+   */
+  consumeRateLimit(userId, guildId) {
+    const limit = rateLimiter.consume(userId, guildId);
+    if (limit.allowed) return limit;
+
+    return { allowed: false, added: false, reason: 'rate_limited', scope: limit.scope, retryAfter: limit.retryAfter };
+  }
+
   /**
    * Add a download to the queue
    * @param {Object} downloadInfo - Download information
-   * @returns {boolean} Whether the download was added
+   * @param {Object} options - { consumeToken } - false when the caller already took the rate limit token
+   * @returns {Object} { added, tag } or { added: false, reason: 'queue_full'|'rate_limited', scope, retryAfter }
    */
-  addToQueue(downloadInfo) {
+  addToQueue(downloadInfo, { consumeToken = true } = {}) {
+    const userId = downloadInfo.userId || downloadInfo.authorId;
+
     if (this.queue.length >= CONFIG.DOWNLOAD.MAX_QUEUE_SIZE) {
       logger.warn('Queue is full, rejecting new download');
-      return false;
+      // Nothing was queued, so the caller's token goes back
+      if (!consumeToken) rateLimiter.refund(userId, downloadInfo.guildId);
+      return { added: false, reason: 'queue_full' };
+    }
+
+    if (consumeToken) {
+      const limit = this.consumeRateLimit(userId, downloadInfo.guildId);
+      if (!limit.allowed) return limit;
     }
 
     const tag = this.generateTag();
@@ -110,6 +150,7 @@ class DownloadManager extends EventEmitter {
     const queueItem = {
       ...downloadInfo,
       tag,
+      canonicalKey: getCanonicalKey(downloadInfo.url),
       addedAt: Date.now(),
       status: 'queued',
       retryCount: 0,
@@ -127,7 +168,65 @@ class DownloadManager extends EventEmitter {
     this.emit('queue:added', queueItem);
     this.processQueue();
     
-    return true;
+    return { added: true, tag };
+  }
+
+  /**
+   * Take the next item off the queue, round-robin across guilds and then users.
+   * The guild served least recently goes first, then its least recently served
+   * user, then that user's oldest item - so one user pasting many links cannot
+   * starve everyone else.
+   * @returns {Object|null} Next queue item
+   */
+  pickNextItem() {
+    if (this.queue.length === 0) return null;
+
+    const guildKey = (item) => item.guildId || 'dm';
+    const userKey = (item) => item.userId || item.authorId || 'unknown';
+
+    // Items moved to the top with /queue move skip the rotation
+    const priorityIndex = this.queue.findIndex(item => item.priority);
+    const bestIndex = priorityIndex !== -1 ? priorityIndex : this.findFairIndex(guildKey, userKey);
+
+    const [item] = this.queue.splice(bestIndex, 1);
+
+    this.serveCounter++;
+    this.lastServed.guilds.set(guildKey(item), this.serveCounter);
+    this.lastServed.users.set(userKey(item), this.serveCounter);
+
+    // Nobody is waiting any more - start the next round from scratch
+    if (this.queue.length === 0) {
+      this.lastServed.guilds.clear();
+      this.lastServed.users.clear();
+      this.serveCounter = 0;
+    }
+
+    return item;
+  }
+
+  /**
+   * Find the queue index that is next in the guild/user rotation
+   * @param {Function} guildKey - Maps an item to its guild key
+   * @param {Function} userKey - Maps an item to its user key
+   * @returns {number} Queue index
+   */
+  findFairIndex(guildKey, userKey) {
+    let bestIndex = 0;
+    let bestGuild = Infinity;
+    let bestUser = Infinity;
+
+    this.queue.forEach((item, index) => {
+      const guildServed = this.lastServed.guilds.get(guildKey(item)) || 0;
+      const userServed = this.lastServed.users.get(userKey(item)) || 0;
+
+      if (guildServed < bestGuild || (guildServed === bestGuild && userServed < bestUser)) {
+        bestIndex = index;
+        bestGuild = guildServed;
+        bestUser = userServed;
+      }
+    });
+
+    return bestIndex;
   }
 
   /**
@@ -141,7 +240,7 @@ class DownloadManager extends EventEmitter {
     this.queueProcessor = this.queueProcessor
       .then(async () => {
         while (this.queue.length > 0 && this.activeDownloads.size < CONFIG.DOWNLOAD.MAX_CONCURRENT) {
-          const item = this.queue.shift();
+          const item = this.pickNextItem();
           if (item) {
             this.startDownload(item);
           }
@@ -182,6 +281,9 @@ class DownloadManager extends EventEmitter {
       status: 'downloading',
       authorId: authorId // Keep authorId in active downloads
     });
+
+    // Fresh controller per attempt - cancel() aborts yt-dlp and API streams through it
+    this.abortControllers.set(tag, new AbortController());
     
     if (this.persistenceEnabled) {
       persistenceService.markAsActive(tag);
@@ -227,6 +329,7 @@ class DownloadManager extends EventEmitter {
     }
 
     this.activeDownloads.delete(tag);
+    this.abortControllers.delete(tag);
     this.emit('download:complete', { ...download, result });
     
     logger.info(`[${tag}] Download completed successfully`);
@@ -240,6 +343,25 @@ class DownloadManager extends EventEmitter {
    */
   handleDownloadError(item, error) {
     const { tag, retryCount = 0, authorId } = item;
+
+    // Already finalized by cancel() - the error is just the aborted process
+    if (!this.activeDownloads.has(tag)) {
+      logger.debug(`[${tag}] Ignoring error from cancelled download: ${error?.message}`);
+      return;
+    }
+
+    // Aborted by shutdown() - leave the persisted row alone so it resumes on restart
+    if (this.shuttingDown) {
+      this.activeDownloads.delete(tag);
+      this.abortControllers.delete(tag);
+      logger.info(`[${tag}] Stopped for shutdown, will resume after restart`);
+      return;
+    }
+
+    if (error?.isCancelled) {
+      this.cancel(tag);
+      return;
+    }
     
     // Check if we should retry
     if (retryCount < CONFIG.DOWNLOAD.MAX_RETRIES && this.isRetryableError(error)) {
@@ -253,6 +375,8 @@ class DownloadManager extends EventEmitter {
       
       // Re-add to queue with exponential backoff
       setTimeout(() => {
+        // Cancelled while waiting for the backoff
+        if (!this.activeDownloads.has(tag)) return;
         this.queue.unshift(item);
         this.processQueue();
       }, Math.min(1000 * Math.pow(2, retryCount), 10000));
@@ -268,6 +392,7 @@ class DownloadManager extends EventEmitter {
       }
 
       this.activeDownloads.delete(tag);
+      this.abortControllers.delete(tag);
       this.emit('download:error', { ...item, error });
       
       logger.error(`[${tag}] Download failed permanently:`, { error: error.message });
@@ -347,13 +472,141 @@ class DownloadManager extends EventEmitter {
   }
 
   /**
-   * Clear the queue
+   * Find a queued or active download
+   * @param {string} tag - Download tag
+   * @returns {Object|null} { item, state: 'queued'|'active' } or null
+   */
+  findItem(tag) {
+    const queued = this.queue.find(item => item.tag === tag);
+    if (queued) return { item: queued, state: 'queued' };
+
+    const active = this.activeDownloads.get(tag);
+    if (active) return { item: active, state: 'active' };
+
+    return null;
+  }
+
+  /**
+   * Get the abort signal of an active download
+   * @param {string} tag - Download tag
+   * @returns {AbortSignal|null} Signal aborted when the download is cancelled
+   */
+  getAbortSignal(tag) {
+    return this.abortControllers.get(tag)?.signal || null;
+  }
+
+  /**
+   * Cancel a queued or running download
+   * Running downloads are aborted (killing yt-dlp / API streams) and never retried.
+   * @param {string} tag - Download tag
+   * @param {string|null} cancelledBy - ID of the user who cancelled (null for system cancels)
+   * @returns {Object|null} Cancelled item, or null if nothing matched
+   */
+  cancel(tag, cancelledBy = null) {
+    const found = this.findItem(tag);
+    if (!found) return null;
+
+    const { item, state } = found;
+
+    if (state === 'queued') {
+      this.queue = this.queue.filter(entry => entry.tag !== tag);
+    } else {
+      this.activeDownloads.delete(tag);
+      this.abortControllers.get(tag)?.abort();
+    }
+    this.abortControllers.delete(tag);
+
+    if (this.persistenceEnabled) {
+      persistenceService.markCancelled(tag);
+    }
+
+    logger.info(`[${tag}] Download cancelled (${state})`);
+    this.emit('download:cancelled', { ...item, cancelledBy });
+    this.processQueue();
+
+    return item;
+  }
+
+  /**
+   * Queue a failed or cancelled download again
+   * @param {string} tag - Download tag
+   * @param {Object} client - Discord client (to fetch the status message)
+   * @returns {Object} { added, tag } or { added: false, reason: 'in_progress'|'not_found'|'queue_full'|'message_missing' }
+   */
+  async retry(tag, client) {
+    if (this.findItem(tag)) {
+      return { added: false, reason: 'in_progress' };
+    }
+
+    const stored = persistenceService.getDownload(tag);
+    if (!stored || !['failed', 'cancelled'].includes(stored.status)) {
+      return { added: false, reason: 'not_found' };
+    }
+
+    if (this.queue.length >= CONFIG.DOWNLOAD.MAX_QUEUE_SIZE) {
+      return { added: false, reason: 'queue_full' };
+    }
+
+    let message;
+    try {
+      message = await this.fetchStatusMessage(client, stored);
+    } catch (error) {
+      logger.warn(`[${tag}] Unable to fetch status message for retry: ${error.message}`);
+      return { added: false, reason: 'message_missing' };
+    }
+
+    const item = { ...stored, message, status: 'queued', retryCount: 0 };
+
+    persistenceService.requeue(tag);
+    this.queue.push(item);
+    logger.info(`[${tag}] Re-queued by retry (${this.queue.length}/${CONFIG.DOWNLOAD.MAX_QUEUE_SIZE})`);
+
+    this.emit('queue:added', item);
+    this.processQueue();
+
+    return { added: true, tag };
+  }
+
+  /**
+   * Move a queued download to the top or bottom of the queue
+   * @param {string} tag - Download tag
+   * @param {string} position - 'top' or 'bottom'
+   * @returns {boolean} Whether the item was found in the queue
+   */
+  moveItem(tag, position) {
+    const index = this.queue.findIndex(item => item.tag === tag);
+    if (index === -1) return false;
+
+    const [item] = this.queue.splice(index, 1);
+
+    if (position === 'top') {
+      item.priority = true;
+      this.queue.unshift(item);
+    } else {
+      item.priority = false;
+      this.queue.push(item);
+    }
+
+    logger.info(`[${tag}] Moved to the ${position} of the queue`);
+    return true;
+  }
+
+  /**
+   * Clear the queue (running downloads keep going)
    */
   clearQueue() {
-    const cleared = this.queue.length;
+    const cleared = this.queue;
     this.queue = [];
-    logger.info(`Cleared ${cleared} items from queue`);
-    return cleared;
+
+    for (const item of cleared) {
+      if (this.persistenceEnabled) {
+        persistenceService.markCancelled(item.tag);
+      }
+      this.emit('download:cancelled', { ...item, cancelledBy: null });
+    }
+
+    logger.info(`Cleared ${cleared.length} items from queue`);
+    return cleared.length;
   }
 
   /**
@@ -361,21 +614,26 @@ class DownloadManager extends EventEmitter {
    * @returns {Object} Queue status
    */
   getQueueStatus() {
+    const summarize = (item) => ({
+      tag: item.tag,
+      url: item.url,
+      platform: item.platform,
+      addedAt: item.addedAt,
+      status: item.status,
+      priority: Boolean(item.priority),
+      authorId: item.authorId,
+      guildId: item.guildId,
+      channelId: item.channelId,
+      messageId: item.messageId
+    });
+
     return {
       size: this.queue.length,
       maxSize: CONFIG.DOWNLOAD.MAX_QUEUE_SIZE,
       active: this.activeDownloads.size,
       maxConcurrent: CONFIG.DOWNLOAD.MAX_CONCURRENT,
-      items: this.queue.map(item => ({
-        tag: item.tag,
-        url: item.url,
-        platform: item.platform,
-        addedAt: item.addedAt,
-        status: item.status,
-        authorId: item.authorId,
-        channelId: item.channelId,
-        messageId: item.messageId
-      }))
+      items: this.queue.map(summarize),
+      activeItems: [...this.activeDownloads.values()].map(summarize)
     };
   }
 
@@ -385,20 +643,28 @@ class DownloadManager extends EventEmitter {
   async shutdown() {
     logger.info('Shutting down download manager...');
     this.pausedForRecovery = true;
+    this.shuttingDown = true;
     this.queue = [];
-    
-    // Wait for active downloads to complete (with timeout)
-    const shutdownTimeout = setTimeout(() => {
+
+    // Abort running downloads (kills yt-dlp/ffmpeg, closes sockets). Their rows
+    // stay 'downloading' in persistence and are picked up again on the next start.
+    for (const controller of this.abortControllers.values()) {
+      controller.abort();
+    }
+
+    // Give them a moment to stop and remove their temp files
+    const deadline = Date.now() + 10000;
+    while (this.activeDownloads.size > 0 && Date.now() < deadline) {
+      logger.info(`Waiting for ${this.activeDownloads.size} active downloads to stop...`);
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    if (this.activeDownloads.size > 0) {
       logger.warn('Forcing shutdown of download manager');
-      this.activeDownloads.clear();
-    }, 30000);
-    
-    while (this.activeDownloads.size > 0) {
-      logger.info(`Waiting for ${this.activeDownloads.size} active downloads...`);
-      await new Promise(resolve => setTimeout(resolve, 1000));
     }
-    
-    clearTimeout(shutdownTimeout);
+
+    this.activeDownloads.clear();
+    this.abortControllers.clear();
     this.removeAllListeners();
     logger.info('Download manager shutdown complete');
   }
@@ -0,0 +1,324 @@
+// services/formatPickerService.js - Quality/format picker shown under posted links
+// Each platform opts in per guild (/settings picker): auto-best, always ask, or ask
+// only when the best format is over the upload limit.
+const { ActionRowBuilder, EmbedBuilder, StringSelectMenuBuilder } = require('discord.js');
+const { CONFIG } = require('../config');
+const { OVERSIZE_MODES, PICKER_MODES, QUALITY_OPTIONS, PLATFORM_COLORS } = require('../constants');
+const logger = require('../utils/logger');
+const { t } = require('../utils/i18n');
+const { disableComponents } = require('../utils/components');
+const { listQualityChoices } = require('../utils/formats');
+const { formatBytes, formatTimestamp, getPlatformEmoji, getUrlClip } = require('../utils/helpers');
+const providerRegistry = require('../providers');
+const persistenceService = require('./persistenceService');
+const guildSettingsService = require('./guildSettingsService');
+const videoDownloader = require('./videoDownloader');
+
+// Custom ID prefix of the picker menu
+const PICKER_ID = 'fp_pick';
+
+// Discord's limit for one select menu
+const MAX_MENU_OPTIONS = 25;
+
+// Platforms whose API fallbacks honour a picked height, so the generic qualities are
+// worth offering when yt-dlp can't list the formats. Elsewhere (e.g. reddit.getInfo,
+// which has no formats) the picker is skipped and the best format is downloaded.
+const GENERIC_CHOICE_PLATFORMS = ['youtube'];
+
+class FormatPickerService {
+  constructor() {
+    // Pending selections live in SQLite (one row per component) so they survive restarts
+    this.selectionTimeout = CONFIG.SELECTION.TTL_MS;
+  }
+
+  /**
+   * Probe a video for the picker
+   * yt-dlp lists the real formats with their sizes. When it fails on YouTube (e.g. bot
+   * detection) the API providers still give the title and duration, and the generic
+   * qualities are offered without sizes. Other platforms need a real format list.
+   * @param {string} url - Video URL
+   * @param {Object} options - { tag, platform, clip }
+   * @returns {Object|null} { title, duration, thumbnail, isImagePost, choices }, or null when there is nothing to pick from
+   */
+  async probe(url, { tag, platform, clip = null }) {
+    const allowGeneric = GENERIC_CHOICE_PLATFORMS.includes(platform);
+
+    let info;
+    try {
+      info = await providerRegistry.get('ytdlp').getInfo(url, { tag });
+    } catch (error) {
+      if (!allowGeneric) {
+        logger.warn(`[${tag}] yt-dlp probe failed, skipping the format picker: ${error.message}`);
+        return null;
+      }
+      logger.warn(`[${tag}] yt-dlp probe failed, offering the generic qualities: ${error.message}`);
+      info = await videoDownloader.getVideoInfo(url, { tag });
+    }
+
+    const duration = info.duration || 0;
+    let choices = listQualityChoices(info.formats, duration);
+
+    if (choices.length === 0) {
+      if (!allowGeneric) {
+        logger.info(`[${tag}] No formats listed, skipping the format picker`);
+        return null;
+      }
+      choices = QUALITY_OPTIONS.map(quality => ({ quality, height: parseInt(quality, 10) || null, width: null, size: null }));
+    }
+
+    // Sizes are for the whole video; a clip only keeps its share of them
+    const clipLength = clip && duration ? Math.min(clip.end, duration) - clip.start : 0;
+    if (clipLength > 0) {
+      choices = choices.map(choice => ({
+        ...choice,
+        size: choice.size === null ? null : Math.round(choice.size * clipLength / duration)
+      }));
+    }
+
+    logger.info(`[${tag}] 🔍 Formats: ${choices.map(choice => choice.quality).join(', ')}`);
+
+    return {
+      title: info.title || 'video',
+      duration: clipLength > 0 ? clipLength : duration,
+      thumbnail: info.thumbnail || null,
+      isImagePost: Boolean(info.isImagePost),
+      choices
+    };
+  }
+
+  /**
+   * Decide whether a probed video needs the picker in a given mode
+   * @param {string} mode - One of PICKER_MODES
+   * @param {Object} probe - Result of probe()
+   * @param {string|null} guildId - Guild ID
+   * @returns {boolean} Whether to ask
+   */
+  shouldAsk(mode, probe, guildId) {
+    if (probe.isImagePost) return false;
+    if (mode === PICKER_MODES.ASK) return true;
+
+    // Oversize mode: only when the highest quality is known to be over the limit
+    const [best] = probe.choices;
+    return Boolean(best?.size) && best.size > guildSettingsService.getUploadLimit(guildId);
+  }
+
+  /**
+   * Show the picker under a posted link when the guild's setting for its platform asks for it
+   * @param {Object} message - Message with the link
+   * @param {Object} request - { tag, url, platform, userId, guildId, locale }
+   * @returns {Object} { asked, reply } - reply is the bot's answer to reuse when it didn't ask
+   */
+  async offer(message, { tag, url, platform, userId, guildId, locale }) {
+    const mode = guildSettingsService.getPickerMode(guildId, platform);
+    if (mode === PICKER_MODES.AUTO) {
+      return { asked: false, reply: null };
+    }
+
+    const clip = getUrlClip(url, CONFIG.CLIP.DEFAULT_LENGTH);
+
+    // Probing takes a few seconds, so answer first and fill in the menu after
+    const probingEmbed = new EmbedBuilder()
+      .setColor(PLATFORM_COLORS[platform] || PLATFORM_COLORS.default)
+      .setDescription(`🔍 **${t(locale, 'checkingQualities')}**`)
+      .setTimestamp();
+
+    const reply = await message.reply({ embeds: [probingEmbed] });
+    const probe = await this.probe(url, { tag, platform, clip });
+
+    if (!probe || !this.shouldAsk(mode, probe, guildId)) {
+      return { asked: false, reply };
+    }
+
+    const expiresAt = Date.now() + this.selectionTimeout;
+    const selectionMessage = await reply.edit(
+      this.buildSelectionMessage(tag, url, platform, probe, { guildId, locale, clip, expiresAt })
+    );
+
+    this.saveSelection(selectionMessage, { tag, url, platform, userId, guildId, expiresAt });
+    return { asked: true, reply: selectionMessage };
+  }
+
+  /**
+   * Describe where a choice of a given size ends up
+   * @param {Object} choice - Entry of probe().choices
+   * @param {number} duration - Length of the download in seconds
+   * @param {string|null} guildId - Guild ID
+   * @param {string} locale - Locale code
+   * @returns {string} Delivery note
+   */
+  describeDelivery(choice, duration, guildId, locale) {
+    if (choice.size === null) {
+      return `❔ ${t(locale, 'sizeUnknown')}`;
+    }
+
+    const size = `~${formatBytes(choice.size)}`;
+    if (choice.size <= guildSettingsService.getUploadLimit(guildId)) {
+      return `✅ ${size} · ${t(locale, 'fitsInline')}`;
+    }
+
+    // Only single videos are re-encoded, and only up to TRANSCODE.MAX_DURATION
+    const canCompress = choice.quality !== 'audio' &&
+      guildSettingsService.get(guildId).oversizeMode === OVERSIZE_MODES.COMPRESS &&
+      (!duration || duration <= CONFIG.TRANSCODE.MAX_DURATION);
+
+    return canCompress
+      ? `🗜️ ${size} · ${t(locale, 'compressedToFit')}`
+      : `🔗 ${size} · ${t(locale, 'fileHostLink')}`;
+  }
+
+  /**
+   * Build the picker message for a probed video
+   * @param {string} tag - Selection tag
+   * @param {string} url - Video URL
+   * @param {string} platform - Platform name
+   * @param {Object} probe - Result of probe()
+   * @param {Object} options - { guildId, locale, clip, expiresAt }
+   * @returns {Object} Message payload ({ embeds, components })
+   */
+  buildSelectionMessage(tag, url, platform, probe, { guildId, locale, clip, expiresAt }) {
+    const lines = [];
+    if (probe.duration) {
+      lines.push(`⏱️ **${t(locale, 'duration')}:** ${formatTimestamp(probe.duration)}`);
+    }
+    if (clip) {
+      lines.push(`✂️ **${t(locale, 'clip')}:** ${formatTimestamp(clip.start)}-${formatTimestamp(clip.end)}`);
+    }
+    lines.push('', `⏱️ *${t(locale, 'selectionExpires', { time: `<t:${Math.floor(expiresAt / 1000)}:R>` })}*`);
+
+    const embed = new EmbedBuilder()
+      .setColor(PLATFORM_COLORS[platform] || PLATFORM_COLORS.default)
+      .setAuthor({ name: `${getPlatformEmoji(platform)} ${platform} - ${t(locale, 'chooseQuality')}` })
+      .setTitle(probe.title.slice(0, 256))
+      .setURL(url)
+      .setDescription(lines.join('\n'))
+      .setTimestamp();
+
+    if (probe.thumbnail) {
+      embed.setThumbnail(probe.thumbnail);
+    }
+
+    const options = probe.choices.slice(0, MAX_MENU_OPTIONS).map((choice) => {
+      // Vertical videos (Shorts, Reels) are named after their short side, like YouTube does
+      const name = choice.quality === 'audio'
+        ? `🎵 ${t(locale, 'audioOnly')}`
+        : choice.height
+          ? `📹 ${Math.min(choice.width || choice.height, choice.height)}p`
+          : `⭐ ${t(locale, 'bestQuality')}`;
+
+      return {
+        label: name,
+        value: choice.quality,
+        description: this.describeDelivery(choice, probe.duration, guildId, locale)
+      };
+    });
+
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(`${PICKER_ID}_${tag}`)
+      .setPlaceholder(t(locale, 'chooseQuality'))
+      .addOptions(options);
+
+    return { embeds: [embed], components: [new ActionRowBuilder().addComponents(menu)] };
+  }
+
+  /**
+   * Remember the menu of a posted picker message until it expires
+   * @param {Object} message - Message carrying the picker menu
+   * @param {Object} selection - { tag, url, platform, userId, guildId, expiresAt }
+   */
+  saveSelection(message, { tag, url, platform, userId, guildId, expiresAt }) {
+    const choices = message.components
+      .flatMap(row => row.components)
+      .filter(component => component.customId?.startsWith(`${PICKER_ID}_`))
+      .map(component => ({
+        customId: component.customId,
+        // Every value the menu offers, so a click can be checked against it
+        choice: component.options.map(option => option.value).join(',')
+      }));
+
+    persistenceService.savePendingSelection({
+      tag,
+      url,
+      platform,
+      userId,
+      guildId,
+      channelId: message.channelId,
+      messageId: message.id,
+      createdAt: Date.now(),
+      expiresAt
+    }, choices);
+  }
+
+  /**
+   * Parse a picker menu interaction
+   * @param {Object} interaction - Select menu interaction
+   * @returns {Object|null} { tag, url, platform, quality, userId, guildId }, or null when the selection expired or is unknown
+   */
+  parseInteraction(interaction) {
+    const selection = persistenceService.getPendingSelection(interaction.customId);
+
+    // Expired ones are disabled by the next expireSelections() sweep
+    if (!selection || selection.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    const quality = interaction.values?.[0];
+    if (!quality || !selection.choice.split(',').includes(quality)) {
+      return null;
+    }
+
+    return {
+      tag: selection.tag,
+      url: selection.url,
+      platform: selection.platform,
+      quality,
+      userId: selection.userId,
+      guildId: selection.guildId
+    };
+  }
+
+  /**
+   * Forget a selection once it was used
+   * @param {string} tag - Selection tag
+   */
+  completeSelection(tag) {
+    persistenceService.deletePendingSelection(tag);
+  }
+
+  /**
+   * Disable the menus of expired selections (also catches the ones that expired while offline)
+   * @param {Object} client - Discord client
+   */
+  async expireSelections(client) {
+    const expired = persistenceService.takeExpiredSelections(Date.now());
+
+    for (const { tag, channelId, messageId } of expired) {
+      try {
+        const channel = await client.channels.fetch(channelId);
+        const message = await channel.messages.fetch(messageId);
+        await message.edit({ components: disableComponents(message) });
+      } catch (error) {
+        // Deleted messages and channels are expected here
+        logger.debug(`[${tag}] Could not disable expired selection: ${error.message}`);
+      }
+    }
+
+    if (expired.length > 0) {
+      logger.debug(`Disabled ${expired.length} expired format picker(s)`);
+    }
+  }
+
+  /**
+   * Get status
+   */
+  getStatus() {
+    return {
+      pendingSelections: persistenceService.countPendingSelections(),
+      timeout: this.selectionTimeout
+    };
+  }
+}
+
+// Create singleton instance
+const formatPickerService = new FormatPickerService();
+
+module.exports = formatPickerService;
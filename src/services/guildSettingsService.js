@@ -0,0 +1,233 @@
+// services/guildSettingsService.js - Per-guild settings backed by SQLite
+const { CONFIG } = require('../config');
+const {
+  PLATFORM_PATTERNS,
+  BOOST_TIER_UPLOAD_LIMITS,
+  QUALITY_OPTIONS,
+  SUPPORTED_LOCALES,
+  CHANNEL_MODES,
+  OVERSIZE_MODES,
+  PICKER_MODES,
+  PLAYBACK_MODES,
+  OUTPUT_STYLES
+} = require('../constants');
+const logger = require('../utils/logger');
+const persistenceService = require('./persistenceService');
+
+// Validators for every setting that /settings may change
+const VALIDATORS = {
+  disabledPlatforms: (value) => Array.isArray(value) &&
+    value.every(platform => Object.prototype.hasOwnProperty.call(PLATFORM_PATTERNS, platform)),
+  defaultQuality: (value) => QUALITY_OPTIONS.includes(value),
+  boostTier: (value) => value === null || Object.prototype.hasOwnProperty.call(BOOST_TIER_UPLOAD_LIMITS, value),
+  caption: (value) => typeof value === 'boolean',
+  slideshowVideo: (value) => typeof value === 'boolean',
+  oversizeMode: (value) => Object.values(OVERSIZE_MODES).includes(value),
+  playbackMode: (value) => Object.values(PLAYBACK_MODES).includes(value),
+  outputStyle: (value) => Object.values(OUTPUT_STYLES).includes(value),
+  formatPicker: (value) => Boolean(value) && typeof value === 'object' &&
+    Object.entries(value).every(([platform, mode]) =>
+      Object.prototype.hasOwnProperty.call(PLATFORM_PATTERNS, platform) && Object.values(PICKER_MODES).includes(mode)),
+  allowedChannels: (value) => Array.isArray(value) && value.every(id => typeof id === 'string'),
+  locale: (value) => SUPPORTED_LOCALES.includes(value),
+  defaultChannelMode: (value) => Object.values(CHANNEL_MODES).includes(value),
+  ignoreBots: (value) => typeof value === 'boolean'
+};
+
+class GuildSettingsService {
+  constructor() {
+    this.cache = new Map();
+    this.channelModeCache = new Map();
+  }
+
+  /**
+   * Get the default settings applied to guilds without overrides
+   * @returns {Object} Default settings
+   */
+  getDefaults() {
+    return {
+      ...CONFIG.GUILD_DEFAULTS,
+      disabledPlatforms: [...CONFIG.GUILD_DEFAULTS.disabledPlatforms],
+      formatPicker: { ...CONFIG.GUILD_DEFAULTS.formatPicker },
+      allowedChannels: [...CONFIG.GUILD_DEFAULTS.allowedChannels]
+    };
+  }
+
+  /**
+   * Get effective settings for a guild (defaults merged with stored overrides)
+   * @param {string|null} guildId - Guild ID (DMs get the defaults)
+   * @returns {Object} Guild settings
+   */
+  get(guildId) {
+    if (!guildId) return this.getDefaults();
+
+    if (!this.cache.has(guildId)) {
+      const stored = persistenceService.getGuildSettings(guildId) || {};
+      this.cache.set(guildId, { ...this.getDefaults(), ...stored });
+    }
+
+    return this.cache.get(guildId);
+  }
+
+  /**
+   * Update one or more settings for a guild
+   * @param {string} guildId - Guild ID
+   * @param {Object} patch - Settings to change
+   * @returns {Object} Updated settings
+   */
+  update(guildId, patch) {
+    if (!guildId) {
+      throw new Error('Settings can only be changed inside a server');
+    }
+
+    for (const [key, value] of Object.entries(patch)) {
+      const validate = VALIDATORS[key];
+      if (!validate) {
+        throw new Error(`Unknown setting: ${key}`);
+      }
+      if (!validate(value)) {
+        throw new Error(`Invalid value for ${key}`);
+      }
+    }
+
+    const settings = { ...this.get(guildId), ...patch };
+    this.cache.set(guildId, settings);
+    persistenceService.saveGuildSettings(guildId, settings);
+
+    logger.info(`⚙️ Guild ${guildId} settings updated`, { changes: patch });
+    return settings;
+  }
+
+  /**
+   * Reset a guild back to the defaults
+   * @param {string} guildId - Guild ID
+   * @returns {Object} Default settings
+   */
+  reset(guildId) {
+    this.cache.delete(guildId);
+    this.channelModeCache.delete(guildId);
+    persistenceService.deleteGuildSettings(guildId);
+    return this.get(guildId);
+  }
+
+  /**
+   * Check whether a platform is enabled for a guild
+   * @param {string|null} guildId - Guild ID
+   * @param {string} platform - Platform name
+   * @returns {boolean} Whether links from the platform should be downloaded
+   */
+  isPlatformEnabled(guildId, platform) {
+    return !this.get(guildId).disabledPlatforms.includes(platform);
+  }
+
+  /**
+   * Check whether downloads are allowed in a channel
+   * @param {string|null} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {boolean} Whether the channel is allowed
+   */
+  isChannelAllowed(guildId, channelId) {
+    const { allowedChannels } = this.get(guildId);
+    return allowedChannels.length === 0 || allowedChannels.includes(channelId);
+  }
+
+  /**
+   * Get when a platform's links get the format picker in a guild
+   * @param {string|null} guildId - Guild ID
+   * @param {string} platform - Platform name
+   * @returns {string} One of PICKER_MODES
+   */
+  getPickerMode(guildId, platform) {
+    return this.get(guildId).formatPicker[platform] || PICKER_MODES.AUTO;
+  }
+
+  /**
+   * Get the Discord upload limit for a guild
+   * @param {string|null} guildId - Guild ID
+   * @returns {number} Limit in bytes
+   */
+  getUploadLimit(guildId) {
+    const { boostTier } = this.get(guildId);
+    if (boostTier === null || boostTier === undefined) {
+      return CONFIG.DISCORD.LIMIT_BYTES;
+    }
+    return BOOST_TIER_UPLOAD_LIMITS[boostTier];
+  }
+
+  /**
+   * Get the per-channel mode overrides for a guild
+   * @param {string|null} guildId - Guild ID
+   * @returns {Object} Map of channel ID to mode
+   */
+  getChannelModes(guildId) {
+    if (!guildId) return {};
+
+    if (!this.channelModeCache.has(guildId)) {
+      this.channelModeCache.set(guildId, persistenceService.getChannelModes(guildId));
+    }
+
+    return this.channelModeCache.get(guildId);
+  }
+
+  /**
+   * Get the effective link-handling mode for a channel
+   * @param {string|null} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {string} One of CHANNEL_MODES
+   */
+  getChannelMode(guildId, channelId) {
+    return this.getChannelModes(guildId)[channelId] || this.get(guildId).defaultChannelMode;
+  }
+
+  /**
+   * Set or clear the mode override for a channel
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @param {string|null} mode - One of CHANNEL_MODES, or null to fall back to the guild default
+   */
+  setChannelMode(guildId, channelId, mode) {
+    if (!guildId) {
+      throw new Error('Channel modes can only be changed inside a server');
+    }
+    if (mode !== null && !VALIDATORS.defaultChannelMode(mode)) {
+      throw new Error(`Invalid channel mode: ${mode}`);
+    }
+
+    const modes = { ...this.getChannelModes(guildId) };
+
+    if (mode === null) {
+      delete modes[channelId];
+      persistenceService.deleteChannelMode(guildId, channelId);
+    } else {
+      modes[channelId] = mode;
+      persistenceService.saveChannelMode(guildId, channelId, mode);
+    }
+
+    this.channelModeCache.set(guildId, modes);
+    logger.info(`⚙️ Guild ${guildId} channel ${channelId} mode: ${mode || 'default'}`);
+  }
+
+  /**
+   * Check whether a message author should be ignored in a guild
+   * @param {string|null} guildId - Guild ID
+   * @param {Object} author - Discord user
+   * @returns {boolean} Whether the author's links are skipped
+   */
+  shouldIgnoreAuthor(guildId, author) {
+    return Boolean(author?.bot) && this.get(guildId).ignoreBots;
+  }
+
+  /**
+   * Get the locale for a guild
+   * @param {string|null} guildId - Guild ID
+   * @returns {string} Locale code
+   */
+  getLocale(guildId) {
+    return this.get(guildId).locale;
+  }
+}
+
+// Create singleton instance
+const guildSettingsService = new GuildSettingsService();
+
+module.exports = guildSettingsService;
@@ -0,0 +1,259 @@
+// services/mediaCache.js - Cache of finished downloads keyed by canonical video ID
+// Remembers where the last upload went (Discord attachment or file host link) so
+// repeat links are answered without running the providers again, and keeps the
+// raw files in a size-bounded LRU directory for re-posting.
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const persistenceService = require('./persistenceService');
+const guildSettingsService = require('./guildSettingsService');
+const { resolveFormatOptions } = require('../utils/formats');
+const { extractMediaId, formatBytes } = require('../utils/helpers');
+
+class MediaCache {
+  constructor() {
+    this.enabled = CONFIG.CACHE.ENABLED && persistenceService.isReady();
+    this.cacheDir = CONFIG.PATHS.CACHE_DIR;
+    this.ttlMs = CONFIG.CACHE.TTL_MS;
+    this.maxBytes = CONFIG.CACHE.MAX_SIZE_MB * 1024 * 1024;
+
+    if (this.enabled) {
+      fsSync.mkdirSync(this.cacheDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Describe the requested rendition, so 720p and MP3 requests don't share an entry
+   * The guild's upload limit and its oversize/playback modes decide how the file was
+   * compressed, converted or linked, so guilds only share entries when they match.
+   * @param {Object} item - Queue item
+   * @returns {string} Variant name
+   */
+  getVariant(item) {
+    const clip = item.clip ? ` ${item.clip.start}-${item.clip.end}` : '';
+    const subtitles = item.downloadOptions?.subtitles;
+    const captions = subtitles ? ` ${subtitles.burn ? 'burned' : 'captions'}:${subtitles.lang}` : '';
+    const settings = guildSettingsService.get(item.guildId);
+    const delivery = ` ${guildSettingsService.getUploadLimit(item.guildId)}B ${settings.oversizeMode} ${settings.playbackMode}`;
+    return `${this.getFormatVariant(item)}${clip}${captions}${delivery}`;
+  }
+
+  /**
+   * Describe the requested format part of the variant
+   * @param {Object} item - Queue item
+   * @returns {string} Format variant name
+   */
+  getFormatVariant(item) {
+    const settings = guildSettingsService.get(item.guildId);
+    const formatOptions = resolveFormatOptions(item.downloadOptions, settings);
+    if (formatOptions) return formatOptions.description;
+
+    // Photo posts come out as a rendered video or as the photos, depending on the guild
+    return settings.slideshowVideo && /\/photo\//i.test(item.url) ? 'slideshow' : 'default';
+  }
+
+  /**
+   * Build the cache key of a queue item
+   * @param {Object} item - Queue item ({ url, guildId, downloadOptions })
+   * @returns {Object} { key, platform, mediaId, variant }
+   */
+  getKey(item) {
+    const { platform, id } = extractMediaId(item.url);
+    const variant = this.getVariant(item);
+    return { key: `${platform}:${id}:${variant}`, platform, mediaId: id, variant };
+  }
+
+  /**
+   * Find a usable cache entry for a queue item
+   * @param {Object} item - Queue item
+   * @returns {Object|null} Entry with a file to re-post or a link to share
+   */
+  lookup(item) {
+    if (!this.enabled) return null;
+
+    const { key } = this.getKey(item);
+    const entry = persistenceService.getCacheEntry(key);
+    if (!entry) return null;
+
+    if (Date.now() - entry.createdAt > this.ttlMs) {
+      this.remove(entry);
+      return null;
+    }
+
+    // The LRU may have dropped the file; the link alone is still enough
+    if (entry.filePath && !fsSync.existsSync(entry.filePath)) {
+      persistenceService.clearCacheFile(key);
+      entry.filePath = null;
+    }
+
+    if (!entry.filePath && !entry.deliveryUrl) {
+      persistenceService.deleteCacheEntry(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Count a cache hit (keeps the file at the young end of the LRU)
+   * @param {Object} entry - Cache entry
+   */
+  recordHit(entry) {
+    persistenceService.touchCacheEntry(entry.key);
+    logger.info(`♻️ Cache hit ${entry.key} (${entry.hits + 1} hit(s))`);
+  }
+
+  /**
+   * Take over a finished download: move its file into the cache and remember the upload
+   * The files are always consumed - moved into the cache, or deleted when caching is
+   * off. Posts with several media items are not cached.
+   * @param {Object} item - Queue item
+   * @param {Object} result - Download result ({ items, size, platform, metadata })
+   * @param {Object|null} delivery - Upload result from uploadService ({ type, url, host })
+   */
+  async store(item, result, delivery) {
+    if (!this.enabled || !delivery || result.items.length !== 1) {
+      await Promise.all(result.items.map(media => fs.unlink(media.path).catch(() => {})));
+      return;
+    }
+
+    const { key, platform, mediaId, variant } = this.getKey(item);
+    const [media] = result.items;
+    let filePath = media.path;
+
+    try {
+      if (path.dirname(filePath) !== this.cacheDir) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+        const cachedPath = path.join(this.cacheDir, `${hash}${path.extname(filePath)}`);
+        await fs.rename(filePath, cachedPath);
+        filePath = cachedPath;
+      }
+    } catch (error) {
+      logger.warn(`[${item.tag}] Failed to cache file: ${error.message}`);
+      await fs.unlink(filePath).catch(() => {});
+      filePath = null;
+    }
+
+    const now = Date.now();
+    persistenceService.saveCacheEntry({
+      key,
+      platform,
+      mediaId,
+      variant,
+      filePath,
+      fileSize: media.size,
+      filename: media.filename || path.basename(media.path),
+      metadata: {
+        resolution: result.metadata?.resolution || null,
+        uploader: result.metadata?.uploader || null,
+        caption: result.metadata?.caption || null,
+        // Rich embed details
+        title: result.metadata?.title || null,
+        uploaderUrl: result.metadata?.uploaderUrl || null,
+        avatar: result.metadata?.avatar || null,
+        uploadDate: result.metadata?.uploadDate || null,
+        viewCount: result.metadata?.viewCount ?? null,
+        likeCount: result.metadata?.likeCount ?? null,
+        commentCount: result.metadata?.commentCount ?? null,
+        duration: result.metadata?.duration || null,
+        qualities: result.metadata?.qualities || []
+      },
+      deliveryType: delivery.type,
+      deliveryUrl: delivery.url || null,
+      deliveryHost: delivery.host || null,
+      createdAt: now,
+      lastUsedAt: now
+    });
+
+    logger.debug(`[${item.tag}] Cached ${key}`);
+    await this.evict();
+  }
+
+  /**
+   * Delete least recently used files until the cache fits in MAX_SIZE_MB
+   * @param {number} maxBytes - Size limit (defaults to the configured one)
+   */
+  async evict(maxBytes = this.maxBytes) {
+    const entries = persistenceService.getCachedFiles();
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.fileSize, 0);
+    let evicted = 0;
+
+    for (const entry of entries) {
+      if (totalBytes <= maxBytes) break;
+
+      await fs.unlink(entry.filePath).catch(() => {});
+      persistenceService.clearCacheFile(entry.key);
+      totalBytes -= entry.fileSize;
+      evicted++;
+    }
+
+    if (evicted > 0) {
+      logger.info(`🧹 Media cache: evicted ${evicted} file(s), ${formatBytes(totalBytes)} kept`);
+    }
+  }
+
+  /**
+   * Delete every cached file (links stay usable until they expire)
+   */
+  async purgeFiles() {
+    if (!this.enabled) return;
+    await this.evict(0);
+  }
+
+  /**
+   * Drop an entry and its file
+   * @param {Object} entry - Cache entry
+   */
+  remove(entry) {
+    if (entry.filePath) {
+      fs.unlink(entry.filePath).catch(() => {});
+    }
+    persistenceService.deleteCacheEntry(entry.key);
+  }
+
+  /**
+   * Forget an upload whose messages were deleted, so repeat links don't get its dead links
+   * Works for every delivery type: the entry goes when its URL was posted by one of the
+   * messages, as an attachment or in the message text (file host links).
+   * @param {Object} item - Stored download of the upload
+   * @param {Array} messages - The deleted Discord messages
+   */
+  forgetUpload(item, messages) {
+    if (!this.enabled) return;
+
+    const entry = persistenceService.getCacheEntry(this.getKey(item).key);
+    if (!entry?.deliveryUrl) return;
+
+    const posted = messages.some(message =>
+      message.attachments.some(attachment => attachment.url === entry.deliveryUrl) ||
+      Boolean(message.content?.includes(entry.deliveryUrl))
+    );
+
+    if (posted) {
+      this.remove(entry);
+      logger.debug(`[${item.tag}] Dropped cache entry ${entry.key} of deleted upload`);
+    }
+  }
+
+  /**
+   * Drop expired entries
+   */
+  cleanup() {
+    if (!this.enabled) return;
+
+    const expired = persistenceService.getExpiredCacheEntries(Date.now() - this.ttlMs);
+    expired.forEach(entry => this.remove(entry));
+
+    if (expired.length > 0) {
+      logger.debug(`Cleaned up ${expired.length} expired media cache entries`);
+    }
+  }
+}
+
+// Create singleton instance
+const mediaCache = new MediaCache();
+
+module.exports = mediaCache;
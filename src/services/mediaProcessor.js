@@ -0,0 +1,598 @@
+// services/mediaProcessor.js - ffmpeg post-processing for downloaded media
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { CONFIG } = require('../config');
+const { OVERSIZE_MODES, PLAYBACK_MODES } = require('../constants');
+const logger = require('../utils/logger');
+const guildSettingsService = require('./guildSettingsService');
+const { throwIfCancelled } = require('../utils/helpers');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Build execFile options (execFile rejects a null signal)
+ * @param {number} timeout - Kill ffmpeg after this many ms
+ * @param {AbortSignal|null} signal - Download cancel signal
+ * @returns {Object} execFile options
+ */
+function execOptions(timeout, signal) {
+  return signal ? { timeout, signal } : { timeout };
+}
+
+// ffmpeg encoder and muxer for each audio format that can be requested
+const AUDIO_CODECS = {
+  mp3: { encoder: 'libmp3lame', muxer: 'mp3', encoderArgs: ['-ar', '44100'], muxerArgs: ['-id3v2_version', '3'] },
+  m4a: { encoder: 'aac', muxer: 'ipod', encoderArgs: ['-ar', '44100'], muxerArgs: [] },
+  opus: { encoder: 'libopus', muxer: 'opus', encoderArgs: [], muxerArgs: [] }
+};
+
+// How long each photo stays on screen in a rendered slideshow
+const SLIDE_SECONDS = 3;
+
+// Output height for a video bitrate (kbps) when re-encoding to fit the upload limit
+const TRANSCODE_HEIGHTS = [
+  { minKbps: 2500, height: 1080 },
+  { minKbps: 1200, height: 720 },
+  { minKbps: 600, height: 480 },
+  { minKbps: 0, height: 360 }
+];
+
+// Width and frame rate tried for GIF/WebP output, best first
+const ANIMATION_STEPS = [
+  { width: 480, fps: 15 },
+  { width: 400, fps: 12 },
+  { width: 320, fps: 12 },
+  { width: 320, fps: 10 },
+  { width: 240, fps: 10 },
+  { width: 200, fps: 8 },
+  { width: 160, fps: 8 }
+];
+
+// Codecs Discord plays inline on every client (iOS and desktop included)
+const INLINE_VIDEO_CODECS = ['h264'];
+const INLINE_AUDIO_CODECS = ['aac', 'mp3'];
+
+class MediaProcessor {
+  /**
+   * Extract the audio track of a downloaded file with ffmpeg
+   * Writes title/artist tags and, for MP3 and M4A, the cover image as attached picture.
+   * @param {string} inputPath - Source media file
+   * @param {string} outputPath - Destination audio file
+   * @param {string} audioFormat - Target container (mp3, m4a or opus)
+   * @param {AbortSignal} signal - Kills ffmpeg when the download is cancelled (optional)
+   * @param {Object} options - { bitrate, tags: { title, artist }, coverPath, copyAudio } (all optional)
+   */
+  async extractAudioTrack(inputPath, outputPath, audioFormat = 'mp3', signal = null, options = {}) {
+    const { bitrate = '192', tags = {}, coverPath = null, copyAudio = false } = options;
+    const codec = AUDIO_CODECS[audioFormat] || AUDIO_CODECS.mp3;
+    // Ogg/Opus has no attached-picture support in ffmpeg
+    const withCover = Boolean(coverPath) && audioFormat !== 'opus';
+
+    const codecArgs = copyAudio
+      ? ['-c:a', 'copy']
+      : ['-c:a', codec.encoder, '-b:a', `${bitrate}k`, '-ac', '2', ...codec.encoderArgs];
+    const coverArgs = withCover
+      ? ['-map', '1:v:0', '-c:v', 'mjpeg', '-disposition:v:0', 'attached_pic']
+      : [];
+    const tagArgs = Object.entries(tags)
+      .filter(([, value]) => value)
+      .flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+
+    try {
+      await execFileAsync('ffmpeg', [
+        '-y',
+        '-i', inputPath,
+        ...(withCover ? ['-i', coverPath] : []),
+        '-map', '0:a:0',
+        ...coverArgs,
+        '-map_metadata', '-1', // Drop the source's tags (encoder names, handler junk)
+        ...codecArgs,
+        ...tagArgs,
+        ...codec.muxerArgs,
+        '-f', codec.muxer,
+        outputPath
+      ], execOptions(120000, signal));
+    } catch (error) {
+      await fs.unlink(outputPath).catch(() => {});
+      throwIfCancelled(signal);
+      throw error;
+    }
+  }
+
+  /**
+   * Render a photo slideshow and its background audio into an MP4
+   * Every image is shown for SLIDE_SECONDS, letterboxed into a 720x1280 frame;
+   * the audio is looped or cut to the length of the slideshow.
+   * @param {Array} imagePaths - Image files in slide order
+   * @param {string} audioPath - Background audio file (optional)
+   * @param {string} outputPath - Destination MP4 file
+   * @param {AbortSignal} signal - Kills ffmpeg when the download is cancelled (optional)
+   */
+  async renderSlideshow(imagePaths, audioPath, outputPath, signal = null) {
+    const inputArgs = imagePaths.flatMap(imagePath => [
+      '-loop', '1', '-t', String(SLIDE_SECONDS), '-i', imagePath
+    ]);
+    const scaleFilters = imagePaths.map((_, index) =>
+      `[${index}:v]scale=720:1280:force_original_aspect_ratio=decrease,` +
+      `pad=720:1280:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30[v${index}]`
+    );
+    const concatFilter = `${imagePaths.map((_, index) => `[v${index}]`).join('')}` +
+      `concat=n=${imagePaths.length}:v=1:a=0,format=yuv420p[out]`;
+
+    const audioArgs = audioPath
+      ? ['-stream_loop', '-1', '-i', audioPath]
+      : [];
+    const audioMapArgs = audioPath
+      ? ['-map', `${imagePaths.length}:a`, '-c:a', 'aac', '-b:a', '128k', '-shortest']
+      : [];
+
+    try {
+      await execFileAsync('ffmpeg', [
+        '-y',
+        ...inputArgs,
+        ...audioArgs,
+        '-filter_complex', [...scaleFilters, concatFilter].join(';'),
+        '-map', '[out]',
+        ...audioMapArgs,
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-crf', '23',
+        '-movflags', '+faststart',
+        outputPath
+      ], execOptions(300000, signal));
+    } catch (error) {
+      await fs.unlink(outputPath).catch(() => {});
+      throwIfCancelled(signal);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the container and codecs of a media file with ffprobe
+   * @param {string} filePath - Media file
+   * @param {AbortSignal} signal - Download cancel signal (optional)
+   * @returns {Object} { container, videoCodec, audioCodec, duration } (codecs null when the stream is missing)
+   */
+  async probe(filePath, signal = null) {
+    const { stdout } = await execFileAsync('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=format_name,duration:stream=codec_type,codec_name',
+      '-of', 'json',
+      filePath
+    ], execOptions(30000, signal));
+
+    const info = JSON.parse(stdout);
+    const streams = info.streams || [];
+    const codecOf = type => streams.find(stream => stream.codec_type === type)?.codec_name || null;
+
+    return {
+      container: info.format?.format_name || '',
+      videoCodec: codecOf('video'),
+      audioCodec: codecOf('audio'),
+      duration: parseFloat(info.format?.duration) || 0
+    };
+  }
+
+  /**
+   * Convert a video to H.264/AAC MP4 with faststart
+   * An H.264 video stream is copied as is (remux); anything else is re-encoded.
+   * @param {string} inputPath - Source video
+   * @param {string} outputPath - Destination MP4
+   * @param {Object} probe - Result of probe()
+   * @param {AbortSignal} signal - Kills ffmpeg when the download is cancelled (optional)
+   */
+  async convertToPlayable(inputPath, outputPath, probe, signal = null) {
+    const videoArgs = INLINE_VIDEO_CODECS.includes(probe.videoCodec)
+      ? ['-c:v', 'copy']
+      : ['-c:v', 'libx264', '-preset', CONFIG.TRANSCODE.PRESET, '-crf', '23', '-pix_fmt', 'yuv420p'];
+    const audioArgs = !probe.audioCodec
+      ? []
+      : probe.audioCodec === 'aac' ? ['-c:a', 'copy'] : ['-c:a', 'aac', '-b:a', '160k'];
+
+    try {
+      await execFileAsync('ffmpeg', [
+        '-y',
+        '-i', inputPath,
+        '-map', '0:v:0',
+        ...(probe.audioCodec ? ['-map', '0:a:0'] : []),
+        ...videoArgs,
+        ...audioArgs,
+        '-movflags', '+faststart',
+        outputPath
+      ], execOptions(CONFIG.TRANSCODE.TIMEOUT, signal));
+    } catch (error) {
+      await fs.unlink(outputPath).catch(() => {});
+      throwIfCancelled(signal);
+      throw error;
+    }
+  }
+
+  /**
+   * Cut a time range out of a downloaded file
+   * Video is re-encoded so the clip starts exactly at the requested time;
+   * audio and subtitles are copied (subtitle timestamps shift to the clip start).
+   * @param {string} inputPath - Source file
+   * @param {string} outputPath - Destination file
+   * @param {Object} clip - { start, end } in seconds
+   * @param {string} type - 'video', 'audio' or 'subtitle'
+   * @param {AbortSignal} signal - Kills ffmpeg when the download is cancelled (optional)
+   */
+  async cutClip(inputPath, outputPath, clip, type, signal = null) {
+    const codecArgs = type === 'video'
+      ? ['-c:v', 'libx264', '-preset', CONFIG.TRANSCODE.PRESET, '-crf', '23', '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac', '-b:a', '160k', '-movflags', '+faststart']
+      : ['-c', 'copy'];
+
+    try {
+      await execFileAsync('ffmpeg', [
+        '-y',
+        '-ss', String(clip.start),
+        '-i', inputPath,
+        '-t', String(clip.end - clip.start),
+        ...codecArgs,
+        outputPath
+      ], execOptions(CONFIG.TRANSCODE.TIMEOUT, signal));
+    } catch (error) {
+      await fs.unlink(outputPath).catch(() => {});
+      throwIfCancelled(signal);
+      throw error;
+    }
+  }
+
+  /**
+   * Burn captions into a video (H.264/AAC MP4)
+   * @param {string} videoPath - Source video
+   * @param {string} subtitlePath - SRT or VTT file
+   * @param {string} outputPath - Destination MP4
+   * @param {AbortSignal} signal - Kills ffmpeg when the download is cancelled (optional)
+   */
+  async burnSubtitles(videoPath, subtitlePath, outputPath, signal = null) {
+    // The path is a filter argument, so ffmpeg's filtergraph special characters need escaping
+    const filterPath = subtitlePath.replace(/[\\':\[\],;]/g, '\\$&');
+
+    try {
+      await execFileAsync('ffmpeg', [
+        '-y',
+        '-i', videoPath,
+        '-vf', `subtitles=${filterPath}`,
+        '-c:v', 'libx264', '-preset', CONFIG.TRANSCODE.PRESET, '-crf', '23', '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac', '-b:a', '160k',
+        '-movflags', '+faststart',
+        outputPath
+      ], execOptions(CONFIG.TRANSCODE.TIMEOUT, signal));
+    } catch (error) {
+      await fs.unlink(outputPath).catch(() => {});
+      throwIfCancelled(signal);
+      throw error;
+    }
+  }
+
+  /**
+   * Render a video as a looping GIF or animated WebP
+   * GIFs get a palette generated from the clip itself (stats_mode=diff favours
+   * the moving parts) and ordered dithering, which compresses better than error diffusion.
+   * @param {string} inputPath - Source video
+   * @param {string} outputPath - Destination .gif or .webp
+   * @param {string} format - 'gif' or 'webp'
+   * @param {Object} step - { width, fps, duration }
+   * @param {AbortSignal} signal - Kills ffmpeg when the download is cancelled (optional)
+   */
+  async renderAnimation(inputPath, outputPath, format, step, signal = null) {
+    const scale = `fps=${step.fps},scale='min(${step.width},iw)':-2:flags=lanczos`;
+    const formatArgs = format === 'webp'
+      ? ['-vf', scale, '-c:v', 'libwebp', '-quality', '70', '-compression_level', '6']
+      : ['-filter_complex', `[0:v]${scale},split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle`];
+
+    try {
+      await execFileAsync('ffmpeg', [
+        '-y',
+        '-t', String(step.duration),
+        '-i', inputPath,
+        ...formatArgs,
+        '-an',
+        '-loop', '0',
+        outputPath
+      ], execOptions(CONFIG.ANIMATION.TIMEOUT, signal));
+    } catch (error) {
+      await fs.unlink(outputPath).catch(() => {});
+      throwIfCancelled(signal);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert one video to a GIF/WebP that fits a size limit
+   * After the first render, size is assumed to grow with width² × fps, so steps
+   * that can't fit are skipped instead of rendered. The smallest step is kept
+   * even when it is still too large (the upload then goes to a file host).
+   * @param {Object} item - Media item ({ path, size, filename, type })
+   * @param {string} format - 'gif' or 'webp'
+   * @param {Object} options - { tag, limitBytes, signal }
+   * @returns {Object} Animation media item (the video is deleted)
+   */
+  async makeAnimation(item, format, options = {}) {
+    const { tag = 'unknown', limitBytes, signal } = options;
+    const duration = CONFIG.ANIMATION.MAX_SECONDS;
+    const outPath = item.path.replace(/\.[^.]+$/, `_anim.${format}`);
+    const allowed = ANIMATION_STEPS.filter(step => step.width <= CONFIG.ANIMATION.MAX_WIDTH);
+    const steps = allowed.length > 0 ? allowed : ANIMATION_STEPS.slice(-1);
+    const cost = step => step.width * step.width * step.fps;
+
+    let index = 0;
+    let size;
+    for (;;) {
+      const step = steps[index];
+      logger.info(`[${tag}] 🎞️ Rendering ${format.toUpperCase()} at ${step.width}px, ${step.fps}fps (first ${duration}s at most)...`);
+
+      await this.renderAnimation(item.path, outPath, format, { ...step, duration }, signal);
+      size = fsSync.statSync(outPath).size;
+
+      if (size <= limitBytes || index === steps.length - 1) break;
+
+      const next = steps.findIndex((candidate, i) =>
+        i > index && size * cost(candidate) / cost(step) <= limitBytes * 0.9
+      );
+      logger.info(`[${tag}] ${format.toUpperCase()} is ${(size/1024/1024).toFixed(2)}MB, over ${(limitBytes/1024/1024).toFixed(0)}MB`);
+      index = next === -1 ? steps.length - 1 : next;
+    }
+
+    if (size > limitBytes) {
+      logger.warn(`[${tag}] ${format.toUpperCase()} is still ${(size/1024/1024).toFixed(2)}MB at the smallest size`);
+    }
+
+    await fs.unlink(item.path).catch(() => {});
+
+    return {
+      path: outPath,
+      size,
+      filename: item.filename.replace(/\.[^.]+$/, `.${format}`),
+      type: 'image'
+    };
+  }
+
+  /**
+   * Make sure every video of a download plays inline in Discord
+   * Only runs for guilds in "compatible" playback mode and for the default MP4 output;
+   * an explicitly requested format (e.g. /download format:webm) is kept. Videos that are
+   * about to be re-encoded by fitToUploadLimit() anyway are left alone, and a failed
+   * probe or conversion keeps the original file.
+   * @param {Object} result - Normalized download result (videoDownloader.downloadVideo)
+   * @param {Object} options - { tag, guildId, downloadOptions, signal }
+   * @returns {Object} Download result (converted files replace the originals)
+   */
+  async ensurePlayable(result, options = {}) {
+    const { tag = 'unknown', guildId, downloadOptions, signal } = options;
+
+    if (guildSettingsService.get(guildId).playbackMode !== PLAYBACK_MODES.COMPATIBLE) {
+      return result;
+    }
+    if (downloadOptions?.format && downloadOptions.format !== 'mp4') {
+      logger.debug(`[${tag}] ${downloadOptions.format.toUpperCase()} was requested, skipping the inline playback check`);
+      return result;
+    }
+    if (this.needsTranscode(result, guildId)) {
+      return result;
+    }
+
+    const items = [];
+    for (const item of result.items) {
+      items.push(item.type === 'video' ? await this.makeItemPlayable(item, tag, signal) : item);
+    }
+
+    return {
+      ...result,
+      items,
+      size: items.reduce((sum, item) => sum + item.size, 0)
+    };
+  }
+
+  /**
+   * Probe one video and convert it when Discord can't play it inline
+   * @param {Object} item - Media item ({ path, size, filename, type })
+   * @param {string} tag - Download tag for logging
+   * @param {AbortSignal} signal - Download cancel signal (optional)
+   * @returns {Object} Original or converted media item
+   */
+  async makeItemPlayable(item, tag, signal) {
+    let probe;
+    try {
+      probe = await this.probe(item.path, signal);
+    } catch (error) {
+      throwIfCancelled(signal);
+      logger.warn(`[${tag}] ffprobe failed, uploading ${item.filename} as is: ${error.message}`);
+      return item;
+    }
+
+    const playable = probe.container.split(',').includes('mp4') &&
+      INLINE_VIDEO_CODECS.includes(probe.videoCodec) &&
+      (!probe.audioCodec || INLINE_AUDIO_CODECS.includes(probe.audioCodec));
+
+    if (playable || !probe.videoCodec) {
+      return item;
+    }
+
+    const outPath = item.path.replace(/\.[^.]+$/, '_inline.mp4');
+    const action = INLINE_VIDEO_CODECS.includes(probe.videoCodec) ? 'Remuxing' : 'Transcoding';
+    logger.info(`[${tag}] 🔧 ${action} ${item.filename} (${probe.videoCodec}/${probe.audioCodec || 'no audio'}) to H.264/AAC MP4...`);
+
+    try {
+      await this.convertToPlayable(item.path, outPath, probe, signal);
+    } catch (error) {
+      if (error.isCancelled) throw error;
+      logger.warn(`[${tag}] Conversion failed, uploading ${item.filename} as is: ${error.message}`);
+      return item;
+    }
+
+    await fs.unlink(item.path).catch(() => {});
+    const stats = fsSync.statSync(outPath);
+
+    return {
+      path: outPath,
+      size: stats.size,
+      filename: item.filename.replace(/\.[^.]+$/, '.mp4'),
+      type: 'video'
+    };
+  }
+
+  /**
+   * Work out the bitrates and output height that make a video fit a size limit
+   * @param {number} duration - Video length in seconds
+   * @param {number} targetBytes - Size the output must stay under
+   * @returns {Object|null} { videoKbps, audioKbps, height } or null when even the minimum quality won't fit
+   */
+  planTranscode(duration, targetBytes) {
+    // Leave 5% for the container and the encoder missing its target
+    const totalKbps = Math.floor((targetBytes * 8 / 1000 / duration) * 0.95);
+    const audioKbps = totalKbps >= 1000 ? 128 : 64;
+    const videoKbps = totalKbps - audioKbps;
+
+    if (videoKbps < CONFIG.TRANSCODE.MIN_VIDEO_KBPS) {
+      return null;
+    }
+
+    const { height } = TRANSCODE_HEIGHTS.find(step => videoKbps >= step.minKbps);
+    return { videoKbps, audioKbps, height };
+  }
+
+  /**
+   * Two-pass H.264/AAC encode at a fixed bitrate, downscaled to plan.height
+   * (smaller videos keep their size)
+   * @param {string} inputPath - Source video
+   * @param {string} outputPath - Destination MP4
+   * @param {Object} plan - From planTranscode()
+   * @param {AbortSignal} signal - Kills ffmpeg when the download is cancelled (optional)
+   */
+  async transcodeToFit(inputPath, outputPath, plan, signal = null) {
+    const passLogFile = outputPath.replace(/\.[^.]+$/, '_pass');
+    const videoArgs = [
+      '-vf', `scale=-2:'min(${plan.height},ih)'`,
+      '-c:v', 'libx264',
+      '-preset', CONFIG.TRANSCODE.PRESET,
+      '-b:v', `${plan.videoKbps}k`,
+      '-pix_fmt', 'yuv420p',
+      '-passlogfile', passLogFile
+    ];
+    const passOptions = execOptions(CONFIG.TRANSCODE.TIMEOUT, signal);
+
+    try {
+      await execFileAsync('ffmpeg', [
+        '-y', '-i', inputPath, ...videoArgs, '-pass', '1', '-an', '-f', 'null', '-'
+      ], passOptions);
+
+      await execFileAsync('ffmpeg', [
+        '-y', '-i', inputPath, ...videoArgs, '-pass', '2',
+        '-c:a', 'aac', '-b:a', `${plan.audioKbps}k`,
+        '-movflags', '+faststart',
+        outputPath
+      ], passOptions);
+    } catch (error) {
+      await fs.unlink(outputPath).catch(() => {});
+      throwIfCancelled(signal);
+      throw error;
+    } finally {
+      await Promise.all([`${passLogFile}-0.log`, `${passLogFile}-0.log.mbtree`]
+        .map(file => fs.unlink(file).catch(() => {})));
+    }
+  }
+
+  /**
+   * Check whether a download should be re-encoded before uploading
+   * @param {Object} result - Normalized download result (videoDownloader.downloadVideo)
+   * @param {string|null} guildId - Guild ID
+   * @returns {boolean} Whether the guild compresses oversized videos and this one is too big
+   */
+  needsTranscode(result, guildId) {
+    // Caption files ride along with the video, they don't make it a gallery
+    const media = result.items.filter(item => item.type !== 'subtitle');
+    if (media.length !== 1 || media[0].type !== 'video') return false;
+    if (guildSettingsService.get(guildId).oversizeMode !== OVERSIZE_MODES.COMPRESS) return false;
+    return media[0].size > guildSettingsService.getUploadLimit(guildId);
+  }
+
+  /**
+   * Re-encode an oversized video so it can be uploaded to Discord directly
+   * The original result comes back unchanged when the video can't be made to
+   * fit, so the upload falls back to a file host.
+   * @param {Object} result - Normalized download result with one video
+   * @param {Object} options - { tag, url, guildId, signal }
+   * @returns {Object} Download result (the original file is deleted when replaced)
+   */
+  async fitToUploadLimit(result, options = {}) {
+    const { tag = 'unknown', url, guildId, signal } = options;
+    const item = result.items.find(media => media.type === 'video');
+    const limitBytes = guildSettingsService.getUploadLimit(guildId);
+
+    let duration = result.metadata?.duration;
+    if (!duration) {
+      duration = await this.probe(item.path, signal)
+        .then(info => info.duration)
+        .catch(() => 0);
+      throwIfCancelled(signal);
+    }
+    if (!duration && url) {
+      // Lazy require: videoDownloader loads the providers, which load this module
+      const videoDownloader = require('./videoDownloader');
+      duration = await videoDownloader.getVideoInfo(url, { tag, signal })
+        .then(info => info.duration)
+        .catch((error) => {
+          throwIfCancelled(signal);
+          logger.warn(`[${tag}] Couldn't get the duration for re-encoding: ${error.message}`);
+          return 0;
+        });
+    }
+
+    if (!duration || duration > CONFIG.TRANSCODE.MAX_DURATION) {
+      logger.info(`[${tag}] Not re-encoding (duration: ${duration || 'unknown'}s), using file host`);
+      return result;
+    }
+
+    const plan = this.planTranscode(duration, limitBytes);
+    if (!plan) {
+      logger.info(`[${tag}] ${duration}s video can't fit ${(limitBytes/1024/1024).toFixed(0)}MB at minimum quality, using file host`);
+      return result;
+    }
+
+    const outPath = item.path.replace(/\.[^.]+$/, '_fit.mp4');
+    logger.info(`[${tag}] 🗜️ Re-encoding to fit ${(limitBytes/1024/1024).toFixed(0)}MB: ${plan.height}p, ${plan.videoKbps}k video + ${plan.audioKbps}k audio`);
+
+    try {
+      await this.transcodeToFit(item.path, outPath, plan, signal);
+    } catch (error) {
+      if (error.isCancelled) throw error;
+      logger.warn(`[${tag}] Re-encoding failed, using file host: ${error.message}`);
+      return result;
+    }
+
+    const stats = fsSync.statSync(outPath);
+    if (stats.size > limitBytes) {
+      await fs.unlink(outPath).catch(() => {});
+      logger.warn(`[${tag}] Re-encoded file is still too large (${(stats.size/1024/1024).toFixed(2)}MB), using file host`);
+      return result;
+    }
+
+    await fs.unlink(item.path).catch(() => {});
+    logger.info(`[${tag}] ✅ Re-encoded: ${(item.size/1024/1024).toFixed(2)}MB -> ${(stats.size/1024/1024).toFixed(2)}MB`);
+
+    const fitted = {
+      path: outPath,
+      size: stats.size,
+      filename: item.filename.replace(/\.[^.]+$/, '.mp4'),
+      type: 'video'
+    };
+    const items = result.items.map(media => (media === item ? fitted : media));
+
+    return {
+      ...result,
+      items,
+      size: items.reduce((sum, media) => sum + media.size, 0),
+      metadata: { ...result.metadata, resolution: `${plan.height}p` }
+    };
+  }
+}
+
+// Create singleton instance
+const mediaProcessor = new MediaProcessor();
+
+module.exports = mediaProcessor;
@@ -38,30 +38,132 @@ class PersistenceService {
         );
         CREATE INDEX IF NOT EXISTS idx_downloads_status ON downloads(status);
         CREATE INDEX IF NOT EXISTS idx_downloads_platform ON downloads(platform);
+        CREATE TABLE IF NOT EXISTS guild_settings (
+          guild_id TEXT PRIMARY KEY,
+          settings TEXT NOT NULL,
+          updated_at INTEGER
+        );
+        CREATE TABLE IF NOT EXISTS channel_modes (
+          guild_id TEXT NOT NULL,
+          channel_id TEXT NOT NULL,
+          mode TEXT NOT NULL,
+          updated_at INTEGER,
+          PRIMARY KEY (guild_id, channel_id)
+        );
+        CREATE TABLE IF NOT EXISTS provider_stats (
+          provider TEXT PRIMARY KEY,
+          successes INTEGER DEFAULT 0,
+          failures INTEGER DEFAULT 0,
+          consecutive_failures INTEGER DEFAULT 0,
+          total_latency_ms INTEGER DEFAULT 0,
+          last_latency_ms INTEGER,
+          last_error TEXT,
+          last_success_at INTEGER,
+          last_failure_at INTEGER,
+          open_until INTEGER
+        );
+        CREATE TABLE IF NOT EXISTS media_cache (
+          cache_key TEXT PRIMARY KEY,
+          platform TEXT,
+          media_id TEXT,
+          variant TEXT,
+          file_path TEXT,
+          file_size INTEGER,
+          filename TEXT,
+          metadata TEXT,
+          delivery_type TEXT,
+          delivery_url TEXT,
+          delivery_host TEXT,
+          created_at INTEGER,
+          last_used_at INTEGER,
+          hits INTEGER DEFAULT 0
+        );
+        CREATE INDEX IF NOT EXISTS idx_media_cache_used ON media_cache(last_used_at);
+        CREATE TABLE IF NOT EXISTS pending_selections (
+          custom_id TEXT PRIMARY KEY,
+          tag TEXT NOT NULL,
+          url TEXT NOT NULL,
+          choice TEXT NOT NULL,
+          user_id TEXT,
+          guild_id TEXT,
+          channel_id TEXT,
+          message_id TEXT,
+          created_at INTEGER,
+          expires_at INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_pending_selections_tag ON pending_selections(tag);
+        CREATE INDEX IF NOT EXISTS idx_pending_selections_expires ON pending_selections(expires_at);
       `);
+      this.ensureColumn('downloads', 'options', 'TEXT');
+      this.ensureColumn('downloads', 'canonical_key', 'TEXT');
+      this.db.exec('CREATE INDEX IF NOT EXISTS idx_downloads_canonical_key ON downloads(canonical_key)');
+      this.ensureColumn('pending_selections', 'platform', 'TEXT');
+      this.ensureColumn('downloads', 'follow_up_ids', 'TEXT');
     } catch (error) {
       logger.error('Failed to initialize persistence service:', { error: error.message });
       this.db = null;
     }
   }
 
+  /**
+   * Add a column to an existing table when upgrading an older database
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - Column type/definition
+   */
+  ensureColumn(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(col => col.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      logger.info(`Migrated ${table}: added column ${column}`);
+    }
+  }
+
   isReady() {
     return Boolean(this.db);
   }
 
+  serializeOptions(item) {
+    const options = {};
+    if (item.downloadOptions) options.downloadOptions = item.downloadOptions;
+    if (item.clip) options.clip = item.clip;
+    return Object.keys(options).length > 0 ? JSON.stringify(options) : null;
+  }
+
+  parseOptions(raw) {
+    if (!raw) return {};
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      logger.warn('Failed to parse persisted download options:', { error: error.message });
+      return {};
+    }
+  }
+
+  parseFollowUpIds(raw) {
+    if (!raw) return [];
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      logger.warn('Failed to parse persisted follow-up messages:', { error: error.message });
+      return [];
+    }
+  }
+
   saveQueueItem(item) {
     if (!this.isReady()) return;
 
     try {
       const stmt = this.db.prepare(`
         INSERT INTO downloads (
-          tag, url, platform, status, user_id, author_id,
-          channel_id, guild_id, message_id, added_at, retries
+          tag, url, canonical_key, platform, status, user_id, author_id,
+          channel_id, guild_id, message_id, added_at, retries, options
         )
-        VALUES (@tag, @url, @platform, @status, @userId, @authorId,
-                @channelId, @guildId, @messageId, @addedAt, @retries)
+        VALUES (@tag, @url, @canonicalKey, @platform, @status, @userId, @authorId,
+                @channelId, @guildId, @messageId, @addedAt, @retries, @options)
         ON CONFLICT(tag) DO UPDATE SET
           url=excluded.url,
+          canonical_key=excluded.canonical_key,
           platform=excluded.platform,
           status=excluded.status,
           user_id=excluded.user_id,
@@ -70,12 +172,14 @@ class PersistenceService {
           guild_id=excluded.guild_id,
           message_id=excluded.message_id,
           added_at=excluded.added_at,
-          retries=excluded.retries
+          retries=excluded.retries,
+          options=excluded.options
       `);
 
       stmt.run({
         tag: item.tag,
         url: item.url,
+        canonicalKey: item.canonicalKey || null,
         platform: item.platform,
         status: item.status || 'queued',
         userId: item.userId || null,
@@ -84,7 +188,8 @@ class PersistenceService {
         guildId: item.guildId || null,
         messageId: item.message?.id || item.messageId || null,
         addedAt: item.addedAt || Date.now(),
-        retries: item.retryCount || 0
+        retries: item.retryCount || 0,
+        options: this.serializeOptions(item)
       });
     } catch (error) {
       logger.error('Failed to save queue item:', {
@@ -116,6 +221,20 @@ class PersistenceService {
     `).run({ tag, size: size || 0, completedAt: Date.now() });
   }
 
+  /**
+   * Remember the extra messages an upload was split over (gallery batches after the first)
+   * @param {string} tag - Download tag
+   * @param {Array} messageIds - Follow-up message IDs
+   */
+  saveFollowUpMessages(tag, messageIds) {
+    if (!this.isReady()) return;
+    this.db.prepare(`
+      UPDATE downloads
+      SET follow_up_ids=@followUpIds
+      WHERE tag=@tag
+    `).run({ tag, followUpIds: JSON.stringify(messageIds) });
+  }
+
   markFailed(tag, errorMessage) {
     if (!this.isReady()) return;
     this.db.prepare(`
@@ -131,6 +250,29 @@ class PersistenceService {
     });
   }
 
+  markCancelled(tag) {
+    if (!this.isReady()) return;
+    this.db.prepare(`
+      UPDATE downloads
+      SET status='cancelled',
+          completed_at=@completedAt
+      WHERE tag=@tag
+    `).run({ tag, completedAt: Date.now() });
+  }
+
+  requeue(tag) {
+    if (!this.isReady()) return;
+    this.db.prepare(`
+      UPDATE downloads
+      SET status='queued',
+          retries=0,
+          error=NULL,
+          started_at=NULL,
+          completed_at=NULL
+      WHERE tag=@tag
+    `).run({ tag });
+  }
+
   updateRetryCount(tag, retries) {
     if (!this.isReady()) return;
     this.db.prepare(`
@@ -151,9 +293,26 @@ class PersistenceService {
       ORDER BY added_at ASC
     `).all();
 
-    return rows.map((row) => ({
+    return rows.map((row) => this.rowToItem(row));
+  }
+
+  /**
+   * Get a single download by tag
+   * @param {string} tag - Download tag
+   * @returns {Object|null} Queue item with its stored status, or null
+   */
+  getDownload(tag) {
+    if (!this.isReady()) return null;
+
+    const row = this.db.prepare('SELECT * FROM downloads WHERE tag = ?').get(tag);
+    return row ? { ...this.rowToItem(row), status: row.status } : null;
+  }
+
+  rowToItem(row) {
+    return {
       tag: row.tag,
       url: row.url,
+      canonicalKey: row.canonical_key,
       platform: row.platform,
       status: 'queued',
       addedAt: row.added_at,
@@ -163,8 +322,10 @@ class PersistenceService {
       channelId: row.channel_id,
       guildId: row.guild_id,
       messageId: row.message_id,
-      message: null
-    }));
+      followUpIds: this.parseFollowUpIds(row.follow_up_ids),
+      message: null,
+      ...this.parseOptions(row.options)
+    };
   }
 
   getStatsSummary() {
@@ -215,6 +376,400 @@ class PersistenceService {
     };
   }
 
+  getGuildSettings(guildId) {
+    if (!this.isReady() || !guildId) return null;
+
+    const row = this.db.prepare(`
+      SELECT settings
+      FROM guild_settings
+      WHERE guild_id=@guildId
+    `).get({ guildId });
+
+    if (!row) return null;
+
+    try {
+      return JSON.parse(row.settings);
+    } catch (error) {
+      logger.warn('Failed to parse guild settings:', { error: error.message, guildId });
+      return null;
+    }
+  }
+
+  saveGuildSettings(guildId, settings) {
+    if (!this.isReady() || !guildId) return;
+
+    try {
+      this.db.prepare(`
+        INSERT INTO guild_settings (guild_id, settings, updated_at)
+        VALUES (@guildId, @settings, @updatedAt)
+        ON CONFLICT(guild_id) DO UPDATE SET
+          settings=excluded.settings,
+          updated_at=excluded.updated_at
+      `).run({
+        guildId,
+        settings: JSON.stringify(settings),
+        updatedAt: Date.now()
+      });
+    } catch (error) {
+      logger.error('Failed to save guild settings:', { error: error.message, guildId });
+    }
+  }
+
+  deleteGuildSettings(guildId) {
+    if (!this.isReady() || !guildId) return;
+    this.db.prepare(`DELETE FROM guild_settings WHERE guild_id=@guildId`).run({ guildId });
+    this.db.prepare(`DELETE FROM channel_modes WHERE guild_id=@guildId`).run({ guildId });
+  }
+
+  getChannelModes(guildId) {
+    if (!this.isReady() || !guildId) return {};
+
+    const rows = this.db.prepare(`
+      SELECT channel_id, mode
+      FROM channel_modes
+      WHERE guild_id=@guildId
+    `).all({ guildId });
+
+    const modes = {};
+    for (const row of rows) {
+      modes[row.channel_id] = row.mode;
+    }
+    return modes;
+  }
+
+  saveChannelMode(guildId, channelId, mode) {
+    if (!this.isReady() || !guildId) return;
+
+    try {
+      this.db.prepare(`
+        INSERT INTO channel_modes (guild_id, channel_id, mode, updated_at)
+        VALUES (@guildId, @channelId, @mode, @updatedAt)
+        ON CONFLICT(guild_id, channel_id) DO UPDATE SET
+          mode=excluded.mode,
+          updated_at=excluded.updated_at
+      `).run({ guildId, channelId, mode, updatedAt: Date.now() });
+    } catch (error) {
+      logger.error('Failed to save channel mode:', { error: error.message, guildId, channelId });
+    }
+  }
+
+  deleteChannelMode(guildId, channelId) {
+    if (!this.isReady() || !guildId) return;
+    this.db.prepare(`
+      DELETE FROM channel_modes
+      WHERE guild_id=@guildId AND channel_id=@channelId
+    `).run({ guildId, channelId });
+  }
+
+  /**
+   * Load every provider's health record
+   * @returns {Array} Provider stats ({ provider, successes, failures, ... })
+   */
+  getProviderStats() {
+    if (!this.isReady()) return [];
+
+    return this.db.prepare('SELECT * FROM provider_stats').all().map(row => ({
+      provider: row.provider,
+      successes: row.successes || 0,
+      failures: row.failures || 0,
+      consecutiveFailures: row.consecutive_failures || 0,
+      totalLatencyMs: row.total_latency_ms || 0,
+      lastLatencyMs: row.last_latency_ms,
+      lastError: row.last_error,
+      lastSuccessAt: row.last_success_at,
+      lastFailureAt: row.last_failure_at,
+      openUntil: row.open_until
+    }));
+  }
+
+  /**
+   * Save a provider's health record
+   * @param {Object} stats - Provider stats (same shape as getProviderStats entries)
+   */
+  saveProviderStats(stats) {
+    if (!this.isReady()) return;
+
+    try {
+      this.db.prepare(`
+        INSERT INTO provider_stats (
+          provider, successes, failures, consecutive_failures, total_latency_ms,
+          last_latency_ms, last_error, last_success_at, last_failure_at, open_until
+        ) VALUES (
+          @provider, @successes, @failures, @consecutiveFailures, @totalLatencyMs,
+          @lastLatencyMs, @lastError, @lastSuccessAt, @lastFailureAt, @openUntil
+        )
+        ON CONFLICT(provider) DO UPDATE SET
+          successes=excluded.successes,
+          failures=excluded.failures,
+          consecutive_failures=excluded.consecutive_failures,
+          total_latency_ms=excluded.total_latency_ms,
+          last_latency_ms=excluded.last_latency_ms,
+          last_error=excluded.last_error,
+          last_success_at=excluded.last_success_at,
+          last_failure_at=excluded.last_failure_at,
+          open_until=excluded.open_until
+      `).run({
+        provider: stats.provider,
+        successes: stats.successes,
+        failures: stats.failures,
+        consecutiveFailures: stats.consecutiveFailures,
+        totalLatencyMs: stats.totalLatencyMs,
+        lastLatencyMs: stats.lastLatencyMs ?? null,
+        lastError: stats.lastError ?? null,
+        lastSuccessAt: stats.lastSuccessAt ?? null,
+        lastFailureAt: stats.lastFailureAt ?? null,
+        openUntil: stats.openUntil ?? null
+      });
+    } catch (error) {
+      logger.error('Failed to save provider stats:', { error: error.message, provider: stats.provider });
+    }
+  }
+
+  /**
+   * Get a media cache entry
+   * @param {string} key - Cache key
+   * @returns {Object|null} Entry
+   */
+  getCacheEntry(key) {
+    if (!this.isReady()) return null;
+
+    const row = this.db.prepare('SELECT * FROM media_cache WHERE cache_key = ?').get(key);
+    return row ? this.rowToCacheEntry(row) : null;
+  }
+
+  rowToCacheEntry(row) {
+    let metadata = {};
+    try {
+      metadata = row.metadata ? JSON.parse(row.metadata) : {};
+    } catch (error) {
+      logger.warn('Failed to parse cached media metadata:', { error: error.message });
+    }
+
+    return {
+      key: row.cache_key,
+      platform: row.platform,
+      mediaId: row.media_id,
+      variant: row.variant,
+      filePath: row.file_path,
+      fileSize: row.file_size || 0,
+      filename: row.filename,
+      metadata,
+      deliveryType: row.delivery_type,
+      deliveryUrl: row.delivery_url,
+      deliveryHost: row.delivery_host,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      hits: row.hits || 0
+    };
+  }
+
+  /**
+   * Insert or replace a media cache entry (hit count is kept)
+   * @param {Object} entry - Entry (same shape as getCacheEntry)
+   */
+  saveCacheEntry(entry) {
+    if (!this.isReady()) return;
+
+    try {
+      this.db.prepare(`
+        INSERT INTO media_cache (
+          cache_key, platform, media_id, variant, file_path, file_size, filename,
+          metadata, delivery_type, delivery_url, delivery_host, created_at, last_used_at
+        ) VALUES (
+          @key, @platform, @mediaId, @variant, @filePath, @fileSize, @filename,
+          @metadata, @deliveryType, @deliveryUrl, @deliveryHost, @createdAt, @lastUsedAt
+        )
+        ON CONFLICT(cache_key) DO UPDATE SET
+          file_path=excluded.file_path,
+          file_size=excluded.file_size,
+          filename=excluded.filename,
+          metadata=excluded.metadata,
+          delivery_type=excluded.delivery_type,
+          delivery_url=excluded.delivery_url,
+          delivery_host=excluded.delivery_host,
+          created_at=excluded.created_at,
+          last_used_at=excluded.last_used_at
+      `).run({
+        ...entry,
+        metadata: JSON.stringify(entry.metadata || {}),
+        deliveryHost: entry.deliveryHost || null
+      });
+    } catch (error) {
+      logger.error('Failed to save media cache entry:', { error: error.message, key: entry.key });
+    }
+  }
+
+  /**
+   * Count a cache hit
+   * @param {string} key - Cache key
+   */
+  touchCacheEntry(key) {
+    if (!this.isReady()) return;
+    this.db.prepare(`
+      UPDATE media_cache
+      SET hits=hits + 1,
+          last_used_at=@now
+      WHERE cache_key=@key
+    `).run({ key, now: Date.now() });
+  }
+
+  /**
+   * Forget a cached file (the link stays usable until the entry expires)
+   * @param {string} key - Cache key
+   */
+  clearCacheFile(key) {
+    if (!this.isReady()) return;
+    this.db.prepare('UPDATE media_cache SET file_path=NULL WHERE cache_key=?').run(key);
+  }
+
+  deleteCacheEntry(key) {
+    if (!this.isReady()) return;
+    this.db.prepare('DELETE FROM media_cache WHERE cache_key=?').run(key);
+  }
+
+  /**
+   * Entries that still own a file on disk, least recently used first
+   * @returns {Array} Entries
+   */
+  getCachedFiles() {
+    if (!this.isReady()) return [];
+
+    return this.db.prepare(`
+      SELECT *
+      FROM media_cache
+      WHERE file_path IS NOT NULL
+      ORDER BY last_used_at ASC
+    `).all().map(row => this.rowToCacheEntry(row));
+  }
+
+  /**
+   * Entries created before a cutoff
+   * @param {number} cutoff - Timestamp
+   * @returns {Array} Entries
+   */
+  getExpiredCacheEntries(cutoff) {
+    if (!this.isReady()) return [];
+
+    return this.db.prepare(`
+      SELECT *
+      FROM media_cache
+      WHERE created_at < @cutoff
+    `).all({ cutoff }).map(row => this.rowToCacheEntry(row));
+  }
+
+  /**
+   * Save the components of a format picker message, one row per custom ID
+   * @param {Object} selection - { tag, url, platform, userId, guildId, channelId, messageId, createdAt, expiresAt }
+   * @param {Array} choices - [{ customId, choice }]
+   */
+  savePendingSelection(selection, choices) {
+    if (!this.isReady()) return;
+
+    const insert = this.db.prepare(`
+      INSERT OR REPLACE INTO pending_selections (
+        custom_id, tag, url, platform, choice, user_id, guild_id, channel_id, message_id, created_at, expires_at
+      ) VALUES (
+        @customId, @tag, @url, @platform, @choice, @userId, @guildId, @channelId, @messageId, @createdAt, @expiresAt
+      )
+    `);
+
+    try {
+      this.db.transaction(() => {
+        for (const { customId, choice } of choices) {
+          insert.run({
+            customId,
+            choice,
+            tag: selection.tag,
+            url: selection.url,
+            platform: selection.platform,
+            userId: selection.userId || null,
+            guildId: selection.guildId || null,
+            channelId: selection.channelId || null,
+            messageId: selection.messageId || null,
+            createdAt: selection.createdAt,
+            expiresAt: selection.expiresAt
+          });
+        }
+      })();
+    } catch (error) {
+      logger.error('Failed to save pending selection:', { error: error.message, tag: selection.tag });
+    }
+  }
+
+  /**
+   * Get the pending selection behind a menu or button
+   * @param {string} customId - Component custom ID
+   * @returns {Object|null} { customId, tag, url, platform, choice, userId, guildId, channelId, messageId, createdAt, expiresAt }
+   */
+  getPendingSelection(customId) {
+    if (!this.isReady()) return null;
+
+    const row = this.db.prepare('SELECT * FROM pending_selections WHERE custom_id = ?').get(customId);
+    return row ? this.rowToSelection(row) : null;
+  }
+
+  rowToSelection(row) {
+    return {
+      customId: row.custom_id,
+      tag: row.tag,
+      url: row.url,
+      // Rows from before the format picker were always YouTube buttons
+      platform: row.platform || 'youtube',
+      choice: row.choice,
+      userId: row.user_id,
+      guildId: row.guild_id,
+      channelId: row.channel_id,
+      messageId: row.message_id,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    };
+  }
+
+  /**
+   * Delete every component of a selection
+   * @param {string} tag - Selection tag
+   */
+  deletePendingSelection(tag) {
+    if (!this.isReady()) return;
+    this.db.prepare('DELETE FROM pending_selections WHERE tag = ?').run(tag);
+  }
+
+  /**
+   * Remove the selections that expired before a cutoff
+   * @param {number} cutoff - Timestamp
+   * @returns {Array} One entry per expired selection message ({ tag, channelId, messageId })
+   */
+  takeExpiredSelections(cutoff) {
+    if (!this.isReady()) return [];
+
+    try {
+      return this.db.transaction(() => {
+        const rows = this.db.prepare(`
+          SELECT tag, channel_id, message_id
+          FROM pending_selections
+          WHERE expires_at <= @cutoff
+          GROUP BY tag
+        `).all({ cutoff });
+
+        this.db.prepare('DELETE FROM pending_selections WHERE expires_at <= @cutoff').run({ cutoff });
+
+        return rows.map(row => ({ tag: row.tag, channelId: row.channel_id, messageId: row.message_id }));
+      })();
+    } catch (error) {
+      logger.error('Failed to expire pending selections:', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Count selection messages still waiting for a click
+   * @returns {number} Pending selections
+   */
+  countPendingSelections() {
+    if (!this.isReady()) return 0;
+    return this.db.prepare('SELECT COUNT(DISTINCT tag) AS count FROM pending_selections').get().count;
+  }
+
   cleanupOldRecords(maxAgeDays = 30) {
     if (!this.isReady()) return;
 
@@ -0,0 +1,169 @@
+// services/providerHealth.js - Per-provider success/latency tracking and circuit breaker
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const persistenceService = require('./persistenceService');
+const { shortenText } = require('../utils/helpers');
+const { CIRCUIT_STATES } = require('../constants');
+
+class ProviderHealth {
+  constructor() {
+    this.stats = new Map();
+    this.probing = new Set();
+    this.threshold = CONFIG.CIRCUIT_BREAKER.FAILURE_THRESHOLD;
+    this.cooldownMs = CONFIG.CIRCUIT_BREAKER.COOLDOWN_MS;
+
+    // Open circuits survive a restart
+    for (const stats of persistenceService.getProviderStats()) {
+      this.stats.set(stats.provider, stats);
+    }
+  }
+
+  /**
+   * Get (or create) a provider's stats
+   * @param {string} name - Provider name
+   * @returns {Object} Stats
+   */
+  getStats(name) {
+    if (!this.stats.has(name)) {
+      this.stats.set(name, {
+        provider: name,
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        totalLatencyMs: 0,
+        lastLatencyMs: null,
+        lastError: null,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        openUntil: null
+      });
+    }
+    return this.stats.get(name);
+  }
+
+  /**
+   * Current circuit state of a provider
+   * @param {string} name - Provider name
+   * @returns {string} One of CIRCUIT_STATES
+   */
+  getState(name) {
+    const { openUntil } = this.getStats(name);
+
+    if (!openUntil) return CIRCUIT_STATES.CLOSED;
+    if (Date.now() < openUntil) return CIRCUIT_STATES.OPEN;
+    return CIRCUIT_STATES.HALF_OPEN;
+  }
+
+  /**
+   * Check whether a download may use a provider
+   * Once the cooldown is over, the first caller gets to probe it and every
+   * other caller keeps skipping it until that probe reports back.
+   * @param {string} name - Provider name
+   * @returns {boolean} Whether to try the provider
+   */
+  allowRequest(name) {
+    const state = this.getState(name);
+
+    if (state === CIRCUIT_STATES.CLOSED) return true;
+    if (state === CIRCUIT_STATES.OPEN || this.probing.has(name)) return false;
+
+    this.probing.add(name);
+    logger.info(`🔌 Probing provider ${name} after cooldown`);
+    return true;
+  }
+
+  /**
+   * Check whether a provider is being probed after its cooldown
+   * @param {string} name - Provider name
+   * @returns {boolean} Whether a probe is in flight
+   */
+  isProbing(name) {
+    return this.probing.has(name);
+  }
+
+  /**
+   * Record a successful download
+   * @param {string} name - Provider name
+   * @param {number} latencyMs - Download duration
+   */
+  recordSuccess(name, latencyMs) {
+    const stats = this.getStats(name);
+
+    if (stats.openUntil) {
+      logger.info(`✅ Provider ${name} recovered, circuit closed`);
+    }
+
+    stats.successes++;
+    stats.consecutiveFailures = 0;
+    stats.totalLatencyMs += latencyMs;
+    stats.lastLatencyMs = latencyMs;
+    stats.lastSuccessAt = Date.now();
+    stats.openUntil = null;
+
+    this.probing.delete(name);
+    persistenceService.saveProviderStats(stats);
+  }
+
+  /**
+   * Record a failed download, opening the circuit once the threshold is hit
+   * @param {string} name - Provider name
+   * @param {number} latencyMs - Time until the failure
+   * @param {Error} error - Failure
+   */
+  recordFailure(name, latencyMs, error) {
+    const stats = this.getStats(name);
+    const wasProbing = this.probing.delete(name);
+
+    stats.failures++;
+    stats.consecutiveFailures++;
+    stats.lastLatencyMs = latencyMs;
+    stats.lastError = shortenText(error?.message || 'Unknown error', 200);
+    stats.lastFailureAt = Date.now();
+
+    if (wasProbing || stats.consecutiveFailures >= this.threshold) {
+      stats.openUntil = Date.now() + this.cooldownMs;
+      logger.warn(`🔌 Provider ${name} circuit opened after ${stats.consecutiveFailures} failure(s), retrying in ${Math.round(this.cooldownMs / 1000)}s`);
+    }
+
+    persistenceService.saveProviderStats(stats);
+  }
+
+  /**
+   * Give back a probe that ended without a result (e.g. the download was cancelled)
+   * @param {string} name - Provider name
+   */
+  release(name) {
+    this.probing.delete(name);
+  }
+
+  /**
+   * Scoreboard for /system providers
+   * @param {Array} names - Provider names to include
+   * @returns {Array} { name, state, successes, failures, successRate, avgLatencyMs, ... }
+   */
+  getScoreboard(names) {
+    return names.map((name) => {
+      const stats = this.getStats(name);
+      const attempts = stats.successes + stats.failures;
+
+      return {
+        name,
+        state: this.getState(name),
+        successes: stats.successes,
+        failures: stats.failures,
+        consecutiveFailures: stats.consecutiveFailures,
+        successRate: attempts > 0 ? (stats.successes / attempts) * 100 : null,
+        avgLatencyMs: stats.successes > 0 ? Math.round(stats.totalLatencyMs / stats.successes) : null,
+        lastError: stats.lastError,
+        lastSuccessAt: stats.lastSuccessAt,
+        lastFailureAt: stats.lastFailureAt,
+        openUntil: stats.openUntil
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const providerHealth = new ProviderHealth();
+
+module.exports = providerHealth;
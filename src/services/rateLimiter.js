@@ -0,0 +1,120 @@
+// services/rateLimiter.js - Per-user and per-guild token bucket rate limits
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const { isAdminUser } = require('../utils/permissions');
+
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map();
+    this.limits = {
+      user: { burst: CONFIG.RATE_LIMIT.USER_BURST, refillMs: CONFIG.RATE_LIMIT.USER_REFILL_MS },
+      guild: { burst: CONFIG.RATE_LIMIT.GUILD_BURST, refillMs: CONFIG.RATE_LIMIT.GUILD_REFILL_MS }
+    };
+  }
+
+  /**
+   * Get a bucket with its tokens refilled up to now
+   * @param {string} scope - 'user' or 'guild'
+   * @param {string} id - User or guild ID
+   * @returns {Object} Bucket ({ tokens, updatedAt })
+   */
+  getBucket(scope, id) {
+    const { burst, refillMs } = this.limits[scope];
+    const key = `${scope}:${id}`;
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: now };
+      this.buckets.set(key, bucket);
+      return bucket;
+    }
+
+    const refilled = (now - bucket.updatedAt) / refillMs;
+    bucket.tokens = Math.min(burst, bucket.tokens + refilled);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  /**
+   * Seconds until a bucket holds a whole token again
+   * @param {string} scope - 'user' or 'guild'
+   * @param {Object} bucket - Bucket
+   * @returns {number} Seconds (rounded up)
+   */
+  getRetryAfter(scope, bucket) {
+    return Math.ceil(((1 - bucket.tokens) * this.limits[scope].refillMs) / 1000);
+  }
+
+  /**
+   * Take one token from the user's and the guild's bucket
+   * Nothing is consumed unless both buckets have a token left.
+   * @param {string} userId - Requesting user ID
+   * @param {string|null} guildId - Guild ID (DMs only use the user bucket)
+   * @returns {Object} { allowed, scope, retryAfter }
+   */
+  consume(userId, guildId) {
+    if (!userId || isAdminUser(userId)) {
+      return { allowed: true };
+    }
+
+    const checks = [['user', userId]];
+    if (guildId) checks.push(['guild', guildId]);
+
+    const buckets = checks.map(([scope, id]) => ({ scope, id, bucket: this.getBucket(scope, id) }));
+    const exhausted = buckets.find(({ bucket }) => bucket.tokens < 1);
+
+    if (exhausted) {
+      const retryAfter = this.getRetryAfter(exhausted.scope, exhausted.bucket);
+      logger.warn(`🚦 Rate limited ${exhausted.scope} ${exhausted.id} (retry in ${retryAfter}s)`);
+      return { allowed: false, scope: exhausted.scope, retryAfter };
+    }
+
+    for (const { bucket } of buckets) {
+      bucket.tokens -= 1;
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Give back a token taken by consume() for a download that was never queued
+   * @param {string} userId - Requesting user ID
+   * @param {string|null} guildId - Guild ID
+   */
+  refund(userId, guildId) {
+    if (!userId || isAdminUser(userId)) return;
+
+    const checks = [['user', userId]];
+    if (guildId) checks.push(['guild', guildId]);
+
+    for (const [scope, id] of checks) {
+      const bucket = this.getBucket(scope, id);
+      bucket.tokens = Math.min(this.limits[scope].burst, bucket.tokens + 1);
+    }
+  }
+
+  /**
+   * Drop buckets that have refilled completely (they behave like new ones)
+   */
+  cleanup() {
+    let cleaned = 0;
+
+    for (const key of this.buckets.keys()) {
+      const [scope, id] = key.split(':');
+      if (this.getBucket(scope, id).tokens >= this.limits[scope].burst) {
+        this.buckets.delete(key);
+        cleaned++;
+      }
+    }
+
+    if (cleaned > 0) {
+      logger.debug(`Cleaned up ${cleaned} idle rate limit bucket(s)`);
+    }
+  }
+}
+
+// Create singleton instance
+const rateLimiter = new RateLimiter();
+
+module.exports = rateLimiter;
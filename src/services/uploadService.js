@@ -5,9 +5,20 @@ const axios = require('axios');
 const FormData = require('form-data');
 const { EmbedBuilder } = require('discord.js');
 const { CONFIG } = require('../config');
-const { FILE_HOSTS, EMOJIS } = require('../constants');
+const { FILE_HOSTS, EMOJIS, MAX_ATTACHMENTS_PER_MESSAGE, OUTPUT_STYLES, PLATFORM_COLORS } = require('../constants');
 const logger = require('../utils/logger');
-const { formatBytes, getQualityBadge, promiseTimeout, shortenText } = require('../utils/helpers');
+const guildSettingsService = require('./guildSettingsService');
+const {
+  formatBytes,
+  getQualityBadge,
+  promiseTimeout,
+  createLinkedController,
+  throwIfCancelled,
+  shortenText,
+  getPlatformEmoji,
+  formatCount,
+  formatTimestamp
+} = require('../utils/helpers');
 
 class UploadService {
   constructor() {
@@ -19,24 +30,308 @@ class UploadService {
    * @param {Object} message - Discord message object
    * @param {string} filePath - Path to file
    * @param {number} fileSize - File size in bytes
-   * @param {Object} metadata - File metadata
+   * @param {Object} metadata - File metadata (metadata.signal aborts file-host uploads on cancel,
+   *   metadata.filename overrides the attachment name)
+   * @returns {Object|null} Where the file went ({ type: 'attachment'|'host', url, host }) or null on failure
    */
   async uploadToDiscord(message, filePath, fileSize, metadata) {
-    const filename = path.basename(filePath);
+    const filename = metadata.filename || path.basename(filePath);
     const sizeMB = (fileSize / 1024 / 1024).toFixed(1);
+    const limitBytes = guildSettingsService.getUploadLimit(metadata.guildId);
+
+    metadata = this.applyGuildPreferences(metadata);
     
     try {
-      if (fileSize > CONFIG.DISCORD.LIMIT_BYTES) {
+      throwIfCancelled(metadata.signal);
+
+      if (fileSize > limitBytes) {
         // File too large for Discord, use file host
-        await this.uploadToFileHost(message, filePath, filename, fileSize, metadata);
-      } else {
-        // Direct Discord upload
-        await this.uploadDirectToDiscord(message, filePath, filename, fileSize, metadata);
+        return await this.uploadToFileHost(message, filePath, filename, fileSize, metadata);
       }
+
+      // Direct Discord upload
+      return await this.uploadDirectToDiscord(message, filePath, filename, fileSize, metadata);
     } catch (error) {
+      // The cancel handler already updated the status message
+      if (error.isCancelled) throw error;
+
       logger.error(`[${metadata.tag}] Upload failed:`, { error: error.message });
       await this.sendErrorMessage(message, error, sizeMB);
+      return null;
+    }
+  }
+
+  /**
+   * Upload every media item of a download
+   * A single file goes through uploadToDiscord(); posts with several items
+   * (carousels, galleries) are sent as attachments split over as few messages as
+   * Discord's file count and size limits allow.
+   * @param {Object} message - Discord message object
+   * @param {Array} items - Media items ({ path, size, filename, type })
+   * @param {Object} metadata - File metadata
+   * @returns {Object|null} Where the files went or null on failure
+   */
+  async uploadMedia(message, items, metadata) {
+    if (items.length === 1) {
+      const [item] = items;
+      return this.uploadToDiscord(message, item.path, item.size, { ...metadata, filename: item.filename });
+    }
+
+    return this.uploadGallery(message, items, metadata);
+  }
+
+  /**
+   * Upload the items of a multi-media post
+   * The first batch replaces the status message, later batches follow in the
+   * channel. Items over the upload limit are linked from a file host instead.
+   * @param {Object} message - Discord message object
+   * @param {Array} items - Media items
+   * @param {Object} metadata - File metadata
+   * @returns {Object|null} { type: 'gallery', urls, messageIds } or null on failure - messageIds are the follow-up messages
+   */
+  async uploadGallery(message, items, metadata) {
+    const totalSize = items.reduce((sum, item) => sum + item.size, 0);
+    const sizeMB = (totalSize / 1024 / 1024).toFixed(1);
+    const limitBytes = guildSettingsService.getUploadLimit(metadata.guildId);
+
+    metadata = this.applyGuildPreferences(metadata);
+
+    try {
+      throwIfCancelled(metadata.signal);
+
+      const oversized = items.filter(item => item.size > limitBytes);
+      const batches = this.splitIntoBatches(items.filter(item => item.size <= limitBytes), limitBytes);
+      const hostLinks = [];
+      let failed = 0;
+
+      for (const item of oversized) {
+        try {
+          logger.info(`[${metadata.tag}] ${item.filename} too large (${formatBytes(item.size)}), uploading to file host...`);
+          const { url } = await this.uploadFileToHost(item.path, item.filename, item.size, metadata);
+          hostLinks.push(url);
+        } catch (error) {
+          if (error.isCancelled) throw error;
+          logger.warn(`[${metadata.tag}] Skipping ${item.filename}: ${error.message}`);
+          failed++;
+        }
+      }
+
+      if (batches.length === 0 && hostLinks.length === 0) {
+        throw new Error('All file host uploads failed');
+      }
+
+      let notice = '';
+      if (hostLinks.length > 0) {
+        const links = hostLinks.map(url => (metadata.spoiler ? `||${url}||` : url));
+        notice += `\n\n⚠️ **Too large for Discord:**\n📥 ${links.join('\n📥 ')}`;
+      }
+      if (failed > 0) {
+        notice += `\n\n${EMOJIS.warning} ${failed} item(s) could not be uploaded`;
+      }
+      const body = this.buildMessage(metadata, sizeMB, { info: ` • 🖼️ ${items.length} items`, notice });
+
+      const urls = [...hostLinks];
+      const messageIds = [];
+      const toFiles = batch => batch.map(item => ({
+        attachment: item.path,
+        name: metadata.spoiler ? `SPOILER_${item.filename}` : item.filename
+      }));
+
+      const [firstBatch = [], ...laterBatches] = batches;
+      const sent = await message.edit({ ...body, components: [], files: toFiles(firstBatch) });
+      urls.push(...(sent?.attachments?.map(attachment => attachment.url) || []));
+
+      for (const batch of laterBatches) {
+        throwIfCancelled(metadata.signal);
+        const followUp = await message.channel.send({ files: toFiles(batch) });
+        urls.push(...(followUp?.attachments?.map(attachment => attachment.url) || []));
+        if (followUp?.id) messageIds.push(followUp.id);
+      }
+
+      logger.info(`[${metadata.tag}] Sent ${items.length - failed} media item(s) in ${Math.max(batches.length, 1)} message(s) (${sizeMB}MB)`);
+
+      return { type: 'gallery', urls, messageIds };
+    } catch (error) {
+      if (error.isCancelled) throw error;
+
+      logger.error(`[${metadata.tag}] Gallery upload failed:`, { error: error.message });
+      await this.sendErrorMessage(message, error, sizeMB);
+      return null;
+    }
+  }
+
+  /**
+   * Group items into messages of at most MAX_ATTACHMENTS_PER_MESSAGE files and
+   * limitBytes in total, keeping the post order
+   * @param {Array} items - Media items that fit the limit on their own
+   * @param {number} limitBytes - Upload limit per message
+   * @returns {Array} Batches of items
+   */
+  splitIntoBatches(items, limitBytes) {
+    const batches = [];
+    let current = [];
+    let currentBytes = 0;
+
+    for (const item of items) {
+      if (current.length >= MAX_ATTACHMENTS_PER_MESSAGE || currentBytes + item.size > limitBytes) {
+        batches.push(current);
+        current = [];
+        currentBytes = 0;
+      }
+      current.push(item);
+      currentBytes += item.size;
+    }
+
+    if (current.length > 0) {
+      batches.push(current);
+    }
+
+    return batches;
+  }
+
+  /**
+   * Answer a repeat link with the link of an earlier upload
+   * @param {Object} message - Discord message object
+   * @param {Object} entry - Media cache entry
+   * @param {Object} metadata - File metadata
+   */
+  async sendCachedLink(message, entry, metadata) {
+    const sizeMB = (entry.fileSize / 1024 / 1024).toFixed(1);
+    metadata = this.applyGuildPreferences(metadata);
+
+    if (entry.deliveryType === 'host') {
+      await this.sendFileHostLink(message, entry.deliveryUrl, sizeMB, metadata, entry.deliveryHost || undefined);
+      return;
+    }
+
+    const link = metadata.spoiler ? `||${entry.deliveryUrl}||` : entry.deliveryUrl;
+
+    await message.edit({
+      ...this.buildMessage(metadata, sizeMB, { notice: `\n${link}` }),
+      components: []
+    });
+
+    logger.info(`[${metadata.tag}] Sent cached link: ${entry.deliveryUrl}`);
+  }
+
+  /**
+   * Apply the guild's display settings to upload metadata
+   * @param {Object} metadata - File metadata
+   * @returns {Object} Metadata (caption and title removed when the guild turned captions off)
+   */
+  applyGuildPreferences(metadata) {
+    const settings = guildSettingsService.get(metadata.guildId);
+    return settings.caption ? metadata : { ...metadata, caption: null, title: null };
+  }
+
+  /**
+   * Build the text and embeds of an upload message in the guild's output style
+   * @param {Object} metadata - File metadata
+   * @param {string} sizeMB - File size in MB
+   * @param {Object} extras - { info: appended to the info line, notice: text after it (links, warnings) }
+   * @returns {Object} { content, embeds } for message.edit()
+   */
+  buildMessage(metadata, sizeMB, { info = '', notice = '' } = {}) {
+    if (guildSettingsService.get(metadata.guildId).outputStyle === OUTPUT_STYLES.EMBED) {
+      return {
+        content: notice.trim() || null,
+        embeds: [this.buildEmbed(metadata, sizeMB, info)]
+      };
+    }
+
+    return {
+      content: `${this.buildMessageContent(metadata, sizeMB)}${info}${notice}`,
+      embeds: []
+    };
+  }
+
+  /**
+   * Build the rich embed shown with an upload
+   * Author (with avatar and profile link), title linking to the post, caption,
+   * views/likes/comments/duration, and the post date as timestamp.
+   * @param {Object} metadata - File metadata
+   * @param {string} sizeMB - File size in MB
+   * @param {string} info - Appended to the resolution/size footer
+   * @returns {EmbedBuilder} Embed
+   */
+  buildEmbed(metadata, sizeMB, info = '') {
+    const { platform, uploader, caption } = metadata;
+    const title = metadata.title && metadata.title !== 'video' ? metadata.title : caption;
+
+    const embed = new EmbedBuilder()
+      .setColor(PLATFORM_COLORS[platform] || PLATFORM_COLORS.default)
+      .setTitle(shortenText(title || `${getPlatformEmoji(platform)} ${platform || 'video'}`, 256));
+
+    if (metadata.sourceUrl) {
+      embed.setURL(metadata.sourceUrl);
+    }
+
+    if (uploader && uploader !== 'unknown_user' && uploader !== 'Unknown') {
+      embed.setAuthor({
+        name: `@${uploader}`,
+        url: metadata.uploaderUrl || undefined,
+        iconURL: metadata.avatar || undefined
+      });
+    }
+
+    const stats = [
+      metadata.viewCount != null && `👁️ ${formatCount(metadata.viewCount)}`,
+      metadata.likeCount != null && `❤️ ${formatCount(metadata.likeCount)}`,
+      metadata.commentCount != null && `💬 ${formatCount(metadata.commentCount)}`,
+      metadata.duration > 0 && `⏱️ ${formatTimestamp(metadata.duration)}`
+    ].filter(Boolean);
+
+    const lines = [];
+    if (caption && caption !== title) {
+      lines.push(shortenText(caption, 500));
+    }
+    if (stats.length > 0) {
+      lines.push(stats.join(' • '));
+    }
+    if (lines.length > 0) {
+      embed.setDescription(lines.join('\n\n'));
+    }
+
+    const resolution = metadata.resolution || 'Unknown';
+    embed.setFooter({ text: `${this.getQualityEmoji(resolution)} ${this.formatResolution(resolution)} • 📦 ${sizeMB} MB${info}` });
+
+    if (metadata.uploadDate) {
+      embed.setTimestamp(metadata.uploadDate);
+    }
+
+    return embed;
+  }
+
+  /**
+   * Build the caption + info line shown with an upload
+   * Format: **caption** / 🎞️ 1080p • 📦 41.2 MB • 👤 @tiktokuser
+   * @param {Object} metadata - File metadata
+   * @param {string} sizeMB - File size in MB
+   * @returns {string} Message content
+   */
+  buildMessageContent(metadata, sizeMB) {
+    const resolution = metadata.resolution || 'Unknown';
+    const caption = metadata.caption || null;
+    const uploader = metadata.uploader || null;
+
+    let messageContent = '';
+
+    // Add caption first if available (bold)
+    if (caption && caption.trim().length > 0) {
+      messageContent = `**${shortenText(caption, 500)}**\n\n`;
+    }
+
+    const qualityEmoji = this.getQualityEmoji(resolution);
+    const formattedRes = this.formatResolution(resolution);
+
+    messageContent += `${qualityEmoji} ${formattedRes} • 📦 ${sizeMB} MB`;
+
+    // Add the platform username if available (not the Discord user who triggered)
+    if (uploader && uploader !== 'unknown_user' && uploader !== 'Unknown') {
+      messageContent += ` • 👤 @${uploader}`;
     }
+
+    return messageContent;
   }
 
   /**
@@ -94,50 +389,26 @@ class UploadService {
    * @param {string} filename - Filename
    * @param {number} fileSize - File size in bytes
    * @param {Object} metadata - File metadata
+   * @returns {Object} { type: 'attachment', url }
    */
   async uploadDirectToDiscord(message, filePath, filename, fileSize, metadata) {
     const sizeMB = (fileSize / 1024 / 1024).toFixed(1);
-    const resolution = metadata.resolution || 'Unknown';
-    const caption = metadata.caption || null;
-    const uploader = metadata.uploader || null;
-    const authorId = metadata.authorId;
     
     logger.info(`[${metadata.tag}] Uploading to Discord: ${filename} (${sizeMB}MB)`);
-    
-    // Build message content with improved format
-    let messageContent = '';
-    
-    // Add caption first if available (bold)
-    if (caption && caption.trim().length > 0) {
-      const formattedCaption = shortenText(caption, 500);
-
-      // Make caption bold
-      messageContent = `**${formattedCaption}**\n\n`;
-    }
-    
-    // Add video info in single line with better format
-    const qualityEmoji = this.getQualityEmoji(resolution);
-    const formattedRes = this.formatResolution(resolution);
-    
-    // Format: 🎞️ 1080p • 📦 41.2 MB • 👤 @tiktokuser
-    messageContent += `${qualityEmoji} ${formattedRes} • 📦 ${sizeMB} MB`;
-    
-    // Add TikTok username if available (not the Discord user who triggered)
-    if (uploader && uploader !== 'unknown_user' && uploader !== 'Unknown') {
-      messageContent += ` • 👤 @${uploader}`;
-    }
 
     // Upload to Discord
-    await message.edit({
-      content: messageContent,
-      embeds: [],
+    const sent = await message.edit({
+      ...this.buildMessage(metadata, sizeMB),
+      components: [],
       files: [{
         attachment: filePath,
-        name: filename
+        name: metadata.spoiler ? `SPOILER_${filename}` : filename
       }]
     });
     
     logger.info(`[${metadata.tag}] Sent to Discord: ${filename} (${sizeMB}MB)`);
+
+    return { type: 'attachment', url: sent?.attachments?.first()?.url || null };
   }
 
   /**
@@ -147,6 +418,7 @@ class UploadService {
    * @param {string} filename - Filename
    * @param {number} fileSize - File size in bytes
    * @param {Object} metadata - File metadata
+   * @returns {Object} { type: 'host', url, host }
    */
   async uploadToFileHost(message, filePath, filename, fileSize, metadata) {
     const sizeMB = (fileSize / 1024 / 1024).toFixed(1);
@@ -154,26 +426,11 @@ class UploadService {
     logger.info(`[${metadata.tag}] File too large (${sizeMB}MB), uploading to file host...`);
 
     try {
-      // Try 0x0.st first (512MB limit)
-      let provider = '0x0.st';
-      let uploadUrl = await this.uploadToZeroZeroEst(filePath, filename, fileSize, metadata);
-
-      if (!uploadUrl) {
-        provider = 'tmpfiles.org';
-        uploadUrl = await this.uploadToTmpfiles(filePath, filename, fileSize, metadata);
-      }
-
-      if (!uploadUrl) {
-        provider = 'Catbox.moe';
-        uploadUrl = await this.uploadToCatbox(filePath, filename, fileSize, metadata);
-      }
-
-      if (!uploadUrl) {
-        throw new Error('All file host uploads failed');
-      }
+      const { url: uploadUrl, host: provider } = await this.uploadFileToHost(filePath, filename, fileSize, metadata);
 
       // Send link to Discord
       await this.sendFileHostLink(message, uploadUrl, sizeMB, metadata, provider);
+      return { type: 'host', url: uploadUrl, host: provider };
 
     } catch (error) {
       logger.error(`[${metadata.tag}] File host upload failed:`, { error: error.message });
@@ -181,6 +438,39 @@ class UploadService {
     }
   }
 
+  /**
+   * Upload a file to the first file host that accepts it
+   * @param {string} filePath - Path to file
+   * @param {string} filename - Filename
+   * @param {number} fileSize - File size in bytes
+   * @param {Object} metadata - File metadata
+   * @returns {Object} { url, host }
+   */
+  async uploadFileToHost(filePath, filename, fileSize, metadata) {
+    // Try 0x0.st first (512MB limit)
+    let host = '0x0.st';
+    let url = await this.uploadToZeroZeroEst(filePath, filename, fileSize, metadata);
+
+    if (!url) {
+      throwIfCancelled(metadata.signal);
+      host = 'tmpfiles.org';
+      url = await this.uploadToTmpfiles(filePath, filename, fileSize, metadata);
+    }
+
+    if (!url) {
+      throwIfCancelled(metadata.signal);
+      host = 'Catbox.moe';
+      url = await this.uploadToCatbox(filePath, filename, fileSize, metadata);
+    }
+
+    if (!url) {
+      throwIfCancelled(metadata.signal);
+      throw new Error('All file host uploads failed');
+    }
+
+    return { url, host };
+  }
+
   /**
    * Upload to 0x0.st
    * @param {string} filePath - Path to file
@@ -199,23 +489,14 @@ class UploadService {
     try {
       logger.info(`[${metadata.tag}] Uploading to 0x0.st...`);
 
+      const fileStream = fsSync.createReadStream(filePath);
       const form = new FormData();
-      form.append('file', fsSync.createReadStream(filePath), {
+      form.append('file', fileStream, {
         filename: filename,
         contentType: 'video/mp4'
       });
 
-      const response = await promiseTimeout(
-        axios.post(FILE_HOSTS.ZEROZEROEST.uploadUrl, form, {
-          headers: {
-            ...form.getHeaders()
-          },
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity
-        }),
-        300000,
-        '0x0.st upload timed out'
-      );
+      const response = await this.postToHost(FILE_HOSTS.ZEROZEROEST.uploadUrl, form, fileStream, '0x0.st upload timed out', metadata.signal);
 
       if (response.data && response.data.trim().startsWith('https://')) {
         const downloadUrl = response.data.trim();
@@ -226,6 +507,7 @@ class UploadService {
       throw new Error('0x0.st returned invalid response');
 
     } catch (error) {
+      throwIfCancelled(metadata.signal);
       logger.warn(`[${metadata.tag}] 0x0.st upload failed:`, { error: error.message });
       return null;
     }
@@ -249,23 +531,14 @@ class UploadService {
     try {
       logger.info(`[${metadata.tag}] Uploading to tmpfiles.org...`);
 
+      const fileStream = fsSync.createReadStream(filePath);
       const form = new FormData();
-      form.append('file', fsSync.createReadStream(filePath), {
+      form.append('file', fileStream, {
         filename: filename,
         contentType: 'video/mp4'
       });
 
-      const response = await promiseTimeout(
-        axios.post(FILE_HOSTS.TMPFILES.uploadUrl, form, {
-          headers: {
-            ...form.getHeaders()
-          },
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity
-        }),
-        300000,
-        'tmpfiles.org upload timed out'
-      );
+      const response = await this.postToHost(FILE_HOSTS.TMPFILES.uploadUrl, form, fileStream, 'tmpfiles.org upload timed out', metadata.signal);
 
       if (response.data && response.data.data && response.data.data.url) {
         // tmpfiles.org returns URL in format: tmpfiles.org/dl/xxxxx
@@ -278,6 +551,7 @@ class UploadService {
       throw new Error('tmpfiles.org returned invalid response');
 
     } catch (error) {
+      throwIfCancelled(metadata.signal);
       logger.warn(`[${metadata.tag}] tmpfiles.org upload failed:`, { error: error.message });
       return null;
     }
@@ -301,24 +575,15 @@ class UploadService {
     try {
       logger.info(`[${metadata.tag}] Uploading to Catbox.moe (fallback)...`);
       
+      const fileStream = fsSync.createReadStream(filePath);
       const form = new FormData();
       form.append('reqtype', 'fileupload');
-      form.append('fileToUpload', fsSync.createReadStream(filePath), {
+      form.append('fileToUpload', fileStream, {
         filename: filename,
         contentType: 'video/mp4'
       });
-      
-      const response = await promiseTimeout(
-        axios.post(FILE_HOSTS.CATBOX.uploadUrl, form, {
-          headers: {
-            ...form.getHeaders()
-          },
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity
-        }),
-        300000,
-        'Catbox upload timed out'
-      );
+
+      const response = await this.postToHost(FILE_HOSTS.CATBOX.uploadUrl, form, fileStream, 'Catbox upload timed out', metadata.signal);
       
       if (response.data && response.data.startsWith('https://')) {
         const downloadUrl = response.data.trim();
@@ -329,11 +594,45 @@ class UploadService {
       throw new Error('Catbox returned invalid response');
       
     } catch (error) {
+      throwIfCancelled(metadata.signal);
       logger.warn(`[${metadata.tag}] Catbox upload failed:`, { error: error.message });
       return null;
     }
   }
 
+  /**
+   * POST a multipart upload to a file host
+   * The request is aborted on timeout or when the download is cancelled, and the
+   * file stream is always closed.
+   * @param {string} uploadUrl - Host upload endpoint
+   * @param {FormData} form - Multipart body
+   * @param {ReadStream} fileStream - File stream appended to the form
+   * @param {string} timeoutMessage - Error message on timeout
+   * @param {AbortSignal} signal - Download cancel signal (optional)
+   * @returns {Object} Axios response
+   */
+  async postToHost(uploadUrl, form, fileStream, timeoutMessage, signal = null) {
+    const controller = createLinkedController(signal);
+
+    try {
+      return await promiseTimeout(
+        axios.post(uploadUrl, form, {
+          headers: {
+            ...form.getHeaders()
+          },
+          maxContentLength: Infinity,
+          maxBodyLength: Infinity,
+          signal: controller.signal
+        }),
+        300000,
+        timeoutMessage,
+        controller
+      );
+    } finally {
+      fileStream.destroy();
+    }
+  }
+
   /**
    * Send file host link to Discord
    * @param {Object} message - Discord message object
@@ -342,37 +641,13 @@ class UploadService {
    * @param {Object} metadata - File metadata
    */
   async sendFileHostLink(message, uploadUrl, sizeMB, metadata, provider = 'File Host') {
-    const resolution = metadata.resolution || 'Unknown';
-    const caption = metadata.caption || null;
-    const uploader = metadata.uploader || null;
-    const authorId = metadata.authorId;
-    
-    let messageContent = '';
-    
-    // Add caption at the top if available (bold)
-    if (caption && caption.trim().length > 0) {
-      const formattedCaption = shortenText(caption, 500);
-      messageContent = `**${formattedCaption}**\n\n`;
-    }
-    
-    // Add file info
-    const qualityEmoji = this.getQualityEmoji(resolution);
-    const formattedRes = this.formatResolution(resolution);
-    
-    messageContent += `${qualityEmoji} ${formattedRes} • 📦 ${sizeMB} MB`;
-    
-    // Add TikTok username if available
-    if (uploader && uploader !== 'unknown_user' && uploader !== 'Unknown') {
-      messageContent += ` • 👤 @${uploader}`;
-    }
-
-    messageContent += `\n\n⚠️ **File too large for Discord**\n`;
-    messageContent += `📦 **Host:** ${provider}\n`;
-    messageContent += `📥 **Download:** ${uploadUrl}`;
+    let notice = `\n\n⚠️ **File too large for Discord**\n`;
+    notice += `📦 **Host:** ${provider}\n`;
+    notice += `📥 **Download:** ${metadata.spoiler ? `||${uploadUrl}||` : uploadUrl}`;
     
     await message.edit({
-      content: messageContent,
-      embeds: []
+      ...this.buildMessage(metadata, sizeMB, { notice }),
+      components: []
     });
     
     logger.info(`[${metadata.tag}] Sent file host link: ${uploadUrl}`);
@@ -392,7 +667,7 @@ class UploadService {
       .setFooter({ text: 'Please try again later' })
       .setTimestamp();
     
-    await message.edit({ embeds: [errorEmbed] }).catch(() => {});
+    await message.edit({ embeds: [errorEmbed], components: [] }).catch(() => {});
   }
 
   /**
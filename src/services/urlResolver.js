@@ -0,0 +1,127 @@
+// services/urlResolver.js - Expands share short links and keys links by video ID
+// vm.tiktok.com/ZS..., tiktok.com/t/..., snapchat.com/t/... and facebook.com/share/...
+// links carry no video ID, so they are followed to the page they redirect to.
+const axios = require('axios');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const { USER_AGENT } = require('../providers/shared');
+const { detectPlatform, extractMediaId, getCanonicalKey } = require('../utils/helpers');
+
+const SHORT_LINK_PATTERNS = [
+  /^(?:https?:\/\/)?(?:vm|vt)\.tiktok\.com\//i,
+  /^(?:https?:\/\/)?(?:www\.)?tiktok\.com\/t\//i,
+  /^(?:https?:\/\/)?(?:www\.)?snapchat\.com\/t\//i,
+  /^(?:https?:\/\/)?(?:www\.|m\.)?facebook\.com\/share\//i
+];
+
+const MAX_CACHED_LINKS = 1000;
+
+class UrlResolver {
+  constructor() {
+    this.expanded = new Map(); // short link -> expanded URL
+  }
+
+  /**
+   * Check whether a link is a share short link that has to be expanded
+   * @param {string} url - URL
+   * @returns {boolean} Whether the URL redirects to the actual video
+   */
+  isShortLink(url) {
+    return SHORT_LINK_PATTERNS.some(pattern => pattern.test(url));
+  }
+
+  /**
+   * Follow a short link's redirects
+   * Falls back to the short link itself when the request fails, so a slow or
+   * blocked redirect never stops the download (providers understand short links too).
+   * @param {string} url - Short link
+   * @returns {string} Expanded URL
+   */
+  async expand(url) {
+    if (this.expanded.has(url)) {
+      return this.expanded.get(url);
+    }
+
+    const requestUrl = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+
+    try {
+      const response = await axios.get(requestUrl, {
+        maxRedirects: 10,
+        timeout: CONFIG.DOWNLOAD.RESOLVE_TIMEOUT,
+        responseType: 'stream',
+        validateStatus: () => true,
+        headers: {
+          'User-Agent': USER_AGENT
+        }
+      });
+
+      // Only the final URL matters, not the page
+      response.data.destroy();
+
+      const expandedUrl = response.request?.res?.responseUrl || requestUrl;
+
+      // A redirect to a login or home page is no better than the short link
+      if (detectPlatform(expandedUrl) !== detectPlatform(url) || !extractMediaId(expandedUrl).canonical) {
+        logger.debug(`Short link ${url} did not lead to a video (${expandedUrl})`);
+        return url;
+      }
+
+      this.remember(url, expandedUrl);
+      logger.debug(`🔗 Expanded ${url} -> ${expandedUrl}`);
+      return expandedUrl;
+    } catch (error) {
+      logger.warn(`Failed to expand short link ${url}: ${error.message}`);
+      return url;
+    }
+  }
+
+  /**
+   * Cache an expansion, dropping the oldest once the cache is full
+   * @param {string} url - Short link
+   * @param {string} expandedUrl - Expanded URL
+   */
+  remember(url, expandedUrl) {
+    if (this.expanded.size >= MAX_CACHED_LINKS) {
+      this.expanded.delete(this.expanded.keys().next().value);
+    }
+    this.expanded.set(url, expandedUrl);
+  }
+
+  /**
+   * Resolve a link to the URL to download and its canonical key
+   * @param {string} url - URL as posted
+   * @returns {Object} { url, key }
+   */
+  async resolve(url) {
+    const resolvedUrl = this.isShortLink(url) ? await this.expand(url) : url;
+    return { url: resolvedUrl, key: getCanonicalKey(resolvedUrl) };
+  }
+
+  /**
+   * Resolve detected links and drop the ones that turn out to be the same video
+   * @param {Array} detectedUrls - Links from detectAllUrls()
+   * @returns {Array} Unique links ({ url, platform, key, originalUrl })
+   */
+  async resolveAll(detectedUrls) {
+    const resolved = await Promise.all(detectedUrls.map(async (detected) => ({
+      ...detected,
+      ...(await this.resolve(detected.url)),
+      originalUrl: detected.url
+    })));
+
+    const seenKeys = new Set();
+    return resolved.filter(({ key, originalUrl }) => {
+      if (seenKeys.has(key)) {
+        logger.debug(`🔄 DUPLICATE detected after resolving: ${originalUrl} (${key})`);
+        return false;
+      }
+      seenKeys.add(key);
+      return true;
+    });
+  }
+}
+
+// Create singleton instance
+const urlResolver = new UrlResolver();
+
+module.exports = urlResolver;
@@ -1,18 +1,24 @@
-// services/videoDownloader.js - Video download service with platform support
+// services/videoDownloader.js - Video download service (runs the configured provider chain)
 const fs = require('fs').promises;
-const fsSync = require('fs');
 const path = require('path');
 const { execFile } = require('child_process');
 const { promisify } = require('util');
-const axios = require('axios');
 const { CONFIG } = require('../config');
 const logger = require('../utils/logger');
+const providerRegistry = require('../providers');
+const providerHealth = require('./providerHealth');
+const guildSettingsService = require('./guildSettingsService');
+const mediaProcessor = require('./mediaProcessor');
+const {
+  ensureTempDir,
+  getMediaType,
+  downloadToFile,
+  extractYouTubeId
+} = require('../providers/shared');
+const { resolveAudioRequest, resolveAnimationRequest } = require('../utils/formats');
 const {
-  sanitizeFilename,
-  getDateTag,
   detectPlatform,
-  promiseTimeout,
-  retryWithBackoff,
+  throwIfCancelled,
   shortenText
 } = require('../utils/helpers');
 
@@ -22,34 +28,13 @@ class VideoDownloader {
   constructor() {
     this.tempDir = CONFIG.PATHS.TEMP_DIR;
     this.ensureTempDir();
-    this.permanentErrorPatterns = [
-      'http error 403',
-      'http error 404',
-      '404 not found',
-      '410 gone',
-      '410:',
-      'private video',
-      'video unavailable',
-      'not available in your country',
-      'sign in to confirm your age',
-      'playback on other websites has been disabled',
-      'this live event has ended',
-      'copyright claim',
-      'account is private',
-      'video does not exist',
-      'user not found'
-    ];
   }
 
   /**
    * Ensure temp directory exists
    */
   async ensureTempDir() {
-    try {
-      await fs.mkdir(this.tempDir, { recursive: true });
-    } catch (error) {
-      logger.error('Failed to create temp directory:', { error: error.message });
-    }
+    await ensureTempDir();
   }
 
   /**
@@ -67,1452 +52,519 @@ class VideoDownloader {
   }
 
   /**
-   * Get video information
+   * Get the provider chain for a URL, failing when nothing can handle it
    * @param {string} url - Video URL
-   * @param {Object} options - Options
-   * @returns {Object} Video metadata
+   * @returns {Array} Providers in configured order
    */
-  async getVideoInfo(url, options = {}) {
-    const { tag = 'unknown' } = options;
-    const platform = detectPlatform(url);
+  getProviders(url) {
+    const providers = providerRegistry.getChain(url);
 
-    logger.info(`[${tag}] Getting video info from ${platform}...`);
-
-    try {
-      const impersonateTarget = CONFIG.IMPERSONATE_TARGETS[platform] || CONFIG.IMPERSONATE_TARGETS.default;
+    if (providers.length === 0) {
+      const error = new Error(`No download provider available for ${detectPlatform(url)}`);
+      error.isPermanent = true;
+      throw error;
+    }
 
-      const args = [
-        url,
-        '--dump-json',
-        '--socket-timeout', '30'
-      ];
+    return providers;
+  }
 
-      // Add verbose for TikTok debugging
-      if (platform === 'tiktok') {
-        args.push('--verbose');
-      }
+  /**
+   * Get video information from the first provider that answers
+   * @param {string} url - Video URL
+   * @param {Object} options - Options ({ tag, signal })
+   * @returns {Object} Video metadata (basic metadata when every provider fails)
+   */
+  async getVideoInfo(url, options = {}) {
+    const { tag = 'unknown', signal } = options;
+    const platform = detectPlatform(url);
 
-      // Add YouTube bypass for bot detection
-      if (platform === 'youtube') {
-        args.push(
-          '--extractor-args', 'youtube:player_client=default,web',
-          '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36'
-        );
-      }
+    for (const provider of this.getProviders(url)) {
+      throwIfCancelled(signal);
 
-      // Skip impersonate - not supported by this yt-dlp build
-      // Skip cookies for TikTok (works without them)
-      if (platform !== 'tiktok') {
-        const cookiePath = CONFIG.PATHS.COOKIES[platform];
-        if (cookiePath && fsSync.existsSync(cookiePath)) {
-          args.push('--cookies', cookiePath);
-          logger.debug(`[${tag}] Using ${platform} cookies`);
-        }
+      try {
+        return await provider.getInfo(url, options);
+      } catch (error) {
+        throwIfCancelled(signal);
+        logger.warn(`[${tag}] ${provider.name} info lookup failed: ${error.message}`);
       }
+    }
 
-      // Log the exact command for debugging
-      logger.info(`[${tag}] yt-dlp info command: yt-dlp ${args.join(' ')}`);
-
-      const { stdout } = await promiseTimeout(
-        execFileAsync('yt-dlp', args, {
-          maxBuffer: 10 * 1024 * 1024
-        }),
-        CONFIG.DOWNLOAD.INFO_TIMEOUT,
-        'Video info retrieval timed out'
-      );
-
-      const info = JSON.parse(stdout);
-
-      logger.info(`[${tag}] Video info retrieved: ${info.title || 'Unknown'}`);
-
-      return {
-        title: info.title || 'video',
-        description: info.description || null,
-        duration: info.duration || 0,
-        uploader: info.uploader || info.uploader_id || info.channel || 'unknown_user',
-        uploaderId: info.uploader_id || info.channel_id || null,
-        platform: platform,
-        url: url,
-        resolution: info.resolution || null,
-        filesize: info.filesize || info.filesize_approx || null
-      };
+    logger.error(`[${tag}] Failed to get video info from any provider`);
 
-    } catch (error) {
-      // Enhanced error logging to capture full details
-      const errorDetails = {
-        message: error.message || 'Unknown error',
-        code: error.code || 'N/A',
-        stderr: error.stderr?.toString() || 'none',
-        stdout: error.stdout?.toString() || 'none'
-      };
-      logger.error(`[${tag}] Failed to get video info:`, errorDetails);
-      
-      // Return basic metadata on error
-      return {
-        title: 'video',
-        uploader: 'unknown_user',
-        platform: platform,
-        url: url
-      };
-    }
+    return {
+      title: 'video',
+      uploader: 'unknown_user',
+      platform: platform,
+      url: url
+    };
   }
 
   /**
-   * Download video with yt-dlp
+   * Download a video, trying each configured provider in turn
+   * Failed downloads are retried by downloadManager, which passes the retry number as attempt.
    * @param {string} url - Video URL
    * @param {Object} options - Download options
-   * @returns {Object} Download result
+   * @returns {Object} Download result ({ items, size, platform, metadata })
    */
   async downloadVideo(url, options = {}) {
-    const { tag = 'unknown', onProgress, retries = 0, youtubeOptions } = options;
-    const platform = detectPlatform(url);
+    const { tag = 'unknown', signal } = options;
 
-    logger.info(`[${tag}] Starting download from ${platform}...`);
+    throwIfCancelled(signal);
 
-    // For YouTube, skip yt-dlp entirely and use API directly
-    if (platform === 'youtube') {
-      logger.info(`[${tag}] Using YouTube API (yt-dlp unreliable for YouTube)`);
-      return await this.downloadYouTubeViaAPI(url, options);
-    }
-
-    if (retries > 0) {
-      return await this.downloadWithRetry(url, options);
-    }
+    const providers = this.getProviders(url);
+    logger.info(`[${tag}] Starting download from ${detectPlatform(url)} (${providers.map(p => p.name).join(' → ')})...`);
 
     await this.ensureTempDir();
 
-    let outPath = null;
-    
-    try {
-      // Get metadata first
-      const metadata = await this.getVideoInfo(url, { tag });
-      
-      // Generate filename
-      const username = sanitizeFilename(metadata.uploader || metadata.uploaderId || 'unknown_user');
-      let caption = shortenText(metadata.description || metadata.title || null, 200);
-
-      const dateTag = getDateTag();
-
-      // Use youtubeService for YouTube custom downloads
-      let args;
-      let fileExt = 'mp4';
-      let fileName; // Declare fileName in function scope
-
-      if (platform === 'youtube' && youtubeOptions && youtubeOptions.formatOptions) {
-        const youtubeService = require('./youtubeService');
-        const { formatOptions } = youtubeOptions;
-        fileExt = formatOptions.ext || 'mp4';
+    const result = await this.runProviders(url, providers, options);
 
-        fileName = `${username}_${dateTag}_${tag}.${fileExt}`;
-        outPath = path.join(this.tempDir, fileName);
-
-        logger.info(`[${tag}] Downloading YouTube with ${formatOptions.description}: ${fileName}`);
-
-        args = youtubeService.buildYtDlpArgs(url, outPath, formatOptions);
-      } else {
-        fileName = `${username}_${dateTag}_${tag}.mp4`;
-        outPath = path.join(this.tempDir, fileName);
-
-        logger.info(`[${tag}] Downloading with yt-dlp: ${fileName}`);
-
-        // Get platform-specific arguments
-        const platformArgs = this.getPlatformArgs(platform, url);
-        args = [
-          url,
-          ...platformArgs,
-          '-o', outPath,
-          '--progress',
-          '--newline'
-        ];
-      }
-
-      // Log the exact command for debugging
-      logger.debug(`[${tag}] yt-dlp download command: yt-dlp ${args.join(' ')}`);
-
-      // Execute yt-dlp
-      let lastYtDlpError = '';
-      let allStderr = '';
-      let allStdout = '';
-
-      const ytDlp = execFile('yt-dlp', args, {
-        timeout: CONFIG.DOWNLOAD.TIMEOUT,
-        maxBuffer: CONFIG.DOWNLOAD.MAX_BUFFER_SIZE
-      });
-
-      // Handle progress updates
-      let lastProgress = 0;
-      ytDlp.stdout.on('data', (data) => {
-        const output = data.toString();
-        allStdout += output; // Capture everything
-
-        const progressMatch = output.match(/\[(\d+\.?\d*)%\]/);
-        if (progressMatch && onProgress) {
-          const progress = parseFloat(progressMatch[1]);
-          if (progress > lastProgress) {
-            lastProgress = progress;
-            onProgress(Math.min(progress, 99));
-          }
-        }
-      });
-
-      // Capture ALL stderr output
-      ytDlp.stderr.on('data', (data) => {
-        const errorText = data.toString();
-        allStderr += errorText; // Capture everything
-
-        const trimmed = errorText.trim();
-        if (trimmed) {
-          lastYtDlpError = trimmed;
-
-          // Log ALL stderr for debugging (especially TikTok)
-          if (platform === 'tiktok') {
-            logger.info(`[${tag}] yt-dlp output: ${trimmed}`);
-          }
-        }
-
-        if (errorText.includes('ERROR')) {
-          logger.error(`[${tag}] yt-dlp ERROR:`, { error: trimmed });
-        }
-      });
+    const media = await this.applyClip(this.toMediaList(result), options, Boolean(result.clipped));
+    const captioned = await this.applySubtitles(url, media, options);
+    const animated = await this.applyAnimationRequest(captioned, options);
+    return this.applyAudioRequest(url, animated, options);
+  }
 
-      // Wait for completion
-      await new Promise((resolve, reject) => {
-        ytDlp.on('close', (code) => {
-          if (code === 0) {
-            logger.info(`[${tag}] yt-dlp process exited successfully (code 0)`);
-            resolve();
-          } else {
-            // Build detailed error with ALL captured output
-            const message = this.buildYtDlpErrorMessage(code, lastYtDlpError);
-            const err = new Error(message);
-
-            if (this.isPermanentYtDlpError(lastYtDlpError)) {
-              err.isPermanent = true;
-            }
+  /**
+   * Turn the video of a download into a GIF or animated WebP when one was requested
+   * A failed render keeps the video.
+   * @param {Object} result - Normalized download result
+   * @param {Object} options - Download options ({ downloadOptions, guildId, tag, signal })
+   * @returns {Object} Download result with the animation item
+   */
+  async applyAnimationRequest(result, options = {}) {
+    const { tag = 'unknown', signal } = options;
+    const format = resolveAnimationRequest(options);
+    const item = result.items.find(media => media.type === 'video');
 
-            err.rawOutput = lastYtDlpError;
-            err.exitCode = code;
-            err.fullStderr = allStderr;
-            err.fullStdout = allStdout;
-
-            // Log FULL details for debugging
-            logger.error(`[${tag}] yt-dlp failed with exit code ${code}`);
-            logger.error(`[${tag}] Last error: ${lastYtDlpError || 'none'}`);
-            logger.error(`[${tag}] Full stderr (last 500 chars): ${allStderr.slice(-500) || 'none'}`);
-            if (allStdout) {
-              logger.debug(`[${tag}] Full stdout (last 200 chars): ${allStdout.slice(-200)}`);
-            }
+    if (!format || !item) {
+      return result;
+    }
 
-            reject(err);
-          }
-        });
+    if (result.metadata?.duration > CONFIG.ANIMATION.MAX_SECONDS) {
+      logger.info(`[${tag}] ${result.metadata.duration}s video, the ${format.toUpperCase()} keeps the first ${CONFIG.ANIMATION.MAX_SECONDS}s`);
+    }
 
-        ytDlp.on('error', (err) => {
-          logger.error(`[${tag}] yt-dlp process error:`, {
-            error: err.message,
-            code: err.code,
-            stderr: allStderr.slice(-500) || 'none'
-          });
-          reject(err);
-        });
+    let animation;
+    try {
+      animation = await mediaProcessor.makeAnimation(item, format, {
+        tag,
+        limitBytes: guildSettingsService.getUploadLimit(options.guildId),
+        signal
       });
-
-      logger.debug(`[${tag}] Verifying downloaded file: ${outPath}`);
-
-      // Verify file exists and has content
-      if (!fsSync.existsSync(outPath)) {
-        throw new Error('Downloaded file not found');
-      }
-      
-      const stats = fsSync.statSync(outPath);
-      if (stats.size === 0) {
-        throw new Error('Downloaded file is empty');
-      }
-      
-      logger.info(`[${tag}] ✅ Download completed: ${fileName} (${(stats.size/1024/1024).toFixed(2)}MB)`);
-      
-      if (onProgress) onProgress(100);
-      
-      return {
-        path: outPath,
-        size: stats.size,
-        filename: fileName,
-        platform: platform,
-        metadata: {
-          uploader: username,
-          caption: caption,
-          resolution: metadata.resolution
-        }
-      };
-
     } catch (error) {
-      // Enhanced error logging to capture full details
-      logger.error(`[${tag}] yt-dlp download failed: ${error.message || 'Unknown error'}`);
-      logger.error(`[${tag}] Error code: ${error.code || error.exitCode || 'N/A'}`);
-      logger.error(`[${tag}] Is permanent: ${error.isPermanent || false}`);
-
-      // Log full stderr/stdout if available
-      if (error.fullStderr) {
-        logger.error(`[${tag}] Full stderr (last 1000 chars):\n${error.fullStderr.slice(-1000)}`);
-      }
-      if (error.fullStdout) {
-        logger.error(`[${tag}] Full stdout (last 500 chars):\n${error.fullStdout.slice(-500)}`);
-      }
-      if (error.rawOutput) {
-        logger.error(`[${tag}] Raw output: ${error.rawOutput}`);
-      }
-      
-      // Clean up failed download
-      if (outPath && fsSync.existsSync(outPath)) {
-        try {
-          await fs.unlink(outPath);
-        } catch (cleanupError) {
-          logger.debug(`[${tag}] Failed to cleanup:`, { error: cleanupError.message });
-        }
+      if (error.isCancelled) {
+        await Promise.all(result.items.map(media => this.cleanup(media.path)));
+        throw error;
       }
-      
-      // Try fallback APIs for supported platforms
-      if (platform === 'tiktok') {
-        logger.info(`[${tag}] 🔄 Switching to TikTok API fallback...`);
-        return await this.downloadTikTokViaAPI(url, options);
-      } else if (platform === 'youtube') {
-        logger.info(`[${tag}] 🔄 Switching to YouTube API fallback...`);
-        return await this.downloadYouTubeViaAPI(url, options);
-      } else if (platform === 'instagram' && CONFIG.API.RAPIDAPI_KEY) {
-        logger.info(`[${tag}] 🔄 Switching to Instagram API fallback...`);
-        return await this.downloadInstagramViaAPI(url, options);
-      }
-      
-      throw error;
+      logger.warn(`[${tag}] ${format.toUpperCase()} rendering failed, uploading ${item.filename}: ${error.message}`);
+      return result;
     }
-  }
 
-  /**
-   * Download with retry logic
-   * @param {string} url - Video URL
-   * @param {Object} options - Download options
-   * @returns {Object} Download result
-   */
-  async downloadWithRetry(url, options = {}) {
-    const { tag = 'unknown', retries = CONFIG.DOWNLOAD.MAX_RETRIES } = options;
-    const platform = detectPlatform(url);
-    
-    return await retryWithBackoff(
-      async () => {
-        return await this.downloadVideo(url, { ...options, retries: 0 });
-      },
-      retries,
-      1000
-    ).catch(async (error) => {
-      // Try API fallback as last resort
-      if (platform === 'tiktok') {
-        try {
-          return await this.downloadTikTokViaAPI(url, options);
-        } catch (apiError) {
-          logger.error(`[${tag}] All download methods failed`);
-          throw error; // Throw original error
-        }
-      } else if (platform === 'youtube') {
-        try {
-          return await this.downloadYouTubeViaAPI(url, options);
-        } catch (apiError) {
-          logger.error(`[${tag}] All download methods failed`);
-          throw error;
-        }
-      } else if (platform === 'instagram' && CONFIG.API.RAPIDAPI_KEY) {
-        try {
-          return await this.downloadInstagramViaAPI(url, options);
-        } catch (apiError) {
-          logger.error(`[${tag}] All download methods failed`);
-          throw error;
-        }
-      }
-      throw error;
-    });
+    // Only the animation is posted, the rest of a carousel is dropped
+    await Promise.all(result.items
+      .filter(media => media !== item)
+      .map(media => this.cleanup(media.path)));
+
+    return {
+      ...result,
+      items: [animation],
+      size: animation.size,
+      metadata: { ...result.metadata, resolution: format.toUpperCase() }
+    };
   }
 
   /**
-   * Get platform-specific yt-dlp arguments
-   * @param {string} platform - Platform name
-   * @param {string} url - Video URL
-   * @returns {Array} yt-dlp arguments
+   * Cut the requested time range when the provider downloaded the whole video
+   * (API fallbacks can't download a section). Caption files are always shifted
+   * to the clip, yt-dlp downloads them in full. A failed cut keeps the full file.
+   * @param {Object} result - Normalized download result
+   * @param {Object} options - Download options ({ clip, tag, signal })
+   * @param {boolean} mediaClipped - Whether the provider already downloaded only the clip
+   * @returns {Object} Download result with the clipped items
    */
-  getPlatformArgs(platform, url) {
-    const formatList = CONFIG.FORMATS[platform] || CONFIG.FORMATS.default;
-    const formatString = formatList.join('/');
-    const impersonateTarget = CONFIG.IMPERSONATE_TARGETS[platform] || CONFIG.IMPERSONATE_TARGETS.default;
-
-    const baseArgs = [
-      '--format', formatString,
-      '--no-playlist',
-      '--socket-timeout', '60',
-      '--retries', '10',
-      '--fragment-retries', '20',
-      '--add-header', 'Accept:*/*',
-      '--add-header', 'Accept-Language:en-US,en;q=0.9',
-      '--merge-output-format', 'mp4',
-      '--concurrent-fragments', platform === 'snapchat' ? '3' : '32', // ✅ Increased for 1Gbps
-      '--buffer-size', '32K', // ✅ Larger buffer for fast network
-      '--no-part'
-    ];
-
-    // Skip impersonate - not supported by this yt-dlp build
-
-    // Platform-specific arguments
-    switch (platform) {
-      case 'tiktok':
-        baseArgs.push(
-          '--verbose',  // ✅ Enable verbose output for debugging
-          '--referer', 'https://www.tiktok.com/',
-          '--no-check-certificates',
-          '--http-chunk-size', '10M'
-        );
-        break;
-        
-      case 'instagram':
-        baseArgs.push('--referer', 'https://www.instagram.com/');
-        break;
-        
-      case 'youtube':
-        baseArgs.push(
-          '--no-playlist',
-          '--prefer-free-formats',
-          '--extractor-args', 'youtube:player_client=default,web',  // ✅ Bypass bot detection
-          '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36'
-        );
-        break;
-        
-      case 'snapchat':
-        baseArgs.push(
-          '--http-chunk-size', '5M',
-          '--retries', '10',
-          '--fragment-retries', '25',
-          '--socket-timeout', '90',
-          '--geo-bypass',
-          '--no-check-certificates'
-        );
-        break;
-    }
+  async applyClip(result, options = {}, mediaClipped = false) {
+    const { clip, tag = 'unknown', signal } = options;
+    const media = result.items.filter(item => item.type === 'video' || item.type === 'audio');
 
-    // Add cookies if available (but skip for TikTok - works without cookies)
-    if (platform !== 'tiktok') {
-      const cookiePath = CONFIG.PATHS.COOKIES[platform];
-      if (cookiePath && fsSync.existsSync(cookiePath)) {
-        baseArgs.push('--cookies', cookiePath);
-      }
+    if (!clip || media.length !== 1) {
+      return result;
     }
 
-    return baseArgs;
-  }
-
-  /**
-   * Download TikTok via API fallback
-   * @param {string} url - TikTok URL
-   * @param {Object} options - Download options
-   * @returns {Object} Download result
-   */
-  async downloadTikTokViaAPI(url, options = {}) {
-    const { tag = 'unknown' } = options;
-    
+    const items = [];
     try {
-      logger.info(`[${tag}] 🔄 Trying TikTok API fallback (tikwm.com)...`);
-      
-      const response = await axios.post('https://www.tikwm.com/api/', {
-        url: url,
-        hd: 1
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        },
-        timeout: 30000
-      });
-      
-      if (response.data.code === 0 && response.data.data?.play) {
-        const videoUrl = response.data.data.play;
-        const username = response.data.data.author?.unique_id || 'tiktok_user';
-        const caption = response.data.data.title || null;
-        
-        const dateTag = getDateTag();
-        const fileName = `${sanitizeFilename(username)}_${dateTag}_${tag}.mp4`;
-        const outPath = path.join(this.tempDir, fileName);
-        
-        await this.ensureTempDir();
-        
-        // Download video file
-        logger.info(`[${tag}] Downloading from API: ${fileName}`);
-        
-        const writer = fsSync.createWriteStream(outPath);
-        const videoResponse = await axios({
-          url: videoUrl,
-          method: 'GET',
-          responseType: 'stream',
-          timeout: CONFIG.DOWNLOAD.TIMEOUT,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          }
-        });
-        
-        videoResponse.data.pipe(writer);
-        
-        await new Promise((resolve, reject) => {
-          writer.on('finish', resolve);
-          writer.on('error', reject);
-        });
-        
-        // Verify download
-        if (!fsSync.existsSync(outPath)) {
-          throw new Error('API download failed - file not created');
-        }
-        
-        const stats = fsSync.statSync(outPath);
-        if (stats.size === 0) {
-          throw new Error('API download failed - empty file');
-        }
-        
-        logger.info(`[${tag}] ✅ Downloaded via TikTok API: ${fileName} (${(stats.size/1024/1024).toFixed(2)}MB)`);
-        
-        return {
-          path: outPath,
-          size: stats.size,
-          filename: fileName,
-          platform: 'tiktok',
-          metadata: {
-            uploader: username,
-            caption: caption,
-            resolution: '720p'
-          }
-        };
+      for (const item of result.items) {
+        const cut = item.type === 'subtitle' || (item === media[0] && !mediaClipped);
+        items.push(cut ? await this.cutItem(item, clip, tag, signal) : item);
       }
-      
-      throw new Error('TikTok API returned invalid response');
-
     } catch (error) {
-      const apiError = this.normalizeApiError(error, 'TikTok API fallback failed');
-      logger.error(`[${tag}] TikTok API fallback failed:`, { error: apiError.message });
-      throw apiError;
+      // Cancelled - nothing downstream knows about these files yet
+      await Promise.all([...result.items, ...items].map(item => this.cleanup(item.path)));
+      throw error;
     }
+
+    const clipEnd = Math.min(clip.end, result.metadata?.duration || clip.end);
+
+    return {
+      ...result,
+      items,
+      size: items.reduce((sum, item) => sum + item.size, 0),
+      metadata: { ...result.metadata, duration: mediaClipped ? result.metadata?.duration : clipEnd - clip.start }
+    };
   }
 
   /**
-   * Download YouTube via API (primary method - yt-dlp unreliable)
-   * @param {string} url - YouTube URL
-   * @param {Object} options - Download options
-   * @returns {Object} Download result
+   * Cut the clip range out of one media item
+   * @param {Object} item - Media item ({ path, size, filename, type })
+   * @param {Object} clip - { start, end } in seconds
+   * @param {string} tag - Download tag for logging
+   * @param {AbortSignal} signal - Download cancel signal
+   * @returns {Object} Clipped item (the original item when the cut fails)
    */
-  async downloadYouTubeViaAPI(url, options = {}) {
-    const { tag = 'unknown', youtubeOptions } = options;
-
-    // Determine quality and format
-    let isAudioOnly = false;
-    let quality = '720'; // Default to 720p
-
-    if (youtubeOptions && youtubeOptions.quality) {
-      isAudioOnly = youtubeOptions.quality === 'audio';
-      const qualityMap = {
-        '720p': '720',
-        '1080p': '1080',
-        '1440p': '1440',
-        '2160p': '2160',
-        'best': '1080'
-      };
-      quality = qualityMap[youtubeOptions.quality] || '720';
-    }
-
-    // Try multiple APIs in order (only working APIs)
-    const apis = [
-      { name: 'vidfly.ai', fn: () => this.downloadYouTubeViaVidfly(url, tag, quality, isAudioOnly) },
-      { name: 'RapidAPI', fn: () => this.downloadYouTubeViaRapidAPI(url, tag, quality, isAudioOnly) }
-      // yt5s.io, y2mate.nu, loader.to all return 404/400 errors - removed
-    ];
+  async cutItem(item, clip, tag, signal) {
+    const ext = item.type === 'video' ? 'mp4' : path.extname(item.path).slice(1);
+    const outPath = item.path.replace(/\.[^.]+$/, `_clip.${ext}`);
 
-    let lastError = null;
+    logger.info(`[${tag}] ✂️ Cutting ${clip.start}s-${clip.end}s from ${item.filename}...`);
 
-    for (const api of apis) {
-      try {
-        logger.info(`[${tag}] 🔄 Trying YouTube API (${api.name})...`);
-        const result = await api.fn();
-        logger.info(`[${tag}] ✅ Downloaded via ${api.name}: ${result.filename} (${(result.size/1024/1024).toFixed(2)}MB)`);
-        return result;
-      } catch (error) {
-        logger.warn(`[${tag}] ${api.name} failed: ${error.message}`);
-        lastError = error;
-        continue;
-      }
+    try {
+      await mediaProcessor.cutClip(item.path, outPath, clip, item.type, signal);
+    } catch (error) {
+      if (error.isCancelled) throw error;
+      logger.warn(`[${tag}] ffmpeg cut failed, uploading ${item.filename} in full: ${error.message}`);
+      return item;
     }
 
-    // All APIs failed
-    const apiError = this.normalizeApiError(lastError, 'All YouTube APIs failed');
-    logger.error(`[${tag}] All YouTube APIs failed`);
-    throw apiError;
+    await this.cleanup(item.path);
+    const stats = await fs.stat(outPath);
+
+    return {
+      path: outPath,
+      size: stats.size,
+      filename: item.filename.replace(/\.[^.]+$/, `.${ext}`),
+      type: item.type
+    };
   }
 
   /**
-   * Download YouTube via vidfly.ai API (fastest and most reliable)
+   * Attach or burn in captions when /download asked for them
+   * Providers other than yt-dlp don't fetch captions, so they are looked up
+   * separately. Videos without captions in that language are sent without.
+   * @param {string} url - Video URL
+   * @param {Object} result - Normalized download result
+   * @param {Object} options - Download options ({ downloadOptions, clip, tag, signal })
+   * @returns {Object} Download result with the caption file or the captioned video
    */
-  async downloadYouTubeViaVidfly(url, tag, quality, isAudioOnly) {
-    try {
-      // Extract video ID
-      const videoId = url.match(/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/)?.[1];
-      if (!videoId) {
-        throw new Error('Invalid YouTube URL');
-      }
+  async applySubtitles(url, result, options = {}) {
+    const { tag = 'unknown', signal } = options;
+    const request = options.downloadOptions?.subtitles;
+    const video = result.items.find(item => item.type === 'video');
 
-      // Get video data from vidfly.ai
-      const response = await axios.get('https://api.vidfly.ai/api/media/youtube/download', {
-        params: { url },
-        headers: {
-          'accept': '*/*',
-          'accept-language': 'en-US,en;q=0.9',
-          'content-type': 'application/json',
-          'origin': 'https://vidfly.ai',
-          'referer': 'https://vidfly.ai/',
-          'sec-ch-ua': '"Google Chrome";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
-          'sec-ch-ua-mobile': '?0',
-          'sec-ch-ua-platform': '"Windows"',
-          'sec-fetch-dest': 'empty',
-          'sec-fetch-mode': 'cors',
-          'sec-fetch-site': 'same-site',
-          'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-          'x-app-name': 'vidfly-web',
-          'x-app-version': '1.0.0'
-        },
-        timeout: 30000
-      });
-
-      // Debug logging
-      logger.debug(`[${tag}] vidfly.ai response status: ${response.data?.status || 'unknown'}`);
-      logger.debug(`[${tag}] vidfly.ai has data: ${!!response.data?.data}`);
-
-      if (!response.data || response.data.status === 'error') {
-        throw new Error(response.data?.message || 'vidfly.ai returned error');
-      }
-
-      if (!response.data.data) {
-        throw new Error('vidfly.ai returned invalid response structure');
-      }
-
-      const data = response.data.data;
-      const title = data.title || 'video';
-
-      // vidfly.ai uses "items" not "formats"
-      const items = data.items || [];
-      logger.debug(`[${tag}] vidfly.ai items available: ${items.length}`);
-
-      if (items.length === 0) {
-        logger.error(`[${tag}] vidfly.ai response structure: ${JSON.stringify(data, null, 2).substring(0, 500)}`);
-        throw new Error('No items found in vidfly.ai response');
-      }
-
-      // Find best quality video
-      let downloadUrl;
-      const requestedHeight = parseInt(quality);
-      logger.debug(`[${tag}] Requested quality: ${quality}p (height: ${requestedHeight}), Audio only: ${isAudioOnly}`);
-
-      // Filter items with video
-      const videoItems = items.filter(item => item.type?.includes('video') || item.height);
-
-      if (videoItems.length > 0) {
-        // Try to find exact quality match by height
-        let selectedItem = videoItems.find(item => item.height === requestedHeight);
-
-        // If not found, get closest or best quality
-        if (!selectedItem) {
-          // Sort by height descending (best quality first)
-          videoItems.sort((a, b) => (b.height || 0) - (a.height || 0));
-          selectedItem = videoItems[0];
-          logger.debug(`[${tag}] Using fallback quality: ${selectedItem.height}p (${selectedItem.label})`);
-        } else {
-          logger.debug(`[${tag}] Found exact match: ${selectedItem.height}p (${selectedItem.label})`);
-        }
-
-        downloadUrl = selectedItem.url;
-      }
+    if (!request || !video) {
+      return result;
+    }
 
-      if (!downloadUrl) {
-        logger.error(`[${tag}] vidfly.ai response structure: ${JSON.stringify(data, null, 2).substring(0, 500)}`);
-        throw new Error('No suitable download link found');
+    let withCaptions = result;
+    if (!result.items.some(item => item.type === 'subtitle')) {
+      const subtitle = await this.fetchSubtitleItem(url, request.lang, tag, signal);
+      if (!subtitle) {
+        return result;
       }
+      withCaptions = await this.applyClip({ ...result, items: [...result.items, subtitle] }, options, true);
+    }
 
-      // Download the file
-      const dateTag = getDateTag();
-      const tempExt = 'mp4'; // Always download as MP4 first
-      const finalExt = isAudioOnly ? 'mp3' : 'mp4';
-      const tempFileName = `${sanitizeFilename(title)}_${dateTag}_${tag}_temp.${tempExt}`;
-      const finalFileName = `${sanitizeFilename(title)}_${dateTag}_${tag}.${finalExt}`;
-      const tempPath = path.join(this.tempDir, tempFileName);
-      const finalPath = path.join(this.tempDir, finalFileName);
-
-      await this.ensureTempDir();
-
-      logger.info(`[${tag}] Downloading from vidfly.ai: ${tempFileName}`);
-
-      const writer = fsSync.createWriteStream(tempPath);
-      const videoResponse = await axios({
-        url: downloadUrl,
-        method: 'GET',
-        responseType: 'stream',
-        timeout: CONFIG.DOWNLOAD.TIMEOUT,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
-
-      videoResponse.data.pipe(writer);
-
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
-      });
+    const subtitle = withCaptions.items.find(item => item.type === 'subtitle');
+    if (!request.burn) {
+      return withCaptions;
+    }
 
-      // Verify download
-      if (!fsSync.existsSync(tempPath)) {
-        throw new Error('Download failed - file not created');
-      }
+    const outPath = video.path.replace(/\.[^.]+$/, '_subs.mp4');
+    logger.info(`[${tag}] 💬 Burning ${request.lang} captions into ${video.filename}...`);
 
-      const tempStats = fsSync.statSync(tempPath);
-      if (tempStats.size === 0) {
-        throw new Error('Download failed - empty file');
+    try {
+      await mediaProcessor.burnSubtitles(video.path, subtitle.path, outPath, signal);
+    } catch (error) {
+      if (error.isCancelled) {
+        await Promise.all(withCaptions.items.map(item => this.cleanup(item.path)));
+        throw error;
       }
+      logger.warn(`[${tag}] Burning captions failed, attaching ${subtitle.filename} instead: ${error.message}`);
+      return withCaptions;
+    }
 
-      // If audio only, extract audio using ffmpeg
-      if (isAudioOnly) {
-        logger.info(`[${tag}] Extracting audio to MP3...`);
-
-        try {
-          const { execFile } = require('child_process');
-          const { promisify } = require('util');
-          const execFileAsync = promisify(execFile);
-
-          await execFileAsync('ffmpeg', [
-            '-i', tempPath,
-            '-vn', // No video
-            '-ar', '44100', // Audio sample rate
-            '-ac', '2', // Audio channels
-            '-b:a', '192k', // Audio bitrate
-            '-f', 'mp3',
-            finalPath
-          ], { timeout: 120000 });
-
-          // Delete temp video file
-          await fs.unlink(tempPath);
-
-          // Verify MP3 file
-          if (!fsSync.existsSync(finalPath)) {
-            throw new Error('MP3 extraction failed - file not created');
-          }
-
-          const finalStats = fsSync.statSync(finalPath);
-          if (finalStats.size === 0) {
-            throw new Error('MP3 extraction failed - empty file');
-          }
-
-          logger.info(`[${tag}] ✅ Audio extracted: ${finalFileName} (${(finalStats.size/1024/1024).toFixed(2)}MB)`);
-
-          return {
-            path: finalPath,
-            size: finalStats.size,
-            filename: finalFileName,
-            platform: 'youtube',
-            metadata: {
-              uploader: data.author || 'youtube',
-              caption: data.description || null,
-              resolution: 'audio'
-            }
-          };
-
-        } catch (ffmpegError) {
-          logger.warn(`[${tag}] ffmpeg extraction failed: ${ffmpegError.message}, using video file`);
-
-          // Clean up temp file if it still exists
-          if (fsSync.existsSync(tempPath)) {
-            await fs.rename(tempPath, finalPath);
-          }
+    await Promise.all([video, subtitle].map(item => this.cleanup(item.path)));
+    const stats = await fs.stat(outPath);
+    const burned = {
+      path: outPath,
+      size: stats.size,
+      filename: video.filename.replace(/\.[^.]+$/, '.mp4'),
+      type: 'video'
+    };
+    const items = withCaptions.items
+      .filter(item => item !== subtitle)
+      .map(item => (item === video ? burned : item));
+
+    return {
+      ...withCaptions,
+      items,
+      size: items.reduce((sum, item) => sum + item.size, 0)
+    };
+  }
 
-          const fallbackStats = fsSync.statSync(finalPath);
-
-          return {
-            path: finalPath,
-            size: fallbackStats.size,
-            filename: finalFileName.replace('.mp3', '.mp4'),
-            platform: 'youtube',
-            metadata: {
-              uploader: data.author || 'youtube',
-              caption: data.description || null,
-              resolution: quality + 'p'
-            }
-          };
-        }
-      } else {
-        // Video download - just rename temp to final
-        await fs.rename(tempPath, finalPath);
-        const finalStats = fsSync.statSync(finalPath);
-
-        return {
-          path: finalPath,
-          size: finalStats.size,
-          filename: finalFileName,
-          platform: 'youtube',
-          metadata: {
-            uploader: data.author || 'youtube',
-            caption: data.description || null,
-            resolution: quality + 'p'
-          }
-        };
+  /**
+   * Fetch captions for a download that came without them
+   * @param {string} url - Video URL
+   * @param {string} lang - Language code
+   * @param {string} tag - Download tag for logging
+   * @param {AbortSignal} signal - Download cancel signal
+   * @returns {Object|null} Subtitle media item or null when there are none
+   */
+  async fetchSubtitleItem(url, lang, tag, signal) {
+    try {
+      const subtitle = await providerRegistry.get('ytdlp').fetchSubtitles(url, lang, { tag, signal });
+      if (!subtitle) {
+        logger.info(`[${tag}] No ${lang} captions for this video`);
+        return null;
       }
-
+      return { ...subtitle, type: 'subtitle' };
     } catch (error) {
-      throw new Error(`vidfly.ai: ${error.message}`);
+      throwIfCancelled(signal);
+      logger.warn(`[${tag}] Caption lookup failed: ${error.message}`);
+      return null;
     }
   }
 
   /**
-   * Download YouTube via RapidAPI
+   * Turn a download into tagged audio when audio was requested (any platform)
+   * Title, artist and cover art come from the provider metadata. A failed
+   * conversion keeps the downloaded file.
+   * @param {string} url - Video URL
+   * @param {Object} result - Normalized download result
+   * @param {Object} options - Download options
+   * @returns {Object} Download result with audio items
    */
-  async downloadYouTubeViaRapidAPI(url, tag, quality, isAudioOnly) {
-    if (!CONFIG.API.RAPIDAPI_KEY) {
-      throw new Error('RapidAPI key not configured');
-    }
-
-    try {
-      // Extract video ID
-      const videoId = url.match(/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/)?.[1];
-      if (!videoId) {
-        throw new Error('Invalid YouTube URL');
-      }
-
-      logger.info(`[${tag}] Fetching video info from RapidAPI...`);
-
-      // Try YouTube Media Downloader API
-      const response = await axios.get('https://youtube-media-downloader.p.rapidapi.com/v2/video/details', {
-        params: { videoId },
-        headers: {
-          'x-rapidapi-host': 'youtube-media-downloader.p.rapidapi.com',
-          'x-rapidapi-key': CONFIG.API.RAPIDAPI_KEY
-        },
-        timeout: 30000
-      });
-
-      if (!response.data || !response.data.videos) {
-        throw new Error('RapidAPI returned invalid response');
-      }
-
-      const data = response.data;
-      const title = data.title || 'video';
-      const videos = data.videos || [];
-
-      let downloadUrl;
-      const requestedHeight = parseInt(quality);
-
-      logger.debug(`[${tag}] RapidAPI available formats: ${videos.length}`);
-
-      if (isAudioOnly) {
-        // Try to find audio-only format
-        const audioFormats = videos.filter(v => v.type === 'audio' || v.mimeType?.includes('audio'));
-        if (audioFormats.length > 0) {
-          downloadUrl = audioFormats[0].url;
-        } else {
-          // Fallback to lowest quality video
-          videos.sort((a, b) => (a.height || 9999) - (b.height || 9999));
-          downloadUrl = videos[0].url;
-        }
-      } else {
-        // Find video with requested quality
-        const videoFormats = videos.filter(v => v.height && v.url);
-
-        // Try exact match
-        let selectedFormat = videoFormats.find(v => v.height === requestedHeight);
+  async applyAudioRequest(url, result, options = {}) {
+    const { tag = 'unknown', signal } = options;
+    const request = resolveAudioRequest(options, guildSettingsService.get(options.guildId));
 
-        // Fallback to closest or best
-        if (!selectedFormat && videoFormats.length > 0) {
-          videoFormats.sort((a, b) => Math.abs(a.height - requestedHeight) - Math.abs(b.height - requestedHeight));
-          selectedFormat = videoFormats[0];
-          logger.debug(`[${tag}] Using closest quality: ${selectedFormat.height}p`);
-        }
-
-        if (selectedFormat) {
-          downloadUrl = selectedFormat.url;
-        }
-      }
-
-      if (!downloadUrl) {
-        throw new Error('No suitable download format found');
-      }
-
-      // Download the file
-      const dateTag = getDateTag();
-      const tempExt = 'mp4';
-      const finalExt = isAudioOnly ? 'mp3' : 'mp4';
-      const tempFileName = `${sanitizeFilename(title)}_${dateTag}_${tag}_temp.${tempExt}`;
-      const finalFileName = `${sanitizeFilename(title)}_${dateTag}_${tag}.${finalExt}`;
-      const tempPath = path.join(this.tempDir, tempFileName);
-      const finalPath = path.join(this.tempDir, finalFileName);
-
-      await this.ensureTempDir();
-
-      logger.info(`[${tag}] Downloading from RapidAPI: ${tempFileName}`);
+    if (!request) {
+      return result;
+    }
 
-      const writer = fsSync.createWriteStream(tempPath);
-      const videoResponse = await axios({
-        url: downloadUrl,
-        method: 'GET',
-        responseType: 'stream',
-        timeout: CONFIG.DOWNLOAD.TIMEOUT,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
+    const media = result.items.filter(item => item.type === 'video' || item.type === 'audio');
+    if (media.length === 0) {
+      return result;
+    }
 
-      videoResponse.data.pipe(writer);
+    const metadata = result.metadata || {};
+    const tags = {
+      title: metadata.title || shortenText(metadata.caption, 100) || 'audio',
+      artist: metadata.uploader || null
+    };
+    const coverPath = await this.downloadCover(url, metadata, media[0].path, signal);
 
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
-      });
+    logger.info(`[${tag}] Extracting audio to ${request.format.toUpperCase()} ${request.bitrate}k...`);
 
-      // Verify download
-      if (!fsSync.existsSync(tempPath)) {
-        throw new Error('Download failed - file not created');
+    const items = [];
+    try {
+      for (const item of media) {
+        items.push(await this.convertItemToAudio(item, request, { tags, coverPath }, tag, signal));
       }
-
-      const tempStats = fsSync.statSync(tempPath);
-      if (tempStats.size === 0) {
-        throw new Error('Download failed - empty file');
+    } catch (error) {
+      // Cancelled - nothing downstream knows about these files yet
+      await Promise.all([...result.items, ...items].map(item => fs.unlink(item.path).catch(() => {})));
+      throw error;
+    } finally {
+      if (coverPath) {
+        await fs.unlink(coverPath).catch(() => {});
       }
+    }
 
-      // If audio only, extract audio using ffmpeg
-      if (isAudioOnly) {
-        logger.info(`[${tag}] Extracting audio to MP3...`);
-
-        try {
-          const { execFile } = require('child_process');
-          const { promisify } = require('util');
-          const execFileAsync = promisify(execFile);
-
-          await execFileAsync('ffmpeg', [
-            '-i', tempPath,
-            '-vn', // No video
-            '-ar', '44100', // Audio sample rate
-            '-ac', '2', // Audio channels
-            '-b:a', '192k', // Audio bitrate
-            '-f', 'mp3',
-            finalPath
-          ], { timeout: 120000 });
-
-          // Delete temp video file
-          await fs.unlink(tempPath);
-
-          const finalStats = fsSync.statSync(finalPath);
-
-          logger.info(`[${tag}] ✅ Audio extracted: ${finalFileName} (${(finalStats.size/1024/1024).toFixed(2)}MB)`);
-
-          return {
-            path: finalPath,
-            size: finalStats.size,
-            filename: finalFileName,
-            platform: 'youtube',
-            metadata: {
-              uploader: data.author || 'youtube',
-              caption: data.description || null,
-              resolution: 'audio'
-            }
-          };
-
-        } catch (ffmpegError) {
-          logger.warn(`[${tag}] ffmpeg extraction failed, using video file: ${ffmpegError.message}`);
-
-          if (fsSync.existsSync(tempPath)) {
-            await fs.rename(tempPath, finalPath);
-          }
+    // Images of a carousel are dropped from an audio download
+    await Promise.all(result.items
+      .filter(item => !media.includes(item))
+      .map(item => this.cleanup(item.path)));
 
-          const fallbackStats = fsSync.statSync(finalPath);
-
-          return {
-            path: finalPath,
-            size: fallbackStats.size,
-            filename: finalFileName.replace('.mp3', '.mp4'),
-            platform: 'youtube',
-            metadata: {
-              uploader: data.author || 'youtube',
-              caption: data.description || null,
-              resolution: quality + 'p'
-            }
-          };
-        }
-      } else {
-        // Video download - just rename temp to final
-        await fs.rename(tempPath, finalPath);
-        const finalStats = fsSync.statSync(finalPath);
-
-        return {
-          path: finalPath,
-          size: finalStats.size,
-          filename: finalFileName,
-          platform: 'youtube',
-          metadata: {
-            uploader: data.author || 'youtube',
-            caption: data.description || null,
-            resolution: quality + 'p'
-          }
-        };
+    return {
+      ...result,
+      items,
+      size: items.reduce((sum, item) => sum + item.size, 0),
+      metadata: {
+        ...metadata,
+        resolution: items.every(item => item.type === 'audio') ? 'audio' : metadata.resolution
       }
-
-    } catch (error) {
-      throw new Error(`RapidAPI: ${error.message}`);
-    }
+    };
   }
 
   /**
-   * Download YouTube via yt5s.io API
+   * Convert (or just tag) one media item as the requested audio format
+   * @param {Object} item - Media item ({ path, size, filename, type })
+   * @param {Object} request - { format, bitrate } from resolveAudioRequest()
+   * @param {Object} extras - { tags, coverPath }
+   * @param {string} tag - Download tag for logging
+   * @param {AbortSignal} signal - Download cancel signal
+   * @returns {Object} Audio item (the original item when conversion fails)
    */
-  async downloadYouTubeViaYt5s(url, tag, quality, isAudioOnly) {
-    try {
-      // Extract video ID
-      const videoId = url.match(/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/)?.[1];
-      if (!videoId) {
-        throw new Error('Invalid YouTube URL');
-      }
-
-      // Get download links
-      const analyzeResponse = await axios.post('https://yt5s.io/api/ajaxSearch',
-        `q=${encodeURIComponent(url)}&vt=${isAudioOnly ? 'mp3' : 'mp4'}`,
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          },
-          timeout: 30000
-        }
-      );
-
-      if (analyzeResponse.data.status !== 'ok') {
-        throw new Error('yt5s.io analyze failed');
-      }
-
-      // Find best quality link
-      const links = analyzeResponse.data.links;
-      let downloadKey;
-
-      if (isAudioOnly && links.mp3) {
-        // Get best audio quality
-        const audioQualities = Object.keys(links.mp3);
-        downloadKey = links.mp3[audioQualities[0]]?.k;
-      } else if (links.mp4) {
-        // Get requested video quality or best available
-        const videoQualities = Object.keys(links.mp4);
-        const requestedQuality = quality + 'p';
-
-        if (links.mp4[requestedQuality]) {
-          downloadKey = links.mp4[requestedQuality].k;
-        } else {
-          // Fallback to best available
-          downloadKey = links.mp4[videoQualities[0]]?.k;
-        }
-      }
-
-      if (!downloadKey) {
-        throw new Error('No suitable download link found');
-      }
-
-      // Convert the download key
-      const convertResponse = await axios.post('https://yt5s.io/api/ajaxConvert',
-        `vid=${videoId}&k=${downloadKey}`,
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          },
-          timeout: 60000
-        }
-      );
+  async convertItemToAudio(item, request, extras, tag, signal) {
+    const outPath = item.path.replace(/\.[^.]+$/, `_audio.${request.format}`);
+    const copyAudio = item.type === 'audio' && path.extname(item.path).slice(1) === request.format;
 
-      if (convertResponse.data.status !== 'ok' || !convertResponse.data.dlink) {
-        throw new Error('yt5s.io convert failed');
-      }
-
-      const downloadUrl = convertResponse.data.dlink;
-      const title = analyzeResponse.data.title || 'video';
-
-      // Download the file
-      const dateTag = getDateTag();
-      const ext = isAudioOnly ? 'mp3' : 'mp4';
-      const fileName = `${sanitizeFilename(title)}_${dateTag}_${tag}.${ext}`;
-      const outPath = path.join(this.tempDir, fileName);
-
-      await this.ensureTempDir();
-
-      logger.info(`[${tag}] Downloading from yt5s.io: ${fileName}`);
-
-      const writer = fsSync.createWriteStream(outPath);
-      const videoResponse = await axios({
-        url: downloadUrl,
-        method: 'GET',
-        responseType: 'stream',
-        timeout: CONFIG.DOWNLOAD.TIMEOUT,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
-
-      videoResponse.data.pipe(writer);
-
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
+    try {
+      await mediaProcessor.extractAudioTrack(item.path, outPath, request.format, signal, {
+        ...extras,
+        bitrate: request.bitrate,
+        copyAudio
       });
-
-      // Verify download
-      if (!fsSync.existsSync(outPath)) {
-        throw new Error('Download failed - file not created');
-      }
-
-      const stats = fsSync.statSync(outPath);
-      if (stats.size === 0) {
-        throw new Error('Download failed - empty file');
-      }
-
-      return {
-        path: outPath,
-        size: stats.size,
-        filename: fileName,
-        platform: 'youtube',
-        metadata: {
-          uploader: 'youtube',
-          caption: null,
-          resolution: isAudioOnly ? 'audio' : quality + 'p'
-        }
-      };
-
     } catch (error) {
-      throw new Error(`yt5s.io: ${error.message}`);
+      if (error.isCancelled) throw error;
+      logger.warn(`[${tag}] ffmpeg extraction failed, using ${item.filename}: ${error.message}`);
+      return item;
     }
+
+    await this.cleanup(item.path);
+    const stats = await fs.stat(outPath);
+
+    return {
+      path: outPath,
+      size: stats.size,
+      filename: item.filename.replace(/\.[^.]+$/, `.${request.format}`),
+      type: 'audio'
+    };
   }
 
   /**
-   * Download YouTube via y2mate.nu API
+   * Fetch the thumbnail to embed as cover art
+   * YouTube thumbnails are derived from the video ID when the provider gave none.
+   * @param {string} url - Video URL
+   * @param {Object} metadata - Provider metadata
+   * @param {string} mediaPath - Downloaded file the cover is named after
+   * @param {AbortSignal} signal - Download cancel signal
+   * @returns {string|null} Cover image path or null when there is none
    */
-  async downloadYouTubeViaY2mate(url, tag, quality, isAudioOnly) {
-    try {
-      // Extract video ID
-      const videoId = url.match(/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/)?.[1];
-      if (!videoId) {
-        throw new Error('Invalid YouTube URL');
-      }
-
-      // Analyze video
-      const analyzeResponse = await axios.post('https://www.y2mate.nu/api/ajaxSearch',
-        `q=${encodeURIComponent(url)}&vt=${isAudioOnly ? 'mp3' : 'mp4'}`,
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          },
-          timeout: 30000
-        }
-      );
-
-      if (analyzeResponse.data.status !== 'ok') {
-        throw new Error('y2mate.nu analyze failed');
-      }
-
-      const links = analyzeResponse.data.links;
-      let downloadKey;
-
-      if (isAudioOnly && links.mp3) {
-        const audioQualities = Object.keys(links.mp3);
-        downloadKey = links.mp3[audioQualities[0]]?.k;
-      } else if (links.mp4) {
-        const videoQualities = Object.keys(links.mp4);
-        const requestedQuality = quality + 'p';
-
-        if (links.mp4[requestedQuality]) {
-          downloadKey = links.mp4[requestedQuality].k;
-        } else {
-          downloadKey = links.mp4[videoQualities[0]]?.k;
-        }
-      }
-
-      if (!downloadKey) {
-        throw new Error('No suitable download link found');
-      }
-
-      // Convert
-      const convertResponse = await axios.post('https://www.y2mate.nu/api/ajaxConvert',
-        `vid=${videoId}&k=${downloadKey}`,
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          },
-          timeout: 60000
-        }
-      );
-
-      if (convertResponse.data.status !== 'ok' || !convertResponse.data.dlink) {
-        throw new Error('y2mate.nu convert failed');
-      }
-
-      const downloadUrl = convertResponse.data.dlink;
-      const title = analyzeResponse.data.title || 'video';
-
-      // Download
-      const dateTag = getDateTag();
-      const ext = isAudioOnly ? 'mp3' : 'mp4';
-      const fileName = `${sanitizeFilename(title)}_${dateTag}_${tag}.${ext}`;
-      const outPath = path.join(this.tempDir, fileName);
-
-      await this.ensureTempDir();
-
-      logger.info(`[${tag}] Downloading from y2mate.nu: ${fileName}`);
-
-      const writer = fsSync.createWriteStream(outPath);
-      const videoResponse = await axios({
-        url: downloadUrl,
-        method: 'GET',
-        responseType: 'stream',
-        timeout: CONFIG.DOWNLOAD.TIMEOUT,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
-
-      videoResponse.data.pipe(writer);
-
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
-      });
+  async downloadCover(url, metadata, mediaPath, signal) {
+    const youtubeId = extractYouTubeId(url);
+    const coverUrl = metadata.thumbnail ||
+      (youtubeId ? `https://i.ytimg.com/vi/${youtubeId}/hqdefault.jpg` : null);
 
-      const stats = fsSync.statSync(outPath);
-
-      return {
-        path: outPath,
-        size: stats.size,
-        filename: fileName,
-        platform: 'youtube',
-        metadata: {
-          uploader: 'youtube',
-          caption: null,
-          resolution: isAudioOnly ? 'audio' : quality + 'p'
-        }
-      };
+    if (!coverUrl) {
+      return null;
+    }
 
+    const coverPath = mediaPath.replace(/\.[^.]+$/, '_cover.jpg');
+    try {
+      await downloadToFile(coverUrl, coverPath, signal);
+      return coverPath;
     } catch (error) {
-      throw new Error(`y2mate.nu: ${error.message}`);
+      throwIfCancelled(signal);
+      logger.debug(`Cover art download failed: ${error.message}`);
+      return null;
     }
   }
 
   /**
-   * Download YouTube via loader.to API (most reliable fallback)
+   * Give every provider result the same shape: a list of media items
+   * @param {Object} result - Single-file or multi-item provider result
+   * @returns {Object} { items: [{ path, size, filename, type }], size, platform, metadata }
    */
-  async downloadYouTubeViaLoader(url, tag, quality, isAudioOnly) {
-    try {
-      // Extract video ID
-      const videoId = url.match(/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/)?.[1];
-      if (!videoId) {
-        throw new Error('Invalid YouTube URL');
-      }
-
-      // Request download
-      const formatType = isAudioOnly ? 'audio' : 'video';
-      const formatQuality = isAudioOnly ? 'mp3' : quality;
-
-      const prepareResponse = await axios.get(`https://loader.to/ajax/download.php`, {
-        params: {
-          format: formatType,
-          url: url,
-          api: 'dfcb6d76f2f6a9894gjkege8a4ab232222'
-        },
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        },
-        timeout: 30000
-      });
-
-      if (!prepareResponse.data || !prepareResponse.data.id) {
-        throw new Error('loader.to prepare failed');
-      }
+  toMediaList(result) {
+    const items = (result.items || [result]).map(item => ({
+      path: item.path,
+      size: item.size,
+      filename: item.filename || path.basename(item.path),
+      type: getMediaType(item.path)
+    }));
+
+    return {
+      items,
+      size: items.reduce((sum, item) => sum + item.size, 0),
+      platform: result.platform,
+      metadata: result.metadata
+    };
+  }
 
-      const downloadId = prepareResponse.data.id;
-
-      // Wait for conversion (poll for status)
-      let downloadUrl = null;
-      let attempts = 0;
-      const maxAttempts = 20;
-
-      while (!downloadUrl && attempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds
-
-        const progressResponse = await axios.get(`https://loader.to/ajax/progress.php`, {
-          params: {
-            id: downloadId
-          },
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          },
-          timeout: 10000
-        });
-
-        if (progressResponse.data && progressResponse.data.download_url) {
-          downloadUrl = progressResponse.data.download_url;
-          break;
-        }
+  /**
+   * Try each provider until one succeeds
+   * Providers with an open circuit are skipped; when every circuit is open the
+   * first provider is tried anyway. A cancelled download never falls through
+   * to the next provider.
+   * @param {string} url - Video URL
+   * @param {Array} providers - Providers in order
+   * @param {Object} options - Download options
+   * @returns {Object} Download result
+   */
+  async runProviders(url, providers, options) {
+    const { tag = 'unknown', signal } = options;
+    let firstError = null;
+    let attempted = 0;
 
-        if (progressResponse.data && progressResponse.data.progress >= 1000) {
-          // Conversion complete but no URL (error)
-          throw new Error('loader.to conversion failed');
-        }
+    for (const provider of providers) {
+      throwIfCancelled(signal);
 
-        attempts++;
+      if (!providerHealth.allowRequest(provider.name)) {
+        logger.info(`[${tag}] ⏭️ Skipping ${provider.name} (circuit open)`);
+        continue;
       }
 
-      if (!downloadUrl) {
-        throw new Error('loader.to timeout waiting for conversion');
+      if (attempted > 0) {
+        logger.info(`[${tag}] 🔄 Switching to ${provider.name}...`);
       }
+      attempted++;
 
-      // Get title
-      const title = prepareResponse.data.title || 'video';
-
-      // Download the file
-      const dateTag = getDateTag();
-      const ext = isAudioOnly ? 'mp3' : 'mp4';
-      const fileName = `${sanitizeFilename(title)}_${dateTag}_${tag}.${ext}`;
-      const outPath = path.join(this.tempDir, fileName);
-
-      await this.ensureTempDir();
-
-      logger.info(`[${tag}] Downloading from loader.to: ${fileName}`);
-
-      const writer = fsSync.createWriteStream(outPath);
-      const videoResponse = await axios({
-        url: downloadUrl,
-        method: 'GET',
-        responseType: 'stream',
-        timeout: CONFIG.DOWNLOAD.TIMEOUT,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      try {
+        return await this.tryProvider(provider, url, options);
+      } catch (error) {
+        if (error.isCancelled) throw error;
+        // A real failure says more than "not for this provider"
+        if (!firstError || (firstError.isUnsupported && !error.isUnsupported)) {
+          firstError = error;
         }
-      });
-
-      videoResponse.data.pipe(writer);
-
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
-      });
-
-      // Verify download
-      if (!fsSync.existsSync(outPath)) {
-        throw new Error('Download failed - file not created');
       }
+    }
 
-      const stats = fsSync.statSync(outPath);
-      if (stats.size === 0) {
-        throw new Error('Download failed - empty file');
-      }
-
-      return {
-        path: outPath,
-        size: stats.size,
-        filename: fileName,
-        platform: 'youtube',
-        metadata: {
-          uploader: 'youtube',
-          caption: null,
-          resolution: isAudioOnly ? 'audio' : quality + 'p'
-        }
-      };
-
-    } catch (error) {
-      throw new Error(`loader.to: ${error.message}`);
+    if (attempted === 0) {
+      logger.warn(`[${tag}] Every provider circuit is open, trying ${providers[0].name} anyway`);
+      return await this.tryProvider(providers[0], url, options);
     }
+
+    // Report the primary provider's error; it is usually the most specific
+    logger.error(`[${tag}] All download methods failed`);
+    throw firstError;
   }
 
   /**
-   * Download Instagram via API fallback
-   * @param {string} url - Instagram URL
-   * @param {Object} options - Download options
+   * Run one provider and record the outcome for the circuit breaker
+   * A request counts one failure per provider: its retries (attempt > 0) don't add more,
+   * unless the provider is being probed after its cooldown.
+   * @param {Object} provider - Provider
+   * @param {string} url - Video URL
+   * @param {Object} options - Download options ({ tag, signal, attempt })
    * @returns {Object} Download result
    */
-  async downloadInstagramViaAPI(url, options = {}) {
-    const { tag = 'unknown' } = options;
-    
-    if (!CONFIG.API.RAPIDAPI_KEY) {
-      throw new Error('Instagram API requires RAPIDAPI_KEY');
-    }
-    
+  async tryProvider(provider, url, options) {
+    const { tag = 'unknown', signal, attempt = 0 } = options;
+    const startedAt = Date.now();
+
     try {
-      logger.info(`[${tag}] 🔄 Trying Instagram RapidAPI (instagram120)...`);
-      
-      const response = await axios.post('https://instagram120.p.rapidapi.com/api/instagram/links', {
-        url: url
-      }, {
-        headers: {
-          'x-rapidapi-key': CONFIG.API.RAPIDAPI_KEY,
-          'x-rapidapi-host': 'instagram120.p.rapidapi.com',
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
-      
-      // Parse response structure
-      if (response.data && Array.isArray(response.data) && response.data.length > 0) {
-        const dataObj = response.data[0];
-        
-        if (!dataObj.urls || !Array.isArray(dataObj.urls) || dataObj.urls.length === 0) {
-          throw new Error('No URLs found in API response');
-        }
-        
-        const videoUrl = dataObj.urls[0].url;
-        const username = dataObj.meta?.username || 'instagram';
-        
-        const dateTag = getDateTag();
-        const fileName = `${sanitizeFilename(username)}_${dateTag}_${tag}.mp4`;
-        const outPath = path.join(this.tempDir, fileName);
-        
-        await this.ensureTempDir();
-        
-        // Download video
-        logger.info(`[${tag}] Downloading from RapidAPI...`);
-        
-        const writer = fsSync.createWriteStream(outPath);
-        const videoResponse = await axios({
-          url: videoUrl,
-          method: 'GET',
-          responseType: 'stream',
-          timeout: CONFIG.DOWNLOAD.TIMEOUT
-        });
-        
-        videoResponse.data.pipe(writer);
-        
-        await new Promise((resolve, reject) => {
-          writer.on('finish', resolve);
-          writer.on('error', reject);
-        });
-        
-        const stats = fsSync.statSync(outPath);
-        
-        logger.info(`[${tag}] ✅ Downloaded via Instagram API: ${fileName} (${(stats.size/1024/1024).toFixed(2)}MB)`);
-        
-        return {
-          path: outPath,
-          size: stats.size,
-          filename: fileName,
-          platform: 'instagram',
-          metadata: {
-            uploader: username,
-            caption: null,
-            resolution: '720p'
-          }
-        };
-      }
-      
-      throw new Error('Instagram API returned invalid data structure');
-      
+      const result = await provider.download(url, options);
+      providerHealth.recordSuccess(provider.name, Date.now() - startedAt);
+      return result;
     } catch (error) {
-      const apiError = this.normalizeApiError(error, 'Instagram API fallback failed');
-      logger.error(`[${tag}] Instagram API fallback failed:`, { error: apiError.message });
-      throw apiError;
+      if (error.isCancelled || signal?.aborted) {
+        providerHealth.release(provider.name);
+        throwIfCancelled(signal);
+        throw error;
+      }
+
+      if (error.isUnsupported) {
+        providerHealth.release(provider.name);
+        logger.info(`[${tag}] ${provider.name} skipped: ${error.message}`);
+        throw error;
+      }
+
+      if (attempt === 0 || providerHealth.isProbing(provider.name)) {
+        providerHealth.recordFailure(provider.name, Date.now() - startedAt, error);
+      }
+      logger.warn(`[${tag}] ${provider.name} failed: ${error.message}`);
+      throw error;
     }
   }
 
@@ -1673,30 +725,6 @@ class VideoDownloader {
       return false;
     }
   }
-
-  buildYtDlpErrorMessage(code, lastError = '') {
-    if (lastError) {
-      return `yt-dlp exited with code ${code}: ${lastError}`;
-    }
-    return `yt-dlp exited with code ${code}`;
-  }
-
-  isPermanentYtDlpError(output = '') {
-    if (!output) return false;
-    const lower = output.toLowerCase();
-    return this.permanentErrorPatterns.some(pattern => lower.includes(pattern));
-  }
-
-  normalizeApiError(error, prefix = 'API error') {
-    const status = error?.response?.status;
-    const statusText = status ? `status ${status}` : null;
-    const pieces = [prefix, statusText, error?.message].filter(Boolean);
-    const normalized = new Error(pieces.join(' - '));
-    if (status && [400, 401, 403, 404, 410, 451].includes(status)) {
-      normalized.isPermanent = true;
-    }
-    return normalized;
-  }
 }
 
 // Create singleton instance
@@ -0,0 +1,112 @@
+// utils/components.js - Shared message components for download status messages
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, createComponentBuilder } = require('discord.js');
+const { QUALITY_OPTIONS } = require('../constants');
+const { t } = require('./i18n');
+
+// Button and select menu custom ID prefixes (routed by the command registry)
+const COMPONENT_IDS = {
+  CANCEL: 'dl_cancel',
+  AUDIO: 'dl_audio',
+  GIF: 'dl_gif',
+  QUALITY: 'dl_quality',
+  DELETE: 'dl_delete',
+  TRANSCRIPT_PAGE: 'tr_page'
+};
+
+// Discord rejects link buttons with longer URLs and menus with more options
+const MAX_LINK_LENGTH = 512;
+const MAX_MENU_OPTIONS = 25;
+
+/**
+ * Build the Cancel button row shown on queued and running downloads
+ * @param {string} tag - Download tag
+ * @param {string} locale - Locale code
+ * @returns {ActionRowBuilder} Button row
+ */
+function createCancelRow(tag, locale) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${COMPONENT_IDS.CANCEL}_${tag}`)
+      .setLabel(t(locale, 'cancel'))
+      .setEmoji('✖️')
+      .setStyle(ButtonStyle.Danger)
+  );
+}
+
+/**
+ * Build the action rows shown on finished uploads
+ * Open original and Delete are always there; videos also get Audio, Make GIF and an
+ * Other quality menu, which queue the same link again. Every handler looks the
+ * download up by tag in the database, so the components survive restarts.
+ * @param {string} tag - Download tag of the finished upload
+ * @param {Object} options - { url, locale, isVideo, qualities }
+ * @returns {Array} Action rows
+ */
+function createResultRows(tag, { url, locale, isVideo = false, qualities = [] }) {
+  const buttons = [];
+
+  if (url && url.length <= MAX_LINK_LENGTH) {
+    buttons.push(new ButtonBuilder()
+      .setLabel(t(locale, 'openOriginal'))
+      .setEmoji('🔗')
+      .setURL(url)
+      .setStyle(ButtonStyle.Link));
+  }
+
+  if (isVideo) {
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(`${COMPONENT_IDS.AUDIO}_${tag}`)
+        .setLabel(t(locale, 'getAudio'))
+        .setEmoji('🎵')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(`${COMPONENT_IDS.GIF}_${tag}`)
+        .setLabel(t(locale, 'makeGif'))
+        .setEmoji('🎞️')
+        .setStyle(ButtonStyle.Secondary)
+    );
+  }
+
+  buttons.push(new ButtonBuilder()
+    .setCustomId(`${COMPONENT_IDS.DELETE}_${tag}`)
+    .setLabel(t(locale, 'delete'))
+    .setEmoji('🗑️')
+    .setStyle(ButtonStyle.Danger));
+
+  const rows = [new ActionRowBuilder().addComponents(buttons)];
+
+  if (isVideo) {
+    // Heights the provider reported, or the generic choices when it didn't list any
+    const choices = qualities?.length > 0
+      ? qualities
+      : QUALITY_OPTIONS.filter(quality => quality !== 'audio');
+
+    rows.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`${COMPONENT_IDS.QUALITY}_${tag}`)
+        .setPlaceholder(`📺 ${t(locale, 'otherQuality')}`)
+        .addOptions(choices.slice(0, MAX_MENU_OPTIONS).map(quality => ({ label: quality, value: quality })))
+    ));
+  }
+
+  return rows;
+}
+
+/**
+ * Copy a message's components with every button and menu disabled
+ * @param {Object} message - Discord message
+ * @returns {Array} Action rows
+ */
+function disableComponents(message) {
+  return message.components.map(row => new ActionRowBuilder().addComponents(
+    row.components.map(component => createComponentBuilder(component.toJSON()).setDisabled(true))
+  ));
+}
+
+module.exports = {
+  COMPONENT_IDS,
+  createCancelRow,
+  createResultRows,
+  disableComponents
+};
@@ -12,13 +12,17 @@ class DiskGuard {
     this.checkInterval = 300000; // Check every 5 minutes
     this.isMonitoring = false;
     this.videoDownloader = null;
+    this.mediaCache = null;
   }
 
   /**
    * Start monitoring disk space
+   * @param {Object} videoDownloader - Cleans the temp directory
+   * @param {Object} mediaCache - Drops cached files when space runs out (optional)
    */
-  start(videoDownloader) {
+  start(videoDownloader, mediaCache = null) {
     this.videoDownloader = videoDownloader;
+    this.mediaCache = mediaCache;
 
     if (this.isMonitoring) {
       logger.warn('Disk guard already running');
@@ -138,6 +142,11 @@ class DiskGuard {
       this.videoDownloader.cleanupOldFiles(10 / 60); // 10 minutes
     }
 
+    // Cached files are only a speed-up - links of earlier uploads keep working
+    if (this.mediaCache) {
+      this.mediaCache.purgeFiles();
+    }
+
     // Check after cleanup
     setTimeout(() => {
       const newInfo = this.getDiskUsage();
@@ -157,6 +166,10 @@ class DiskGuard {
       this.videoDownloader.cleanupOldFiles(0); // Delete everything
     }
 
+    if (this.mediaCache) {
+      this.mediaCache.purgeFiles();
+    }
+
     // Also try to clear system temp
     try {
       execSync('rm -rf /tmp/yt-dlp-*', { timeout: 5000 });
@@ -0,0 +1,302 @@
+// utils/formats.js - Quality/format resolution shared by the download providers
+
+// Audio containers that can be requested through /download
+const AUDIO_FORMATS = ['mp3', 'm4a', 'opus'];
+
+// Audio bitrates (kbps) that can be requested through /download
+const AUDIO_BITRATES = ['96', '128', '192', '256', '320'];
+const DEFAULT_AUDIO_BITRATE = '192';
+
+// Looping animation formats rendered from a downloaded video
+const ANIMATION_FORMATS = ['gif', 'webp'];
+
+// Animations are at most 480px wide, a 720p source is plenty
+const ANIMATION_SOURCE_HEIGHT = 720;
+
+/**
+ * Build yt-dlp format options for an explicit quality/format request
+ * @param {Object} downloadOptions - Requested options ({ quality, format, audioBitrate })
+ * @returns {Object|null} Format options or null for defaults
+ */
+function getRequestedFormatOptions(downloadOptions) {
+  if (!downloadOptions) return null;
+
+  const { quality = 'best', format, audioBitrate } = downloadOptions;
+  const isAudio = quality === 'audio' || AUDIO_FORMATS.includes(format);
+
+  if (isAudio) {
+    const audioFormat = AUDIO_FORMATS.includes(format) ? format : 'mp3';
+    const bitrate = AUDIO_BITRATES.includes(audioBitrate) ? audioBitrate : DEFAULT_AUDIO_BITRATE;
+    return {
+      format: 'bestaudio/best',
+      extractAudio: true,
+      audioFormat,
+      audioQuality: bitrate,
+      ext: audioFormat,
+      description: `${audioFormat.toUpperCase()} ${bitrate}k audio`
+    };
+  }
+
+  if (ANIMATION_FORMATS.includes(format)) {
+    const height = Math.min(parseInt(quality, 10) || ANIMATION_SOURCE_HEIGHT, ANIMATION_SOURCE_HEIGHT);
+    return {
+      format: `bestvideo*[height<=${height}]+bestaudio/best[height<=${height}]/best`,
+      ext: 'mp4',
+      animation: format,
+      description: `${format.toUpperCase()} animation`
+    };
+  }
+
+  const ext = format === 'webm' ? 'webm' : 'mp4';
+  const height = parseInt(quality, 10);
+  const heightFilter = height ? `[height<=${height}]` : '';
+  const selectors = [];
+
+  if (ext === 'webm') {
+    selectors.push(`bestvideo${heightFilter}[ext=webm]+bestaudio[ext=webm]`);
+  }
+  selectors.push(
+    `bestvideo*${heightFilter}+bestaudio`,
+    `best${heightFilter}`,
+    'best'
+  );
+
+  return {
+    format: selectors.join('/'),
+    ext,
+    description: `${height ? `${height}p` : 'best'} ${ext.toUpperCase()}`
+  };
+}
+
+/**
+ * Resolve format options from an explicit request or the guild's default quality
+ * @param {Object} downloadOptions - Requested options ({ quality, format }) or null
+ * @param {Object} guildSettings - Guild settings from guildSettingsService
+ * @returns {Object|null} Format options or null for the platform defaults
+ */
+function resolveFormatOptions(downloadOptions, guildSettings = {}) {
+  if (downloadOptions) {
+    return getRequestedFormatOptions(downloadOptions);
+  }
+
+  const quality = guildSettings.defaultQuality;
+  return quality && quality !== 'best' ? getRequestedFormatOptions({ quality }) : null;
+}
+
+/**
+ * Resolve the quality request for the YouTube API providers
+ * @param {Object} options - Download options ({ downloadOptions })
+ * @param {Object} guildSettings - Guild settings from guildSettingsService
+ * @returns {Object} { quality, isAudioOnly }
+ */
+function resolveApiQuality(options = {}, guildSettings = {}) {
+  const { downloadOptions } = options;
+  const requestedQuality = downloadOptions?.quality || guildSettings.defaultQuality;
+
+  const isAudioOnly = requestedQuality === 'audio' ||
+    Boolean(downloadOptions && AUDIO_FORMATS.includes(downloadOptions.format));
+  const isAnimation = Boolean(downloadOptions && ANIMATION_FORMATS.includes(downloadOptions.format));
+
+  // 'best' has no height - the providers then take the highest one they offer
+  const height = parseInt(requestedQuality, 10) || null;
+  const quality = isAnimation
+    ? String(Math.min(height || ANIMATION_SOURCE_HEIGHT, ANIMATION_SOURCE_HEIGHT))
+    : (height ? String(height) : 'best');
+
+  return { quality, isAudioOnly };
+}
+
+/**
+ * Resolve whether a download should end up as audio, and in which format
+ * Covers the format picker as well as /download and the guild default.
+ * @param {Object} options - Download options ({ downloadOptions })
+ * @param {Object} guildSettings - Guild settings from guildSettingsService
+ * @returns {Object|null} { format, bitrate } or null for a video download
+ */
+function resolveAudioRequest(options = {}, guildSettings = {}) {
+  const formatOptions = resolveFormatOptions(options.downloadOptions, guildSettings);
+
+  if (!formatOptions || !formatOptions.extractAudio) {
+    return null;
+  }
+
+  return {
+    format: formatOptions.audioFormat,
+    bitrate: formatOptions.audioQuality || DEFAULT_AUDIO_BITRATE
+  };
+}
+
+/**
+ * Resolve whether a download should end up as a GIF or animated WebP
+ * @param {Object} options - Download options ({ downloadOptions })
+ * @returns {string|null} 'gif', 'webp' or null
+ */
+function resolveAnimationRequest(options = {}) {
+  const format = options.downloadOptions?.format;
+  return ANIMATION_FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Build the yt-dlp arguments that fetch captions in one language
+ * Uploaded subtitles win over auto-captions; "en" also matches en-US, en-orig, ...
+ * @param {string} lang - Language code
+ * @returns {Array} yt-dlp arguments
+ */
+function getSubtitleArgs(lang) {
+  return [
+    '--write-subs',
+    '--write-auto-subs',
+    '--sub-langs', `${lang}.*`,
+    '--sub-format', 'srt/vtt/best'
+  ];
+}
+
+// Codecs every Discord client plays inline (desktop, web and mobile)
+const INLINE_VIDEO_CODEC = /^(avc1|h264)/i;
+const INLINE_AUDIO_CODEC = /^(mp4a|aac)/i;
+
+// Size estimates are rough, keep some headroom under the limit
+const SIZE_HEADROOM = 0.95;
+
+/**
+ * Estimate the size of one yt-dlp format
+ * @param {Object} format - Entry of the --dump-json formats array
+ * @param {number} duration - Video length in seconds (for bitrate-only formats)
+ * @returns {number|null} Size in bytes or null when unknown
+ */
+function estimateFormatSize(format, duration) {
+  if (format.filesize || format.filesize_approx) {
+    return format.filesize || format.filesize_approx;
+  }
+  if (format.tbr && duration) {
+    return Math.round(format.tbr * 1000 / 8 * duration);
+  }
+  return null;
+}
+
+/**
+ * Pick the best video+audio combination that fits a size limit
+ * Candidates whose codecs Discord plays inline (H.264/AAC) win over higher
+ * resolutions in other codecs; formats of unknown size are never picked.
+ * @param {Array} formats - formats array from yt-dlp --dump-json
+ * @param {number} limitBytes - Destination upload limit
+ * @param {number} duration - Video length in seconds (optional)
+ * @returns {Object|null} Format options (same shape as getRequestedFormatOptions) or null when nothing is known to fit
+ */
+function planFormatForLimit(formats = [], limitBytes, duration = 0) {
+  const hasVideo = format => format.vcodec && format.vcodec !== 'none';
+  const hasAudio = format => format.acodec && format.acodec !== 'none';
+
+  const videoOnly = formats.filter(format => hasVideo(format) && !hasAudio(format));
+  const audioOnly = formats.filter(format => !hasVideo(format) && hasAudio(format));
+  const combined = formats.filter(format => hasVideo(format) && hasAudio(format));
+
+  const candidates = [
+    ...combined.map(format => ({ video: format, audio: format, selector: format.format_id })),
+    ...videoOnly.flatMap(video => audioOnly.map(audio => ({
+      video,
+      audio,
+      selector: `${video.format_id}+${audio.format_id}`
+    })))
+  ];
+
+  const fitting = candidates
+    .map((candidate) => {
+      const videoSize = estimateFormatSize(candidate.video, duration);
+      const audioSize = candidate.audio === candidate.video ? 0 : estimateFormatSize(candidate.audio, duration);
+      return {
+        ...candidate,
+        size: videoSize === null || audioSize === null ? null : videoSize + audioSize,
+        inline: INLINE_VIDEO_CODEC.test(candidate.video.vcodec) && INLINE_AUDIO_CODEC.test(candidate.audio.acodec)
+      };
+    })
+    .filter(candidate => candidate.size !== null && candidate.size <= limitBytes * SIZE_HEADROOM);
+
+  if (fitting.length === 0) {
+    return null;
+  }
+
+  fitting.sort((a, b) =>
+    (b.inline - a.inline) ||
+    ((b.video.height || 0) - (a.video.height || 0)) ||
+    (b.size - a.size)
+  );
+
+  const [best] = fitting;
+  return {
+    format: best.selector,
+    ext: 'mp4',
+    description: `${best.video.height ? `${best.video.height}p` : 'best'} within upload limit`,
+    estimatedSize: best.size
+  };
+}
+
+/**
+ * List the video heights a post can be downloaded in (Other quality menu)
+ * @param {Array} formats - formats array from yt-dlp --dump-json
+ * @returns {Array} Quality values, highest first (e.g. ['1080p', '720p'])
+ */
+function getAvailableQualities(formats = []) {
+  const heights = new Set(formats
+    .filter(format => format.vcodec && format.vcodec !== 'none' && format.height)
+    .map(format => format.height));
+
+  return [...heights].sort((a, b) => b - a).map(height => `${height}p`);
+}
+
+/**
+ * List the qualities a video can be picked in, with their estimated download size
+ * Each height is sized as its largest video stream plus the best audio stream (what
+ * bestvideo[height<=N]+bestaudio picks); audio is sized as an MP3 at the default bitrate.
+ * @param {Array} formats - formats array from yt-dlp --dump-json
+ * @param {number} duration - Video length in seconds
+ * @returns {Array} [{ quality, height, width, size }], highest first and audio last; size is null when unknown
+ */
+function listQualityChoices(formats = [], duration = 0) {
+  const hasVideo = format => format.vcodec && format.vcodec !== 'none';
+  const hasAudio = format => format.acodec && format.acodec !== 'none';
+
+  const audioSizes = formats
+    .filter(format => hasAudio(format) && !hasVideo(format))
+    .map(format => estimateFormatSize(format, duration))
+    .filter(size => size !== null);
+  const audioSize = audioSizes.length > 0 ? Math.max(...audioSizes) : 0;
+
+  const byHeight = new Map();
+  for (const format of formats.filter(format => hasVideo(format) && format.height)) {
+    const videoSize = estimateFormatSize(format, duration);
+    const size = videoSize === null ? null : videoSize + (hasAudio(format) ? 0 : audioSize);
+    const known = byHeight.get(format.height);
+
+    if (!known || (size || 0) > (known.size || 0)) {
+      byHeight.set(format.height, { quality: `${format.height}p`, height: format.height, width: format.width || null, size });
+    }
+  }
+
+  if (byHeight.size === 0) return [];
+
+  const choices = [...byHeight.values()].sort((a, b) => b.height - a.height);
+  choices.push({
+    quality: 'audio',
+    height: null,
+    width: null,
+    size: duration ? Math.round(parseInt(DEFAULT_AUDIO_BITRATE, 10) * 1000 / 8 * duration) : null
+  });
+
+  return choices;
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  AUDIO_BITRATES,
+  ANIMATION_FORMATS,
+  getRequestedFormatOptions,
+  resolveFormatOptions,
+  resolveAudioRequest,
+  resolveAnimationRequest,
+  resolveApiQuality,
+  getSubtitleArgs,
+  planFormatForLimit,
+  getAvailableQualities,
+  listQualityChoices
+};
@@ -2,30 +2,17 @@
 const { QUALITY_BADGES, EMOJIS } = require('../constants');
 const logger = require('./logger');
 
-/**
- * Normalize URL for comparison - removes protocol, www, trailing slashes, query params
- * @param {string} url - URL to normalize
- * @returns {string} Normalized URL
- */
-function normalizeUrlForComparison(url) {
-  return url
-    .replace(/^https?:\/\//, '') // Remove protocol
-    .replace(/^www\./, '') // Remove www
-    .replace(/\/$/, '') // Remove trailing slash
-    .split('?')[0] // Remove query parameters
-    .split('#')[0] // Remove hash
-    .toLowerCase(); // Lowercase for comparison
-}
-
 /**
  * Detect all supported URLs in text with deduplication
+ * Links are deduplicated by canonical key, so two share links of the same video
+ * count once. Short links are only expanded later by the URL resolver.
  * @param {string} text - Text to search for URLs
  * @param {object} patterns - Platform patterns object
- * @returns {Array} Array of unique detected URLs with platforms
+ * @returns {Array} Array of unique detected URLs ({ url, platform, key })
  */
 function detectAllUrls(text, patterns) {
   const urls = [];
-  const seenNormalizedUrls = new Map(); // Map to track normalized URL to original
+  const seenKeys = new Map(); // Map to track canonical key to original URL
   let totalMatches = 0;
 
   logger.debug(`🔍 Scanning message for URLs (text length: ${text.length} chars)`);
@@ -39,17 +26,17 @@ function detectAllUrls(text, patterns) {
       matchCount++;
 
       let url = match[0];
-      const normalizedUrl = normalizeUrlForComparison(url);
+      const key = getCanonicalKey(url);
 
-      logger.debug(`Found ${platform} match: ${url}`, { normalized: normalizedUrl });
+      logger.debug(`Found ${platform} match: ${url}`, { key });
 
-      // Check if we've seen this normalized URL before
-      if (!seenNormalizedUrls.has(normalizedUrl)) {
-        seenNormalizedUrls.set(normalizedUrl, url);
-        urls.push({ url, platform, normalized: normalizedUrl });
+      // Check if we've seen this video before
+      if (!seenKeys.has(key)) {
+        seenKeys.set(key, url);
+        urls.push({ url, platform, key });
         logger.debug(`✅ Added new URL: ${url}`);
       } else {
-        const firstUrl = seenNormalizedUrls.get(normalizedUrl);
+        const firstUrl = seenKeys.get(key);
         logger.debug(`🔄 DUPLICATE detected: ${url} (already seen as: ${firstUrl})`);
       }
     }
@@ -59,7 +46,7 @@ function detectAllUrls(text, patterns) {
     }
   }
 
-  logger.info(`📊 URL Detection: ${seenNormalizedUrls.size} unique from ${totalMatches} total matches`);
+  logger.info(`📊 URL Detection: ${seenKeys.size} unique from ${totalMatches} total matches`);
   return urls;
 }
 
@@ -128,9 +115,70 @@ function detectPlatform(url) {
   if (/snapchat\.com/i.test(normalized)) return 'snapchat';
   if (/facebook\.com/i.test(normalized)) return 'facebook';
   if (/reddit\.com/i.test(normalized)) return 'reddit';
+  if (/twitch\.tv/i.test(normalized)) return 'twitch';
+  if (/vimeo\.com/i.test(normalized)) return 'vimeo';
+  if (/dailymotion\.com/i.test(normalized)) return 'dailymotion';
+  if (/threads\.net/i.test(normalized)) return 'threads';
   return 'default';
 }
 
+// Canonical video ID patterns per platform (first capture group is the ID)
+const MEDIA_ID_PATTERNS = {
+  tiktok: [/\/(?:video|photo)\/(\d+)/, /[?&]item_id=(\d+)/],
+  youtube: [/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?|shorts|live)\/|.*[?&]v=)|youtu\.be\/)([\w-]{11})/],
+  instagram: [/\/(?:p|reels?|tv)\/([\w-]+)/, /\/stories\/[\w.]+\/(\d+)/],
+  twitter: [/\/status(?:es)?\/(\d+)/],
+  reddit: [/\/comments\/(\w+)/],
+  facebook: [/\/(?:videos|reel)\/(\d+)/, /[?&]v=(\d+)/],
+  snapchat: [/\/spotlight\/([\w-]+)/, /\/add\/[\w.-]+\/([\w-]+)/],
+  twitch: [/\/clip\/([\w-]+)/, /clips\.twitch\.tv\/([\w-]+)/, /\/videos\/(\d+)/, /twitch\.tv\/(\w+)\/?(?:[?#]|$)/],
+  vimeo: [/vimeo\.com\/(?:.*\/)?(\d+)/],
+  dailymotion: [/\/video\/([a-z0-9]+)/i],
+  threads: [/\/post\/([\w-]+)/]
+};
+
+// Twitch channel names and Dailymotion IDs are case-insensitive
+const CASE_INSENSITIVE_IDS = new Set(['twitch', 'dailymotion', 'reddit']);
+
+/**
+ * Get the canonical platform ID of a video URL
+ * Different share links for the same video (query strings, m./www., /reel vs /p)
+ * map to the same ID; unknown URL shapes fall back to the URL itself.
+ * @param {string} url - Video URL
+ * @returns {Object} { platform, id, canonical } - canonical is false for the fallback
+ */
+function extractMediaId(url) {
+  const platform = detectPlatform(url);
+
+  for (const pattern of MEDIA_ID_PATTERNS[platform] || []) {
+    const match = url.match(pattern);
+    if (match) {
+      const id = CASE_INSENSITIVE_IDS.has(platform) ? match[1].toLowerCase() : match[1];
+      return { platform, id, canonical: true };
+    }
+  }
+
+  // Case and query string kept: short-link codes are case-sensitive
+  const fallback = url
+    .replace(/^https?:\/\/(?:www\.)?/, '')
+    .split('#')[0]
+    .replace(/\/$/, '');
+
+  return { platform, id: fallback, canonical: false };
+}
+
+/**
+ * Get the key identifying the video behind a URL (e.g. "youtube:dQw4w9WgXcQ")
+ * Used for deduplication, the processing lock and persistence. Expand short
+ * links with the URL resolver first, they carry no ID of their own.
+ * @param {string} url - Video URL
+ * @returns {string} Canonical key
+ */
+function getCanonicalKey(url) {
+  const { platform, id } = extractMediaId(url);
+  return `${platform}:${id}`;
+}
+
 /**
  * Sanitize filename for safe file system use
  * @param {string} str - String to sanitize
@@ -197,18 +245,51 @@ function sleep(ms) {
 
 /**
  * Create a timeout promise
+ * Pass the AbortController that feeds the wrapped operation so the timeout
+ * actually stops it (kills the child process / closes the socket) instead of
+ * leaving it running in the background.
  * @param {Promise} promise - Promise to wrap
  * @param {number} ms - Timeout in milliseconds
  * @param {string} message - Error message on timeout
+ * @param {AbortController} controller - Aborted when the timeout fires (optional)
  * @returns {Promise} Promise with timeout
  */
-function promiseTimeout(promise, ms, message = 'Operation timed out') {
+function promiseTimeout(promise, ms, message = 'Operation timed out', controller = null) {
+  let timer;
+
   return Promise.race([
     promise,
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error(message)), ms)
-    )
-  ]);
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(message);
+        error.isTimeout = true;
+        // Reject first so the timeout error wins over the aborted operation's own error
+        reject(error);
+        if (controller) controller.abort(error);
+      }, ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create an AbortController that also aborts when a parent signal aborts
+ * Used to give one step (a request, a child process) its own timeout while
+ * still following the download's cancel signal.
+ * @param {AbortSignal} signal - Parent signal (optional)
+ * @returns {AbortController} Linked controller
+ */
+function createLinkedController(signal) {
+  const controller = new AbortController();
+
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+  }
+
+  return controller;
 }
 
 /**
@@ -226,6 +307,7 @@ async function retryWithBackoff(fn, maxRetries = 3, delay = 1000) {
       return await fn();
     } catch (error) {
       lastError = error;
+      if (error.isCancelled) break;
       if (i < maxRetries - 1) {
         const waitTime = Math.min(delay * Math.pow(2, i), 10000);
         await sleep(waitTime);
@@ -236,6 +318,28 @@ async function retryWithBackoff(fn, maxRetries = 3, delay = 1000) {
   throw lastError;
 }
 
+/**
+ * Create the error thrown when a download is cancelled
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged as cancelled (never retried)
+ */
+function createCancelledError(message = 'Download cancelled') {
+  const error = new Error(message);
+  error.isCancelled = true;
+  error.isPermanent = true;
+  return error;
+}
+
+/**
+ * Throw a cancelled error if the signal has been aborted
+ * @param {AbortSignal} signal - Abort signal (optional)
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+}
+
 /**
  * Shorten text to a maximum length with ellipsis
  * @param {string} text - Text to shorten
@@ -249,19 +353,148 @@ function shortenText(text, max = 500) {
   return trimmed.slice(0, max - 3) + '...';
 }
 
+/**
+ * Format a view/like count compactly
+ * @param {number} count - Count
+ * @returns {string} Formatted count (950, 12.3K, 4.1M)
+ */
+function formatCount(count) {
+  if (count >= 1e9) return `${(count / 1e9).toFixed(1).replace(/\.0$/, '')}B`;
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1).replace(/\.0$/, '')}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1).replace(/\.0$/, '')}K`;
+  return String(count);
+}
+
+/**
+ * Parse a video timestamp
+ * Accepts seconds (83, 83s), clock time (1:23, 1:02:03) and YouTube style (1h2m3s).
+ * @param {string|number} value - Timestamp
+ * @returns {number|null} Seconds or null when the value isn't a timestamp
+ */
+function parseTimestamp(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+
+  if (/^\d+(?:\.\d+)?s?$/.test(text)) {
+    return parseFloat(text);
+  }
+
+  if (/^\d+(?::\d{1,2}){1,2}(?:\.\d+)?$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+  }
+
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (match && text) {
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  return null;
+}
+
+/**
+ * Format seconds as clock time
+ * @param {number} seconds - Seconds
+ * @returns {string} Formatted time (1:23 or 1:02:03)
+ */
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Parse a clip range such as "1:23-1:53"
+ * A lone start time gets defaultLength seconds.
+ * @param {string} value - Range text
+ * @param {number} defaultLength - Clip length when only a start is given
+ * @returns {Object|null} { start, end } in seconds or null when invalid
+ */
+function parseClipRange(value, defaultLength) {
+  const [startText, endText, ...rest] = String(value ?? '').split('-');
+  if (rest.length > 0) return null;
+
+  const start = parseTimestamp(startText);
+  const end = endText === undefined ? start + defaultLength : parseTimestamp(endText);
+
+  if (start === null || end === null || end <= start) {
+    return null;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Read the start time of a YouTube link (?t= or &start=) as a clip
+ * @param {string} url - Video URL
+ * @param {number} length - Clip length in seconds
+ * @returns {Object|null} { start, end } or null when the link has no start time
+ */
+function getUrlClip(url, length) {
+  if (detectPlatform(url) !== 'youtube') return null;
+
+  const match = url.match(/[?&#](?:t|start)=([\dhms.:]+)/i);
+  const start = match ? parseTimestamp(match[1]) : null;
+
+  return start ? { start, end: start + length } : null;
+}
+
+/**
+ * Turn an SRT or VTT caption file into plain text
+ * Drops cue numbers, timings and markup. Auto-captions repeat the previous
+ * line in every cue, so lines already among the last two are skipped.
+ * @param {string} content - Caption file content
+ * @returns {string} Transcript, one caption line per line
+ */
+function subtitlesToText(content) {
+  const lines = [];
+
+  for (const raw of String(content).split(/\r?\n/)) {
+    const line = raw
+      .replace(/<[^>]*>/g, '')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&nbsp;/g, ' ')
+      .trim();
+
+    if (!line || /^\d+$/.test(line) || line.includes('-->')) continue;
+    if (/^(?:WEBVTT|Kind:|Language:|NOTE\b|STYLE\b)/.test(line)) continue;
+    if (lines.slice(-2).includes(line)) continue;
+
+    lines.push(line);
+  }
+
+  return lines.join('\n');
+}
+
 module.exports = {
-  normalizeUrlForComparison,
   detectAllUrls,
   getPlatformEmoji,
   createProgressBar,
   formatUptime,
   formatBytes,
   detectPlatform,
+  extractMediaId,
+  getCanonicalKey,
   sanitizeFilename,
   getDateTag,
   getQualityBadge,
   sleep,
   promiseTimeout,
+  createLinkedController,
   retryWithBackoff,
-  shortenText
+  createCancelledError,
+  throwIfCancelled,
+  shortenText,
+  formatCount,
+  parseTimestamp,
+  formatTimestamp,
+  parseClipRange,
+  getUrlClip,
+  subtitlesToText
 };
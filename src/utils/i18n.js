@@ -0,0 +1,130 @@
+// utils/i18n.js - Minimal per-guild message localization
+const { SUPPORTED_LOCALES } = require('../constants');
+
+const MESSAGES = {
+  en: {
+    queued: 'Queued for download...',
+    queueFull: 'Queue is full. Please try again later.',
+    startingDownload: 'Starting download...',
+    downloadFailed: 'Download Failed',
+    downloadFailedHint: 'Please try again or check if the video is available',
+    error: 'Error',
+    unsupportedLink: 'Unsupported link. Paste a link from one of: {platforms}.',
+    platformDisabled: '{platform} downloads are disabled on this server.',
+    channelNotAllowed: 'Downloads are not enabled in this channel.',
+    rateLimitedUser: 'Slow down! You are sending links too fast. Retry in {seconds}s.',
+    rateLimitedGuild: 'Slow down! This server is sending links too fast. Retry in {seconds}s.',
+    cancel: 'Cancel',
+    cancelled: 'Download cancelled.',
+    cancelledBy: 'Download cancelled by {user}.',
+    getAudio: 'Audio',
+    makeGif: 'Make GIF',
+    openOriginal: 'Open original',
+    otherQuality: 'Other quality',
+    delete: 'Delete',
+    deleteNotAllowed: 'Only the person who requested this download or an admin can delete it.',
+    selectionExpired: 'This selection has expired. Post the link again.',
+    selectionNotYours: 'Only the person who posted the link (or an admin) can pick the quality.',
+    selectionFailed: 'Something went wrong. Please try again.',
+    checkingQualities: 'Checking the available qualities...',
+    chooseQuality: 'Choose a quality or format',
+    selectionExpires: 'Expires {time}',
+    audioOnly: 'MP3 audio only',
+    bestQuality: 'Best available',
+    fitsInline: 'fits in Discord',
+    compressedToFit: 'compressed to fit Discord',
+    fileHostLink: 'sent as a file host link',
+    sizeUnknown: 'size unknown',
+    duration: 'Duration',
+    clip: 'Clip',
+    invalidClip: 'Invalid clip range. Use start-end, e.g. 1:23-1:53 (at most {max}s).',
+    downloadUnavailable: 'This download is no longer available. Use /download instead.',
+    invalidLanguage: 'Invalid language code. Use a code like en, ar or pt-BR.',
+    transcript: 'Transcript',
+    noCaptions: 'No {lang} captions found for this video.',
+    transcriptFailed: 'Could not fetch captions for this video.',
+    transcriptExpired: 'This transcript has expired. Run /transcript again.',
+    transcriptBusy: 'Too many transcripts are being fetched right now. Try again in a moment.',
+    pageOf: 'Page {page}/{pages}',
+    previous: 'Previous',
+    next: 'Next'
+  },
+  ar: {
+    queued: 'في قائمة الانتظار للتحميل...',
+    queueFull: 'الطابور ممتلئ. حاول مرة أخرى لاحقاً.',
+    startingDownload: 'جاري بدء التحميل...',
+    downloadFailed: 'فشل التحميل',
+    downloadFailedHint: 'حاول مرة أخرى أو تأكد من أن الفيديو متاح',
+    error: 'خطأ',
+    unsupportedLink: 'رابط غير مدعوم. أرسل رابطاً من: {platforms}.',
+    platformDisabled: 'تحميل {platform} معطل في هذا السيرفر.',
+    channelNotAllowed: 'التحميل غير مفعل في هذه القناة.',
+    rateLimitedUser: 'تمهل! أنت ترسل الروابط بسرعة كبيرة. حاول مجدداً بعد {seconds} ثانية.',
+    rateLimitedGuild: 'تمهل! هذا السيرفر يرسل الروابط بسرعة كبيرة. حاول مجدداً بعد {seconds} ثانية.',
+    cancel: 'إلغاء',
+    cancelled: 'تم إلغاء التحميل.',
+    cancelledBy: 'تم إلغاء التحميل بواسطة {user}.',
+    getAudio: 'صوت',
+    makeGif: 'صورة متحركة',
+    openOriginal: 'فتح الأصل',
+    otherQuality: 'جودة أخرى',
+    delete: 'حذف',
+    deleteNotAllowed: 'يمكن فقط لصاحب الطلب أو للمشرف حذف هذا التحميل.',
+    selectionExpired: 'انتهت صلاحية هذا الاختيار. أرسل الرابط مرة أخرى.',
+    selectionNotYours: 'يمكن فقط لمن أرسل الرابط (أو للمشرف) اختيار الجودة.',
+    selectionFailed: 'حدث خطأ. حاول مرة أخرى.',
+    checkingQualities: 'جاري فحص الجودات المتاحة...',
+    chooseQuality: 'اختر الجودة أو الصيغة',
+    selectionExpires: 'تنتهي الصلاحية {time}',
+    audioOnly: 'MP3 صوت فقط',
+    bestQuality: 'أفضل جودة متاحة',
+    fitsInline: 'يُرفع مباشرة على ديسكورد',
+    compressedToFit: 'يُضغط ليناسب ديسكورد',
+    fileHostLink: 'يُرسل كرابط استضافة ملفات',
+    sizeUnknown: 'الحجم غير معروف',
+    duration: 'المدة',
+    clip: 'مقطع',
+    invalidClip: 'نطاق المقطع غير صالح. استخدم البداية-النهاية، مثل 1:23-1:53 (بحد أقصى {max} ثانية).',
+    downloadUnavailable: 'هذا التحميل لم يعد متاحاً. استخدم /download بدلاً من ذلك.',
+    invalidLanguage: 'رمز اللغة غير صالح. استخدم رمزاً مثل en أو ar أو pt-BR.',
+    transcript: 'النص',
+    noCaptions: 'لا توجد ترجمة {lang} لهذا الفيديو.',
+    transcriptFailed: 'تعذر جلب الترجمة لهذا الفيديو.',
+    transcriptExpired: 'انتهت صلاحية هذا النص. شغّل /transcript مرة أخرى.',
+    transcriptBusy: 'يتم جلب عدد كبير من النصوص حالياً. حاول مرة أخرى بعد قليل.',
+    pageOf: 'صفحة {page}/{pages}',
+    previous: 'السابق',
+    next: 'التالي'
+  }
+};
+
+/**
+ * Translate a message key for a locale, falling back to English
+ * @param {string} locale - Locale code (en, ar)
+ * @param {string} key - Message key
+ * @param {Object} vars - Placeholder values for {name} tokens
+ * @returns {string} Localized message
+ */
+function t(locale, key, vars = {}) {
+  const table = SUPPORTED_LOCALES.includes(locale) ? MESSAGES[locale] : MESSAGES.en;
+  const template = table[key] || MESSAGES.en[key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    vars[name] !== undefined ? String(vars[name]) : match
+  );
+}
+
+/**
+ * Describe why downloadManager.addToQueue() rejected a download
+ * @param {string} locale - Locale code
+ * @param {Object} result - Rejected addToQueue() result
+ * @returns {string} Localized message
+ */
+function describeQueueRejection(locale, result) {
+  if (result.reason === 'rate_limited') {
+    const key = result.scope === 'guild' ? 'rateLimitedGuild' : 'rateLimitedUser';
+    return t(locale, key, { seconds: result.retryAfter });
+  }
+  return t(locale, 'queueFull');
+}
+
+module.exports = { t, describeQueueRejection, MESSAGES };
@@ -0,0 +1,43 @@
+// utils/permissions.js - Shared permission checks for commands and components
+const { PermissionFlagsBits } = require('discord.js');
+const { CONFIG } = require('../config');
+
+/**
+ * Check whether a user is a configured bot admin
+ * @param {string} userId - Discord user ID
+ * @returns {boolean} Whether the user is listed in ADMIN_USER_IDS
+ */
+function isAdminUser(userId) {
+  const admins = CONFIG.DISCORD.ADMIN_USER_IDS;
+  if (!admins || admins.length === 0) return false;
+  return admins.includes(userId);
+}
+
+/**
+ * Check whether the interaction member can manage the current guild
+ * @param {Object} interaction - Discord interaction
+ * @returns {boolean} Whether the member has Manage Server (bot admins always pass)
+ */
+function canManageGuild(interaction) {
+  if (isAdminUser(interaction.user.id)) return true;
+  if (!interaction.inGuild()) return false;
+  return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+}
+
+/**
+ * Check whether the interaction user may cancel or retry a download
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} item - Queue item
+ * @returns {boolean} True for the requester, bot admins and managers of the item's guild
+ */
+function canControlDownload(interaction, item) {
+  if (item.authorId === interaction.user.id || item.userId === interaction.user.id) return true;
+  if (isAdminUser(interaction.user.id)) return true;
+  return Boolean(item.guildId) && item.guildId === interaction.guildId && canManageGuild(interaction);
+}
+
+module.exports = {
+  isAdminUser,
+  canManageGuild,
+  canControlDownload
+};